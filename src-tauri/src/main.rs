@@ -3,13 +3,19 @@
 use serde::{Deserialize, Serialize};
 use std::{
     fs,
-    path::PathBuf,
+    path::{Path, PathBuf},
     time::{SystemTime, UNIX_EPOCH},
 };
-use tauri::{AppHandle, Manager};
+use tauri::{
+    ipc::{InvokeBody, Request},
+    AppHandle, Manager,
+};
 use tauri_plugin_dialog::DialogExt;
 
 const GRAPHS_DIR: &str = "graphs";
+const GRAPH_BACKUPS_DIR: &str = "graph-backups";
+const GRAPH_SESSIONS_DIR: &str = "graph-sessions";
+const MAX_FOLDER_DEPTH: usize = 8;
 
 #[derive(Serialize)]
 struct GraphFileEntry {
@@ -32,11 +38,50 @@ fn app_graphs_dir(app: &AppHandle) -> Result<PathBuf, String> {
         .map_err(|error| error.to_string())
 }
 
-fn validate_graph_id(graph_id: &str) -> Result<(), String> {
-    let valid = !graph_id.is_empty()
-        && graph_id
+fn app_graph_backups_dir(app: &AppHandle) -> Result<PathBuf, String> {
+    app.path()
+        .app_data_dir()
+        .map(|path| path.join(GRAPH_BACKUPS_DIR))
+        .map_err(|error| error.to_string())
+}
+
+fn app_graph_sessions_dir(app: &AppHandle) -> Result<PathBuf, String> {
+    app.path()
+        .app_data_dir()
+        .map(|path| path.join(GRAPH_SESSIONS_DIR))
+        .map_err(|error| error.to_string())
+}
+
+fn is_valid_file_stem(stem: &str) -> bool {
+    !stem.is_empty()
+        && stem
             .bytes()
-            .all(|byte| byte.is_ascii_alphanumeric() || byte == b'_' || byte == b'-');
+            .all(|byte| byte.is_ascii_alphanumeric() || byte == b'_' || byte == b'-')
+}
+
+fn is_valid_folder_name(folder: &str) -> bool {
+    !folder.is_empty()
+        && folder.trim() == folder
+        && folder
+            .chars()
+            .all(|character| {
+                character.is_alphanumeric() || character == '_' || character == '-' || character == ' '
+            })
+}
+
+// Graph ids may carry a folder prefix ("Support/Escalation/g_123"). Every
+// folder segment is checked on its own, so ".", ".." and absolute paths can
+// never leave the graphs directory.
+fn validate_graph_id(graph_id: &str) -> Result<(), String> {
+    let segments = graph_id.split('/').collect::<Vec<_>>();
+    let valid = match segments.split_last() {
+        Some((stem, folders)) => {
+            is_valid_file_stem(stem)
+                && folders.len() <= MAX_FOLDER_DEPTH
+                && folders.iter().all(|folder| is_valid_folder_name(folder))
+        }
+        None => false,
+    };
 
     if valid {
         Ok(())
@@ -45,11 +90,20 @@ fn validate_graph_id(graph_id: &str) -> Result<(), String> {
     }
 }
 
+fn graph_file_stem(graph_id: &str) -> &str {
+    graph_id.rsplit('/').next().unwrap_or(graph_id)
+}
+
 fn graph_file_path(app: &AppHandle, graph_id: &str) -> Result<PathBuf, String> {
     validate_graph_id(graph_id)?;
     Ok(app_graphs_dir(app)?.join(format!("{graph_id}.json")))
 }
 
+fn graph_sessions_path(app: &AppHandle, graph_id: &str) -> Result<PathBuf, String> {
+    validate_graph_id(graph_id)?;
+    Ok(app_graph_sessions_dir(app)?.join(format!("{graph_id}.json")))
+}
+
 fn modified_ms(time: SystemTime) -> Option<u64> {
     time.duration_since(UNIX_EPOCH)
         .ok()
@@ -71,31 +125,50 @@ fn graph_file_exists(app: AppHandle, graph_id: String) -> Result<bool, String> {
     Ok(graph_file_path(&app, &graph_id)?.is_file())
 }
 
-#[tauri::command]
-fn list_graph_files(app: AppHandle) -> Result<Vec<GraphFileEntry>, String> {
-    let dir = app_graphs_dir(&app)?;
-    fs::create_dir_all(&dir).map_err(|error| error.to_string())?;
-
-    let mut entries = Vec::new();
-    for entry in fs::read_dir(&dir).map_err(|error| error.to_string())? {
+fn collect_graph_files(
+    dir: &Path,
+    relative_dir: &str,
+    depth: usize,
+    entries: &mut Vec<GraphFileEntry>,
+) -> Result<(), String> {
+    for entry in fs::read_dir(dir).map_err(|error| error.to_string())? {
         let entry = entry.map_err(|error| error.to_string())?;
         let metadata = entry.metadata().map_err(|error| error.to_string())?;
-        if !metadata.is_file() {
+        let name = entry.file_name().to_string_lossy().into_owned();
+
+        if metadata.is_dir() {
+            if depth < MAX_FOLDER_DEPTH && is_valid_folder_name(&name) {
+                collect_graph_files(
+                    &entry.path(),
+                    &format!("{relative_dir}/{name}"),
+                    depth + 1,
+                    entries,
+                )?;
+            }
             continue;
         }
 
-        let name = entry.file_name().to_string_lossy().into_owned();
-        if !name.ends_with(".json") {
+        if !metadata.is_file() || !name.ends_with(".json") {
             continue;
         }
 
         entries.push(GraphFileEntry {
-            path: format!("{GRAPHS_DIR}/{name}"),
+            path: format!("{relative_dir}/{name}"),
             name,
             last_modified_ms: metadata.modified().ok().and_then(modified_ms),
         });
     }
 
+    Ok(())
+}
+
+#[tauri::command]
+fn list_graph_files(app: AppHandle) -> Result<Vec<GraphFileEntry>, String> {
+    let dir = app_graphs_dir(&app)?;
+    fs::create_dir_all(&dir).map_err(|error| error.to_string())?;
+
+    let mut entries = Vec::new();
+    collect_graph_files(&dir, GRAPHS_DIR, 0, &mut entries)?;
     Ok(entries)
 }
 
@@ -107,35 +180,115 @@ fn read_graph_file(app: AppHandle, graph_id: String) -> Result<String, String> {
 #[tauri::command]
 fn write_graph_file(app: AppHandle, graph_id: String, contents: String) -> Result<(), String> {
     let path = graph_file_path(&app, &graph_id)?;
-    let dir = app_graphs_dir(&app)?;
-    fs::create_dir_all(dir).map_err(|error| error.to_string())?;
+    if let Some(dir) = path.parent() {
+        fs::create_dir_all(dir).map_err(|error| error.to_string())?;
+    }
     fs::write(path, contents).map_err(|error| error.to_string())
 }
 
+fn remove_empty_folders(app: &AppHandle, path: &Path) -> Result<(), String> {
+    let root = app_graphs_dir(app)?;
+    let mut current = path.parent().map(PathBuf::from);
+
+    while let Some(dir) = current {
+        if dir == root || !dir.starts_with(&root) {
+            break;
+        }
+        if fs::remove_dir(&dir).is_err() {
+            break;
+        }
+        current = dir.parent().map(PathBuf::from);
+    }
+
+    Ok(())
+}
+
+#[tauri::command]
+fn move_graph_file(app: AppHandle, from_id: String, to_id: String) -> Result<(), String> {
+    let source = graph_file_path(&app, &from_id)?;
+    let target = graph_file_path(&app, &to_id)?;
+    if source == target {
+        return Ok(());
+    }
+    if target.exists() {
+        return Err("target graph file already exists".into());
+    }
+
+    if let Some(dir) = target.parent() {
+        fs::create_dir_all(dir).map_err(|error| error.to_string())?;
+    }
+    fs::rename(&source, &target).map_err(|error| error.to_string())?;
+    remove_empty_folders(&app, &source)
+}
+
 #[tauri::command]
 fn delete_graph_file(app: AppHandle, graph_id: String) -> Result<(), String> {
     let path = graph_file_path(&app, &graph_id)?;
     if path.is_file() {
-        fs::remove_file(path).map_err(|error| error.to_string())?;
+        fs::remove_file(&path).map_err(|error| error.to_string())?;
+        remove_empty_folders(&app, &path)?;
+    }
+
+    let sessions = graph_sessions_path(&app, graph_file_stem(&graph_id))?;
+    if sessions.is_file() {
+        fs::remove_file(sessions).map_err(|error| error.to_string())?;
     }
     Ok(())
 }
 
 #[tauri::command]
-fn export_text_file(
-    app: AppHandle,
+fn read_graph_sessions(app: AppHandle, graph_id: String) -> Result<Option<String>, String> {
+    let path = graph_sessions_path(&app, &graph_id)?;
+    if !path.is_file() {
+        return Ok(None);
+    }
+
+    fs::read_to_string(path)
+        .map(Some)
+        .map_err(|error| error.to_string())
+}
+
+#[tauri::command]
+fn write_graph_sessions(app: AppHandle, graph_id: String, contents: String) -> Result<(), String> {
+    let path = graph_sessions_path(&app, &graph_id)?;
+    let dir = app_graph_sessions_dir(&app)?;
+    fs::create_dir_all(dir).map_err(|error| error.to_string())?;
+    fs::write(path, contents).map_err(|error| error.to_string())
+}
+
+#[tauri::command]
+fn backup_graph_file(app: AppHandle, graph_id: String, from_version: u32) -> Result<bool, String> {
+    let source = graph_file_path(&app, &graph_id)?;
+    if !source.is_file() {
+        return Ok(false);
+    }
+
+    let dir = app_graph_backups_dir(&app)?;
+    fs::create_dir_all(&dir).map_err(|error| error.to_string())?;
+
+    let stem = graph_file_stem(&graph_id);
+    let target = dir.join(format!("{stem}.v{from_version}.json"));
+    if target.exists() {
+        return Ok(false);
+    }
+
+    fs::copy(source, target).map_err(|error| error.to_string())?;
+    Ok(true)
+}
+
+fn pick_save_path(
+    app: &AppHandle,
     title: String,
     default_path: String,
-    filters: Vec<DialogFilter>,
-    contents: String,
-) -> Result<bool, String> {
+    filters: &[DialogFilter],
+) -> Result<Option<PathBuf>, String> {
     let mut dialog = app
         .dialog()
         .file()
         .set_title(title)
         .set_file_name(default_path);
 
-    for filter in &filters {
+    for filter in filters {
         let extensions = filter
             .extensions
             .iter()
@@ -145,10 +298,78 @@ fn export_text_file(
     }
 
     let Some(path) = dialog.blocking_save_file() else {
+        return Ok(None);
+    };
+
+    path.into_path()
+        .map(Some)
+        .map_err(|error| error.to_string())
+}
+
+#[tauri::command]
+fn export_text_file(
+    app: AppHandle,
+    title: String,
+    default_path: String,
+    filters: Vec<DialogFilter>,
+    contents: String,
+) -> Result<bool, String> {
+    let Some(path) = pick_save_path(&app, title, default_path, &filters)? else {
+        return Ok(false);
+    };
+
+    fs::write(path, contents).map_err(|error| error.to_string())?;
+    Ok(true)
+}
+
+fn percent_decode(value: &str) -> Result<String, String> {
+    let bytes = value.as_bytes();
+    let mut decoded = Vec::with_capacity(bytes.len());
+    let mut index = 0;
+
+    while index < bytes.len() {
+        if bytes[index] == b'%' {
+            let hex = value
+                .get(index + 1..index + 3)
+                .ok_or("Invalid percent encoding")?;
+            decoded.push(u8::from_str_radix(hex, 16).map_err(|error| error.to_string())?);
+            index += 3;
+        } else {
+            decoded.push(bytes[index]);
+            index += 1;
+        }
+    }
+
+    String::from_utf8(decoded).map_err(|error| error.to_string())
+}
+
+fn request_header(request: &Request<'_>, name: &str) -> Result<String, String> {
+    let value = request
+        .headers()
+        .get(name)
+        .ok_or_else(|| format!("Missing {name} header"))?;
+    percent_decode(value.to_str().map_err(|error| error.to_string())?)
+}
+
+#[tauri::command]
+fn export_binary_file(app: AppHandle, request: Request<'_>) -> Result<bool, String> {
+    let InvokeBody::Raw(contents) = request.body() else {
+        return Err("Expected binary file contents".to_string());
+    };
+
+    let filters = [DialogFilter {
+        name: request_header(&request, "x-export-filter-name")?,
+        extensions: request_header(&request, "x-export-filter-extensions")?
+            .split(',')
+            .map(str::to_string)
+            .collect(),
+    }];
+    let title = request_header(&request, "x-export-title")?;
+    let default_path = request_header(&request, "x-export-default-path")?;
+    let Some(path) = pick_save_path(&app, title, default_path, &filters)? else {
         return Ok(false);
     };
 
-    let path = path.into_path().map_err(|error| error.to_string())?;
     fs::write(path, contents).map_err(|error| error.to_string())?;
     Ok(true)
 }
@@ -190,7 +411,12 @@ fn main() {
             read_graph_file,
             write_graph_file,
             delete_graph_file,
+            move_graph_file,
+            backup_graph_file,
+            read_graph_sessions,
+            write_graph_sessions,
             export_text_file,
+            export_binary_file,
             import_text_file
         ])
         .run(tauri::generate_context!())
@@ -11,14 +11,134 @@ Build:
 
 import { invoke } from '@tauri-apps/api/core';
 
-const GRAPH_VERSION = 1;
+const GRAPH_VERSION = 3;
 const GRAPHS_DIR = 'graphs';
 const AUTOSAVE_DELAY_MS = 500;
 const NODE_WIDTH = 190;
 const DEFAULT_NODE_TYPE = 'xor';
+const NODE_TYPES = ['xor', 'or', 'and', 'info', 'outcome', 'ref'];
+const NODE_TYPE_LABELS = { xor: 'XOR', or: 'OR', and: 'AND', info: 'INFO', outcome: 'OUTCOME', ref: 'REF' };
+const NODE_TYPE_FILLS = {
+  xor: '#d7e4ff',
+  or: '#d5e8c8',
+  and: '#f3e0b5',
+  info: '#e8e8e8',
+  outcome: '#f2cccc',
+  ref: '#e2d6f2'
+};
+const COMPARE_PATH_COLORS = {
+  a: '#1458c2',
+  b: '#c8601a',
+  both: '#7a3d9a'
+};
 const DEFAULT_NODE_COLOR = '#d4d0c8';
-const ZOOM_LEVELS = [0.3, 0.5, 0.7, 0.85, 1, 1.1, 1.2, 1.3, 1.4];
+const ZOOM_LEVELS = [0.05, 0.1, 0.15, 0.2, 0.3, 0.5, 0.7, 0.85, 1, 1.1, 1.2, 1.3, 1.4];
 const DEFAULT_ZOOM_INDEX = Math.max(0, ZOOM_LEVELS.indexOf(1));
+const HISTORY_LIMIT = 100;
+const DOT_NODE_ANCHOR = { x: NODE_WIDTH / 2, y: 22 };
+const DOT_COLOR_NAMES = {
+  white: '#ffffff',
+  black: '#000000',
+  gray: '#c0c0c0',
+  grey: '#c0c0c0',
+  lightgray: '#d3d3d3',
+  lightgrey: '#d3d3d3',
+  darkgray: '#a9a9a9',
+  darkgrey: '#a9a9a9',
+  red: '#ff0000',
+  darkred: '#8b0000',
+  pink: '#ffc0cb',
+  orange: '#ffa500',
+  gold: '#ffd700',
+  yellow: '#ffff00',
+  lightyellow: '#ffffe0',
+  green: '#00ff00',
+  lightgreen: '#90ee90',
+  darkgreen: '#006400',
+  palegreen: '#98fb98',
+  cyan: '#00ffff',
+  lightblue: '#add8e6',
+  lightcyan: '#e0ffff',
+  skyblue: '#87ceeb',
+  blue: '#0000ff',
+  navy: '#000080',
+  purple: '#a020f0',
+  violet: '#ee82ee',
+  magenta: '#ff00ff',
+  brown: '#a52a2a',
+  beige: '#f5f5dc',
+  wheat: '#f5deb3',
+  khaki: '#f0e68c',
+  salmon: '#fa8072',
+  tomato: '#ff6347',
+  lavender: '#e6e6fa'
+};
+const TIDY_LAYOUT_SWEEPS = 8;
+const LAYOUT_ANIMATION_MS = 320;
+const CLIPBOARD_FORMAT = 'knotenwerk/nodes';
+const KEYBOARD_SHORTCUTS = [
+  { keys: ['N'], action: 'add-node', description: 'Add node', editOnly: true },
+  { keys: ['C'], action: 'add-choice', description: 'Add choice to selected node', editOnly: true },
+  { keys: ['F2'], action: 'rename', description: 'Edit node or choice text', editOnly: true },
+  { keys: ['D'], action: 'description', description: 'Edit node description', editOnly: true },
+  { keys: ['K'], action: 'color', description: 'Node color', editOnly: true },
+  { keys: ['S'], action: 'set-start', description: 'Set selected node as start', editOnly: true },
+  { keys: ['T'], action: 'toggle-type', description: 'Cycle node type (XOR, OR, AND, INFO, OUTCOME, REF)', editOnly: true },
+  { keys: ['G'], action: 'subgraph', description: 'Link the selected node to another graph', editOnly: true },
+  { keys: ['L'], action: 'tidy-up', description: 'Tidy up layout', editOnly: true },
+  { keys: ['I'], action: 'logic', description: 'Edit conditions of the selected choice or node', editOnly: true },
+  { keys: ['Delete', 'Backspace'], action: 'delete', description: 'Delete selection', editOnly: true },
+  { keys: ['Escape'], action: 'clear-selection', description: 'Clear selection', editOnly: true },
+  {
+    keys: ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'],
+    action: 'move',
+    description: 'Move to a connected node',
+    editOnly: true
+  },
+  { keys: ['Tab', 'Shift+Tab'], action: 'cycle-choice', description: "Cycle the node's choices", editOnly: true },
+  { keys: ['Enter'], action: 'follow-choice', description: 'Go to the target of the selected choice', editOnly: true },
+  { keys: ['Ctrl+F'], action: 'search', description: 'Search nodes and choices' },
+  { keys: ['V'], action: 'validate', description: 'Show graph problems' },
+  { keys: ['Ctrl+C'], action: 'copy', description: 'Copy selected nodes' },
+  { keys: ['Ctrl+Shift+C'], action: 'copy', description: 'Copy selected nodes with subtree' },
+  { keys: ['Ctrl+X'], action: 'copy', description: 'Cut selected nodes', editOnly: true },
+  { keys: ['Ctrl+Shift+X'], action: 'copy', description: 'Cut selected nodes with subtree', editOnly: true },
+  { keys: ['Ctrl+V'], action: 'paste', description: 'Paste at cursor', editOnly: true },
+  { keys: ['Ctrl+Z'], action: 'undo', description: 'Undo', editOnly: true },
+  { keys: ['Ctrl+Shift+Z', 'Ctrl+Y'], action: 'redo', description: 'Redo', editOnly: true },
+  { keys: ['F'], action: 'fit', description: 'Fit graph to view' },
+  { keys: ['R'], action: 'clear-path', description: 'Clear path' },
+  { keys: ['P'], action: 'player', description: 'Open player' },
+  { keys: ['M'], action: 'mode', description: 'Switch Edit / View mode' },
+  { keys: ['F1', '?'], action: 'help', description: 'Show keyboard shortcuts' }
+];
+const SEARCH_RESULT_LIMIT = 200;
+const MARKDOWN_PATH_LIMIT = 200;
+const GRAPH_FOLDER_MAX_DEPTH = 8;
+const GRAPH_SORTS = {
+  modified: (a, b) => new Date(b.lastModified) - new Date(a.lastModified),
+  created: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true })
+};
+const RASTER_MAX_SIDE = 16384;
+const RASTER_MAX_AREA = 16777216;
+const PDF_RASTER_SCALE = 2;
+const PDF_PAGE_MARGIN = 36;
+const PDF_POINTS_PER_PIXEL = 0.75;
+const PDF_PAPER_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  letter: { label: 'Letter', width: 612, height: 792 }
+};
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+const WHEEL_ZOOM_THRESHOLD = 60;
+const DEFAULT_NODE_TEXTS = new Set(['New Node', 'Untitled Node']);
+const ARROW_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 }
+};
 
 const state = {
   graphSummaries: [],
@@ -26,21 +146,45 @@ const state = {
   mode: 'edit',
   selectedEdgeId: null,
   selectedEdgeSelectionSource: null,
+  selectedNodeIds: new Set(),
+  selectedEdgeIds: new Set(),
   pendingChoice: null,
   dragging: null,
   autosaveHandle: null,
+  autosavePromise: null,
   modalResolver: null,
   modalOptions: null,
   nodeElements: new Map(),
   lastChosenEdgeId: null,
   lastChosenNodeId: null,
-  colorPickerNodeId: null,
+  colorPickerNodeIds: [],
   eightBitPalette: [],
   viewportOffset: { x: 0, y: 0 },
   zoomLevelIndex: DEFAULT_ZOOM_INDEX,
+  wheelZoomDelta: 0,
+  minimapVisible: true,
+  minimapTransform: null,
+  minimapDrag: null,
   edgeConnectDrag: null,
   panning: null,
-  suppressBackgroundClickOnce: false
+  rubberBand: null,
+  lastCanvasPointer: null,
+  inlineEditor: null,
+  search: null,
+  validationOpen: false,
+  comparison: null,
+  graphFilter: '',
+  graphSort: 'modified',
+  collapsedFolders: new Set(),
+  clipboardText: null,
+  suppressBackgroundClickOnce: false,
+  suppressNodeClickOnce: false,
+  historyByGraphId: new Map(),
+  pendingMigrationBackups: new Map(),
+  reportedReferenceCycles: new Map(),
+  player: null,
+  layoutAnimation: null,
+  lastLayoutDirection: 'TB'
 };
 
 const el = {};
@@ -81,6 +225,11 @@ async function initialize() {
 
 function cacheElements() {
   el.graphList = document.getElementById('graph-list');
+  el.graphFilter = document.getElementById('graph-filter');
+  el.graphSort = document.getElementById('graph-sort');
+  el.graphFolderBtn = document.getElementById('graph-folder-btn');
+  el.graphTagsBtn = document.getElementById('graph-tags-btn');
+  el.graphPinBtn = document.getElementById('graph-pin-btn');
   el.currentGraphName = document.getElementById('current-graph-name');
   el.editorSurface = document.getElementById('editor-surface');
   el.edgeLayer = document.getElementById('edge-layer');
@@ -90,8 +239,31 @@ function cacheElements() {
   el.zoomSlider = document.getElementById('zoom-slider');
   el.zoomValue = document.getElementById('zoom-value');
   el.zoomResetBtn = document.getElementById('zoom-reset-btn');
+  el.zoomFitBtn = document.getElementById('zoom-fit-btn');
+  el.minimapToggleBtn = document.getElementById('minimap-toggle-btn');
+  el.minimap = document.getElementById('minimap');
+  el.minimapSvg = document.getElementById('minimap-svg');
+  el.minimapViewport = document.getElementById('minimap-viewport');
   el.emptyState = document.getElementById('empty-state');
+  el.searchPanel = document.getElementById('search-panel');
+  el.searchInput = document.getElementById('search-input');
+  el.searchScope = document.getElementById('search-scope');
+  el.searchCount = document.getElementById('search-count');
+  el.searchPrevBtn = document.getElementById('search-prev-btn');
+  el.searchNextBtn = document.getElementById('search-next-btn');
+  el.searchCloseBtn = document.getElementById('search-close-btn');
+  el.searchResults = document.getElementById('search-results');
+  el.validationPanel = document.getElementById('validation-panel');
+  el.validationSummary = document.getElementById('validation-summary');
+  el.validationList = document.getElementById('validation-list');
+  el.validationCloseBtn = document.getElementById('validation-close-btn');
+  el.comparePanel = document.getElementById('compare-panel');
+  el.compareLegend = document.getElementById('compare-legend');
+  el.compareSummary = document.getElementById('compare-summary');
+  el.compareList = document.getElementById('compare-list');
+  el.compareCloseBtn = document.getElementById('compare-close-btn');
   el.statusText = document.getElementById('status-text');
+  el.statusScore = document.getElementById('status-score');
 
   el.newGraphBtn = document.getElementById('new-graph-btn');
   el.renameGraphBtn = document.getElementById('rename-graph-btn');
@@ -102,12 +274,24 @@ function cacheElements() {
 
   el.addNodeBtn = document.getElementById('add-node-btn');
   el.addChoiceBtn = document.getElementById('add-choice-btn');
+  el.tidyUpBtn = document.getElementById('tidy-up-btn');
   el.editNodeBtn = document.getElementById('edit-node-btn');
+  el.editDescriptionBtn = document.getElementById('edit-description-btn');
   el.nodeColorBtn = document.getElementById('node-color-btn');
+  el.setStartBtn = document.getElementById('set-start-btn');
   el.editChoiceBtn = document.getElementById('edit-choice-btn');
+  el.logicBtn = document.getElementById('logic-btn');
+  el.variablesBtn = document.getElementById('variables-btn');
+  el.subgraphBtn = document.getElementById('subgraph-btn');
   el.deleteNodeBtn = document.getElementById('delete-node-btn');
   el.deleteChoiceBtn = document.getElementById('delete-choice-btn');
   el.clearPathBtn = document.getElementById('clear-path-btn');
+  el.playerBtn = document.getElementById('player-btn');
+  el.sessionsBtn = document.getElementById('sessions-btn');
+  el.undoBtn = document.getElementById('undo-btn');
+  el.redoBtn = document.getElementById('redo-btn');
+  el.validateBtn = document.getElementById('validate-btn');
+  el.shortcutsBtn = document.getElementById('shortcuts-btn');
 
   el.modeRadios = Array.from(document.querySelectorAll('input[name="mode"]'));
 
@@ -117,10 +301,27 @@ function cacheElements() {
   el.colorPickerDefault = document.getElementById('color-picker-default');
   el.colorPickerCancel = document.getElementById('color-picker-cancel');
 
+  el.playerOverlay = document.getElementById('player-overlay');
+  el.playerTitle = document.getElementById('player-title');
+  el.playerProgress = document.getElementById('player-progress');
+  el.playerQuestion = document.getElementById('player-question');
+  el.playerDescription = document.getElementById('player-description');
+  el.playerChoices = document.getElementById('player-choices');
+  el.playerHint = document.getElementById('player-hint');
+  el.playerBackBtn = document.getElementById('player-back-btn');
+  el.playerRestartBtn = document.getElementById('player-restart-btn');
+  el.playerContinueBtn = document.getElementById('player-continue-btn');
+  el.playerCloseBtn = document.getElementById('player-close-btn');
+
+  el.shortcutHelpOverlay = document.getElementById('shortcut-help-overlay');
+  el.shortcutHelpTable = document.getElementById('shortcut-help-table');
+  el.shortcutHelpCloseBtn = document.getElementById('shortcut-help-close-btn');
+
   el.modalOverlay = document.getElementById('modal-overlay');
   el.modalTitle = document.getElementById('modal-title');
   el.modalMessage = document.getElementById('modal-message');
   el.modalInput = document.getElementById('modal-input');
+  el.modalTextarea = document.getElementById('modal-textarea');
   el.modalSelect = document.getElementById('modal-select');
   el.modalOk = document.getElementById('modal-ok');
   el.modalCancel = document.getElementById('modal-cancel');
@@ -132,16 +333,28 @@ function bindEvents() {
   el.duplicateGraphBtn.addEventListener('click', duplicateCurrentGraphFlow);
   el.deleteGraphBtn.addEventListener('click', deleteCurrentGraphFlow);
   el.exportGraphBtn.addEventListener('click', exportCurrentGraph);
-  el.importGraphBtn.addEventListener('click', importGraphFromJson);
+  el.importGraphBtn.addEventListener('click', importGraphFlow);
 
   el.addNodeBtn.addEventListener('click', () => addNodeAtDefaultPosition());
   el.addChoiceBtn.addEventListener('click', addChoiceFlow);
+  el.tidyUpBtn.addEventListener('click', tidyUpGraphFlow);
   el.editNodeBtn.addEventListener('click', () => editSelectedNodeTextFlow());
+  el.editDescriptionBtn.addEventListener('click', () => editSelectedNodeDescriptionFlow());
   el.nodeColorBtn.addEventListener('click', openNodeColorPicker);
+  el.setStartBtn.addEventListener('click', () => setStartNode(state.currentGraph?.ui.selectedNodeId));
   el.editChoiceBtn.addEventListener('click', () => editSelectedChoiceTextFlow());
+  el.logicBtn.addEventListener('click', () => editSelectedLogicFlow());
+  el.variablesBtn.addEventListener('click', () => editGraphVariablesFlow());
+  el.subgraphBtn.addEventListener('click', () => linkNodeToGraphFlow(state.currentGraph?.ui.selectedNodeId));
   el.deleteNodeBtn.addEventListener('click', deleteSelectedNodeFlow);
   el.deleteChoiceBtn.addEventListener('click', deleteSelectedChoiceFlow);
   el.clearPathBtn.addEventListener('click', clearActivePath);
+  el.playerBtn.addEventListener('click', openPlayer);
+  el.sessionsBtn.addEventListener('click', () => manageSessionsFlow());
+  el.undoBtn.addEventListener('click', undoGraphChange);
+  el.redoBtn.addEventListener('click', redoGraphChange);
+  el.validateBtn.addEventListener('click', toggleValidationPanel);
+  el.shortcutsBtn.addEventListener('click', openShortcutHelp);
 
   el.modeRadios.forEach((radio) => {
     radio.addEventListener('change', () => {
@@ -151,7 +364,31 @@ function bindEvents() {
     });
   });
 
+  el.graphFilter.addEventListener('input', () => {
+    state.graphFilter = el.graphFilter.value;
+    renderGraphList();
+  });
+  el.graphSort.addEventListener('change', () => {
+    state.graphSort = GRAPH_SORTS[el.graphSort.value] ? el.graphSort.value : 'modified';
+    renderGraphList();
+  });
+  el.graphFolderBtn.addEventListener('click', moveCurrentGraphToFolderFlow);
+  el.graphTagsBtn.addEventListener('click', editCurrentGraphTagsFlow);
+  el.graphPinBtn.addEventListener('click', toggleCurrentGraphPinned);
+
   el.graphList.addEventListener('click', async (event) => {
+    const folderButton = event.target.closest('.graph-folder__btn');
+    if (folderButton) {
+      const folder = folderButton.dataset.folder;
+      if (state.collapsedFolders.has(folder)) {
+        state.collapsedFolders.delete(folder);
+      } else {
+        state.collapsedFolders.add(folder);
+      }
+      renderGraphList();
+      return;
+    }
+
     const button = event.target.closest('.graph-item__btn');
     if (!button) {
       return;
@@ -168,8 +405,57 @@ function bindEvents() {
   el.editorSurface.addEventListener('dblclick', handleEditorDoubleClick);
   el.editorSurface.addEventListener('click', handleEditorBackgroundClick);
   el.editorSurface.addEventListener('mousedown', handleEditorSurfaceMouseDown);
+  el.editorSurface.addEventListener('mousemove', (event) => {
+    state.lastCanvasPointer = getCanvasPoint(event);
+  });
+  el.editorSurface.addEventListener('mouseleave', () => {
+    state.lastCanvasPointer = null;
+  });
   el.zoomSlider.addEventListener('input', handleZoomSliderInput);
   el.zoomResetBtn.addEventListener('click', () => setZoomLevelIndex(DEFAULT_ZOOM_INDEX));
+  el.zoomFitBtn.addEventListener('click', fitGraphToView);
+  el.minimapToggleBtn.addEventListener('click', () => {
+    state.minimapVisible = !state.minimapVisible;
+    renderMinimap();
+  });
+  el.editorSurface.addEventListener('wheel', handleEditorWheel, { passive: false });
+  el.minimap.addEventListener('mousedown', handleMinimapMouseDown);
+
+  el.searchInput.addEventListener('input', runSearch);
+  el.searchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      stepSearchHit(event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      closeSearchPanel();
+    }
+  });
+  el.searchScope.addEventListener('change', runSearch);
+  el.searchPrevBtn.addEventListener('click', () => stepSearchHit(-1));
+  el.searchNextBtn.addEventListener('click', () => stepSearchHit(1));
+  el.searchCloseBtn.addEventListener('click', closeSearchPanel);
+  el.validationCloseBtn.addEventListener('click', toggleValidationPanel);
+  el.validationList.addEventListener('click', (event) => {
+    const item = event.target.closest('.validation-problem');
+    if (item?.dataset.nodeId) {
+      focusGraphItem(item.dataset.nodeId, item.dataset.edgeId || null);
+    }
+  });
+  el.compareCloseBtn.addEventListener('click', closeComparison);
+  el.compareList.addEventListener('click', (event) => {
+    const item = event.target.closest('.compare-difference');
+    if (item) {
+      focusGraphItem(item.dataset.nodeId);
+    }
+  });
+  el.searchResults.addEventListener('click', (event) => {
+    const item = event.target.closest('.search-result');
+    if (item) {
+      void openSearchHit(Number.parseInt(item.dataset.index, 10));
+    }
+  });
 
   el.nodeLayer.addEventListener('click', handleNodeLayerClick);
   el.nodeLayer.addEventListener('dblclick', handleNodeLayerDoubleClick);
@@ -180,10 +466,29 @@ function bindEvents() {
   el.edgeLayer.addEventListener('dblclick', handleEdgeLayerDoubleClick);
   el.edgeControlLayer.addEventListener('click', handleEdgeControlLayerClick);
   el.edgeControlLayer.addEventListener('dblclick', handleEdgeControlLayerDoubleClick);
+  el.edgeControlLayer.addEventListener('contextmenu', handleEdgeControlLayerContextMenu);
 
   window.addEventListener('mousemove', handleWindowMouseMove);
   window.addEventListener('mouseup', handleWindowMouseUp);
 
+  el.playerChoices.addEventListener('click', (event) => {
+    const choice = event.target.closest('.player-choice');
+    if (choice?.dataset.edgeId) {
+      playerChoose(choice.dataset.edgeId);
+    }
+  });
+  el.playerBackBtn.addEventListener('click', playerBack);
+  el.playerRestartBtn.addEventListener('click', restartPlayer);
+  el.playerContinueBtn.addEventListener('click', playerContinue);
+  el.playerCloseBtn.addEventListener('click', closePlayer);
+
+  el.shortcutHelpCloseBtn.addEventListener('click', closeShortcutHelp);
+  el.shortcutHelpOverlay.addEventListener('click', (event) => {
+    if (event.target === el.shortcutHelpOverlay) {
+      closeShortcutHelp();
+    }
+  });
+
   el.modalOk.addEventListener('click', () => resolveModal(true));
   el.modalCancel.addEventListener('click', () => resolveModal(false));
   el.modalOverlay.addEventListener('click', (event) => {
@@ -199,7 +504,24 @@ function bindEvents() {
       return;
     }
 
+    if (!el.shortcutHelpOverlay.classList.contains('hidden')) {
+      if (event.key === 'Escape' || event.key === 'Enter') {
+        event.preventDefault();
+        closeShortcutHelp();
+      }
+      return;
+    }
+
+    if (!state.modalResolver && state.player) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closePlayer();
+      }
+      return;
+    }
+
     if (!state.modalResolver) {
+      handleShortcutKeyDown(event);
       return;
     }
 
@@ -210,6 +532,9 @@ function bindEvents() {
     }
 
     if (event.key === 'Enter') {
+      if (event.target === el.modalTextarea && !event.ctrlKey && !event.metaKey) {
+        return;
+      }
       event.preventDefault();
       resolveModal(true);
     }
@@ -217,7 +542,7 @@ function bindEvents() {
 
   el.colorPickerGrid.addEventListener('click', (event) => {
     const swatch = event.target.closest('.color-swatch');
-    if (!swatch || !state.colorPickerNodeId) {
+    if (!swatch || state.colorPickerNodeIds.length === 0) {
       return;
     }
 
@@ -226,15 +551,15 @@ function bindEvents() {
       return;
     }
 
-    applyNodeColor(state.colorPickerNodeId, color);
+    applyNodeColor(state.colorPickerNodeIds, color);
     closeNodeColorPicker();
   });
 
   el.colorPickerDefault.addEventListener('click', () => {
-    if (!state.colorPickerNodeId) {
+    if (state.colorPickerNodeIds.length === 0) {
       return;
     }
-    applyNodeColor(state.colorPickerNodeId, null);
+    applyNodeColor(state.colorPickerNodeIds, null);
     closeNodeColorPicker();
   });
 
@@ -246,2928 +571,8931 @@ function bindEvents() {
   });
 }
 
-function setStatus(text) {
-  el.statusText.textContent = text;
-}
-
-function currentZoom() {
-  return ZOOM_LEVELS[state.zoomLevelIndex] || 1;
-}
-
-function updateZoomUi() {
-  if (!el.zoomSlider || !el.zoomValue) {
+function handleShortcutKeyDown(event) {
+  if (!el.colorPickerOverlay.classList.contains('hidden')) {
     return;
   }
 
-  const zoom = currentZoom();
-  el.zoomSlider.min = '0';
-  el.zoomSlider.max = String(ZOOM_LEVELS.length - 1);
-  el.zoomSlider.value = String(state.zoomLevelIndex);
-  el.zoomValue.textContent = `${Math.round(zoom * 100)}%`;
-}
-
-function setZoomLevelIndex(nextIndex) {
-  const normalizedIndex = clamp(Math.round(nextIndex), 0, ZOOM_LEVELS.length - 1);
-  if (normalizedIndex === state.zoomLevelIndex) {
-    updateZoomUi();
+  if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) {
     return;
   }
 
-  const previousZoom = currentZoom();
-  const nextZoom = ZOOM_LEVELS[normalizedIndex];
-  const width = el.editorSurface.clientWidth || 0;
-  const height = el.editorSurface.clientHeight || 0;
-  const centerX = width / 2;
-  const centerY = height / 2;
-  const worldCenterX = (centerX - state.viewportOffset.x) / previousZoom;
-  const worldCenterY = (centerY - state.viewportOffset.y) / previousZoom;
-
-  state.zoomLevelIndex = normalizedIndex;
-  state.viewportOffset.x = centerX - worldCenterX * nextZoom;
-  state.viewportOffset.y = centerY - worldCenterY * nextZoom;
-
-  updateZoomUi();
-  applyViewportTransform();
-  setStatus(`Zoom: ${Math.round(nextZoom * 100)}%`);
-}
-
-function handleZoomSliderInput(event) {
-  const rawValue = Number.parseInt(event.target.value, 10);
-  if (Number.isNaN(rawValue)) {
+  const combo = getShortcutCombo(event);
+  const shortcut = KEYBOARD_SHORTCUTS.find((item) => item.keys.includes(combo));
+  if (!shortcut || (shortcut.editOnly && state.mode !== 'edit')) {
     return;
   }
 
-  setZoomLevelIndex(rawValue);
-}
-
-function setMode(nextMode) {
-  state.mode = nextMode === 'view' ? 'view' : 'edit';
-  document.body.dataset.mode = state.mode;
-
-  el.modeRadios.forEach((radio) => {
-    radio.checked = radio.value === state.mode;
-  });
+  if (event.repeat && shortcut.action !== 'move') {
+    event.preventDefault();
+    return;
+  }
 
-  if (state.mode === 'view') {
-    ensureActivePathSeed();
-    state.pendingChoice = null;
-    closeNodeColorPicker();
+  if (combo === 'Enter' && event.target.closest?.('button')) {
+    return;
   }
 
-  renderGraph();
-  updateActionButtons();
-  setStatus(state.mode === 'view' ? 'View mode enabled.' : 'Edit mode enabled.');
+  if (runShortcutAction(shortcut.action, combo)) {
+    event.preventDefault();
+  }
 }
 
-function uid(prefix) {
-  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
-    return `${prefix}_${crypto.randomUUID()}`;
+function getShortcutCombo(event) {
+  const parts = [];
+  if (event.ctrlKey || event.metaKey) {
+    parts.push('Ctrl');
   }
-  return `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+  if (event.altKey) {
+    parts.push('Alt');
+  }
+  if (event.shiftKey && (event.key.length > 1 || /^[a-z]$/i.test(event.key))) {
+    parts.push('Shift');
+  }
+  parts.push(event.key.length === 1 ? event.key.toUpperCase() : event.key);
+  return parts.join('+');
 }
 
-function nowISO() {
-  return new Date().toISOString();
-}
+function runShortcutAction(action, combo) {
+  const graph = state.currentGraph;
+  if (!graph && action !== 'mode' && action !== 'help') {
+    return false;
+  }
 
-function formatTimestamp(value) {
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return 'Unknown date';
+  switch (action) {
+    case 'add-node':
+      addNodeAtDefaultPosition();
+      return true;
+    case 'add-choice':
+      void addChoiceFlow();
+      return true;
+    case 'rename':
+      if (state.selectedEdgeId) {
+        startInlineChoiceEdit(state.selectedEdgeId);
+        return true;
+      }
+      if (graph.ui.selectedNodeId) {
+        startInlineNodeEdit(graph.ui.selectedNodeId);
+        return true;
+      }
+      return false;
+    case 'description':
+      void editSelectedNodeDescriptionFlow();
+      return true;
+    case 'logic':
+      void editSelectedLogicFlow();
+      return true;
+    case 'subgraph':
+      if (!graph.ui.selectedNodeId) {
+        return false;
+      }
+      void linkNodeToGraphFlow(graph.ui.selectedNodeId);
+      return true;
+    case 'color':
+      openNodeColorPicker();
+      return true;
+    case 'set-start':
+      setStartNode(graph.ui.selectedNodeId);
+      return true;
+    case 'toggle-type': {
+      const [nodeId] = getSelectedNodeIds();
+      if (!nodeId) {
+        return false;
+      }
+      toggleNodeType(nodeId);
+      return true;
+    }
+    case 'tidy-up':
+      void tidyUpGraphFlow();
+      return true;
+    case 'delete':
+      if (getSelectedNodeIds().size > 0) {
+        void deleteSelectedNodeFlow();
+        return true;
+      }
+      if (getSelectedEdgeIds().size > 0) {
+        void deleteSelectedChoiceFlow();
+        return true;
+      }
+      return false;
+    case 'clear-selection':
+      return clearSelectionByKeyboard();
+    case 'move':
+      return moveSelectionAlongEdges(ARROW_DIRECTIONS[combo]);
+    case 'cycle-choice':
+      return cycleChoiceSelection(combo === 'Shift+Tab' ? -1 : 1);
+    case 'follow-choice':
+      return followSelectedChoice();
+    case 'copy':
+      if (getSelectedNodeIds().size === 0 || String(window.getSelection?.() || '')) {
+        return false;
+      }
+      void copySelectionFlow({ includeSubtree: combo.includes('Shift'), cut: combo.endsWith('X') });
+      return true;
+    case 'paste':
+      void pasteFlow();
+      return true;
+    case 'search':
+      openSearchPanel();
+      return true;
+    case 'validate':
+      toggleValidationPanel();
+      return true;
+    case 'undo':
+      undoGraphChange();
+      return true;
+    case 'redo':
+      redoGraphChange();
+      return true;
+    case 'fit':
+      fitGraphToView();
+      return true;
+    case 'clear-path':
+      clearActivePath();
+      return true;
+    case 'player':
+      openPlayer();
+      return true;
+    case 'mode':
+      setMode(state.mode === 'edit' ? 'view' : 'edit');
+      return true;
+    case 'help':
+      openShortcutHelp();
+      return true;
+    default:
+      return false;
   }
-  return date.toLocaleString();
 }
 
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value));
+function formatShortcutKey(combo) {
+  const names = {
+    ArrowUp: '\u2191',
+    ArrowDown: '\u2193',
+    ArrowLeft: '\u2190',
+    ArrowRight: '\u2192',
+    Delete: 'Del',
+    Escape: 'Esc'
+  };
+  return combo
+    .split('+')
+    .map((part) => names[part] || part)
+    .join('+');
 }
 
-function sanitizeFileName(name) {
-  return name.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_').trim() || 'graph';
-}
+function renderShortcutHelp() {
+  el.shortcutHelpTable.replaceChildren();
 
-function formatDateStamp(date = new Date()) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+  KEYBOARD_SHORTCUTS.forEach((shortcut) => {
+    const row = document.createElement('tr');
+    const keysCell = document.createElement('td');
+    keysCell.className = 'shortcut-help__keys';
+    shortcut.keys.forEach((combo, index) => {
+      if (index > 0) {
+        keysCell.appendChild(document.createTextNode(' '));
+      }
+      const key = document.createElement('kbd');
+      key.textContent = formatShortcutKey(combo);
+      keysCell.appendChild(key);
+    });
+
+    const descriptionCell = document.createElement('td');
+    descriptionCell.textContent = shortcut.editOnly
+      ? shortcut.description
+      : `${shortcut.description} (also in View Mode)`;
+
+    row.appendChild(keysCell);
+    row.appendChild(descriptionCell);
+    el.shortcutHelpTable.appendChild(row);
+  });
 }
 
-function escapeXml(value) {
-  return String(value ?? '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
+function openShortcutHelp() {
+  renderShortcutHelp();
+  el.shortcutHelpOverlay.classList.remove('hidden');
+  requestAnimationFrame(() => {
+    el.shortcutHelpCloseBtn.focus();
+  });
 }
 
-function rgbToHex(r, g, b) {
-  return `#${[r, g, b]
-    .map((value) => clamp(Math.round(value), 0, 255).toString(16).padStart(2, '0'))
-    .join('')}`;
+function closeShortcutHelp() {
+  el.shortcutHelpOverlay.classList.add('hidden');
 }
 
-function hexToRgb(hex) {
-  const normalized = normalizeHexColor(hex);
-  if (!normalized) {
-    return null;
+function clearSelectionByKeyboard() {
+  const graph = state.currentGraph;
+  if (!graph) {
+    return false;
+  }
+
+  if (state.pendingChoice) {
+    state.pendingChoice = null;
+    renderGraph();
+    setStatus('Choice cancelled.');
+    return true;
+  }
+
+  if (getSelectedNodeIds().size === 0 && getSelectedEdgeIds().size === 0) {
+    return false;
   }
 
+  graph.ui.selectedNodeId = null;
+  setSelectedEdge(null);
+  renderGraph();
+  setStatus('Selection cleared.');
+  return true;
+}
+
+function getNodeCenter(node) {
+  const nodeElement = state.nodeElements.get(node.id);
   return {
-    r: parseInt(normalized.slice(1, 3), 16),
-    g: parseInt(normalized.slice(3, 5), 16),
-    b: parseInt(normalized.slice(5, 7), 16)
+    x: node.x + (nodeElement?.offsetWidth || NODE_WIDTH) / 2,
+    y: node.y + (nodeElement?.offsetHeight || 80) / 2
   };
 }
 
-function normalizeHexColor(value) {
-  if (typeof value !== 'string') {
-    return null;
-  }
-
-  const raw = value.trim().toLowerCase();
-  if (!raw) {
-    return null;
+function revealNode(nodeId) {
+  const node = findNode(nodeId);
+  if (!node) {
+    return;
   }
 
-  if (/^#[0-9a-f]{6}$/.test(raw)) {
-    return raw;
+  const nodeElement = state.nodeElements.get(nodeId);
+  const zoom = currentZoom();
+  const margin = 24;
+  const width = el.editorSurface.clientWidth || 0;
+  const height = el.editorSurface.clientHeight || 0;
+  const left = node.x * zoom + state.viewportOffset.x;
+  const top = node.y * zoom + state.viewportOffset.y;
+  const right = left + (nodeElement?.offsetWidth || NODE_WIDTH) * zoom;
+  const bottom = top + (nodeElement?.offsetHeight || 80) * zoom;
+
+  let deltaX = 0;
+  let deltaY = 0;
+  if (left < margin) {
+    deltaX = margin - left;
+  } else if (right > width - margin) {
+    deltaX = width - margin - right;
+  }
+  if (top < margin) {
+    deltaY = margin - top;
+  } else if (bottom > height - margin) {
+    deltaY = height - margin - bottom;
+  }
+
+  if (deltaX !== 0 || deltaY !== 0) {
+    state.viewportOffset.x += deltaX;
+    state.viewportOffset.y += deltaY;
+    applyViewportTransform();
   }
+}
 
-  if (/^#[0-9a-f]{3}$/.test(raw)) {
-    return `#${raw[1]}${raw[1]}${raw[2]}${raw[2]}${raw[3]}${raw[3]}`;
+function centerViewOn(point) {
+  if (state.zoomLevelIndex < DEFAULT_ZOOM_INDEX) {
+    state.zoomLevelIndex = DEFAULT_ZOOM_INDEX;
+    updateZoomUi();
   }
 
-  return null;
+  moveViewportCenterTo(point);
 }
 
-function mixColor(hex, amount) {
-  const rgb = hexToRgb(hex);
-  if (!rgb) {
-    return hex;
+function focusGraphItem(nodeId, edgeId = null) {
+  const graph = state.currentGraph;
+  const node = findNode(nodeId);
+  if (!graph || !node) {
+    return;
   }
 
-  const delta = clamp(amount, -1, 1);
-  if (delta >= 0) {
-    return rgbToHex(
-      rgb.r + (255 - rgb.r) * delta,
-      rgb.g + (255 - rgb.g) * delta,
-      rgb.b + (255 - rgb.b) * delta
-    );
+  const edge = edgeId ? findEdge(edgeId) : null;
+  if (edge && state.mode === 'edit') {
+    graph.ui.selectedNodeId = null;
+    setSelectedEdge(edge.id, 'line');
+  } else {
+    graph.ui.selectedNodeId = node.id;
+    setSelectedEdge(null);
   }
+  renderGraph();
 
-  const factor = 1 + delta;
-  return rgbToHex(rgb.r * factor, rgb.g * factor, rgb.b * factor);
+  const edgeButton = edge
+    ? Array.from(el.edgeControlLayer.querySelectorAll('.edge-choice-button')).find(
+        (item) => item.dataset.edgeId === edge.id
+      )
+    : null;
+  centerViewOn(
+    edgeButton
+      ? { x: Number.parseFloat(edgeButton.style.left), y: Number.parseFloat(edgeButton.style.top) }
+      : getNodeCenter(node)
+  );
 }
 
-function getReadableTextColor(hex) {
-  const rgb = hexToRgb(hex);
-  if (!rgb) {
-    return '#000000';
+function selectNodeByKeyboard(nodeId) {
+  state.currentGraph.ui.selectedNodeId = nodeId;
+  setSelectedEdge(null);
+  renderGraph();
+  revealNode(nodeId);
+  setStatus(`Node selected: ${nodeLabel(nodeId)}`);
+}
+
+function moveSelectionAlongEdges(direction) {
+  const graph = state.currentGraph;
+  if (!graph || !direction) {
+    return false;
   }
 
-  const luminance = 0.2126 * rgb.r + 0.7152 * rgb.g + 0.0722 * rgb.b;
-  return luminance < 145 ? '#ffffff' : '#000000';
-}
+  const current = findNode(graph.ui.selectedNodeId || findEdge(state.selectedEdgeId)?.from);
+  if (!current) {
+    const rootNodeId = getRootNodeId(graph);
+    if (!rootNodeId) {
+      return false;
+    }
+    selectNodeByKeyboard(rootNodeId);
+    return true;
+  }
 
-function buildEightBitPalette() {
-  const base = [
-    '#000000',
-    '#800000',
-    '#008000',
-    '#808000',
-    '#000080',
-    '#800080',
-    '#008080',
-    '#c0c0c0',
-    '#808080',
-    '#ff0000',
-    '#00ff00',
-    '#ffff00',
-    '#0000ff',
-    '#ff00ff',
-    '#00ffff',
-    '#ffffff'
-  ];
+  const origin = getNodeCenter(current);
+  let best = null;
 
-  const colors = [...base];
-  const steps = [0, 95, 135, 175, 215, 255];
+  graph.edges.forEach((edge) => {
+    if (!edgeHasTarget(edge)) {
+      return;
+    }
 
-  for (let r = 0; r < 6; r += 1) {
-    for (let g = 0; g < 6; g += 1) {
-      for (let b = 0; b < 6; b += 1) {
-        colors.push(rgbToHex(steps[r], steps[g], steps[b]));
-      }
+    const neighborId = edge.from === current.id ? edge.to : edge.to === current.id ? edge.from : null;
+    const neighbor = neighborId && neighborId !== current.id ? findNode(neighborId) : null;
+    if (!neighbor) {
+      return;
     }
-  }
 
-  for (let i = 0; i < 24; i += 1) {
-    const value = 8 + i * 10;
-    colors.push(rgbToHex(value, value, value));
+    const center = getNodeCenter(neighbor);
+    const deltaX = center.x - origin.x;
+    const deltaY = center.y - origin.y;
+    const along = deltaX * direction.x + deltaY * direction.y;
+    const across = Math.abs(deltaX * direction.y - deltaY * direction.x);
+    if (along <= 0) {
+      return;
+    }
+
+    const score = along + across * 2;
+    if (!best || score < best.score) {
+      best = { nodeId: neighbor.id, score };
+    }
+  });
+
+  if (!best) {
+    setStatus('No connected node in that direction.');
+    return true;
   }
 
-  return colors.slice(0, 256);
+  selectNodeByKeyboard(best.nodeId);
+  return true;
 }
 
-function getNodeBaseColor(node) {
-  return normalizeHexColor(node?.color) || DEFAULT_NODE_COLOR;
-}
+function cycleChoiceSelection(step) {
+  const graph = state.currentGraph;
+  const selectedEdge = findEdge(state.selectedEdgeId);
+  const source = findNode(selectedEdge?.from || graph?.ui.selectedNodeId);
+  if (!source) {
+    return false;
+  }
 
-function renderColorPickerGrid() {
-  if (!el.colorPickerGrid) {
-    return;
+  const edges = source.buttons
+    .map((button) => graph.edges.find((edge) => edge.from === source.id && edge.buttonId === button.id))
+    .filter(Boolean);
+
+  if (edges.length === 0) {
+    setStatus('This node has no choices.');
+    return true;
   }
 
-  el.colorPickerGrid.replaceChildren();
+  const currentIndex = selectedEdge ? edges.indexOf(selectedEdge) : -1;
+  const nextIndex =
+    currentIndex === -1
+      ? step > 0
+        ? 0
+        : edges.length - 1
+      : (currentIndex + step + edges.length) % edges.length;
+  const edge = edges[nextIndex];
 
-  state.eightBitPalette.forEach((color, index) => {
-    const swatch = document.createElement('button');
-    swatch.type = 'button';
-    swatch.className = 'color-swatch';
-    swatch.dataset.color = color;
-    swatch.title = `${index.toString().padStart(3, '0')} ${color.toUpperCase()}`;
-    swatch.style.backgroundColor = color;
-    el.colorPickerGrid.appendChild(swatch);
-  });
+  graph.ui.selectedNodeId = null;
+  setSelectedEdge(edge.id, 'line');
+  renderGraph();
+  setStatus(`Choice ${nextIndex + 1}/${edges.length}: ${findButtonForEdge(edge)?.text || 'Choice'}`);
+  return true;
 }
 
-function refreshColorPickerSelection(node) {
-  if (!el.colorPickerGrid || !el.colorPickerCurrent) {
-    return;
+function followSelectedChoice() {
+  const edge = findEdge(state.selectedEdgeId);
+  if (!edge) {
+    return false;
   }
 
-  const color = normalizeHexColor(node?.color);
+  if (!edgeHasTarget(edge)) {
+    setStatus('This choice is not connected yet.');
+    return true;
+  }
 
-  el.colorPickerGrid.querySelectorAll('.color-swatch').forEach((swatch) => {
-    swatch.classList.toggle('is-selected', color === swatch.dataset.color);
-  });
+  selectNodeByKeyboard(edge.to);
+  return true;
+}
 
-  if (color) {
-    el.colorPickerCurrent.textContent = `Selected: ${color.toUpperCase()}`;
-  } else {
-    el.colorPickerCurrent.textContent = 'Selected: Default';
-  }
+function setStatus(text) {
+  el.statusText.textContent = text;
 }
 
-function openNodeColorPicker() {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
-  }
+function currentZoom() {
+  return ZOOM_LEVELS[state.zoomLevelIndex] || 1;
+}
 
-  if (!el.colorPickerOverlay) {
+function updateZoomUi() {
+  if (!el.zoomSlider || !el.zoomValue) {
     return;
   }
 
-  const nodeId = state.currentGraph.ui.selectedNodeId;
-  const node = findNode(nodeId);
-  if (!node) {
-    void showAlert('Select a node first.');
+  const zoom = currentZoom();
+  el.zoomSlider.min = '0';
+  el.zoomSlider.max = String(ZOOM_LEVELS.length - 1);
+  el.zoomSlider.value = String(state.zoomLevelIndex);
+  el.zoomValue.textContent = `${Math.round(zoom * 100)}%`;
+}
+
+function setZoomLevelIndex(nextIndex, anchor = null) {
+  const normalizedIndex = clamp(Math.round(nextIndex), 0, ZOOM_LEVELS.length - 1);
+  if (normalizedIndex === state.zoomLevelIndex) {
+    updateZoomUi();
     return;
   }
 
-  state.colorPickerNodeId = node.id;
-  refreshColorPickerSelection(node);
-  el.colorPickerOverlay.classList.remove('hidden');
-}
+  const previousZoom = currentZoom();
+  const nextZoom = ZOOM_LEVELS[normalizedIndex];
+  const width = el.editorSurface.clientWidth || 0;
+  const height = el.editorSurface.clientHeight || 0;
+  const centerX = anchor ? anchor.x : width / 2;
+  const centerY = anchor ? anchor.y : height / 2;
+  const worldCenterX = (centerX - state.viewportOffset.x) / previousZoom;
+  const worldCenterY = (centerY - state.viewportOffset.y) / previousZoom;
 
-function closeNodeColorPicker() {
-  state.colorPickerNodeId = null;
-  if (el.colorPickerOverlay) {
-    el.colorPickerOverlay.classList.add('hidden');
-  }
+  state.zoomLevelIndex = normalizedIndex;
+  state.viewportOffset.x = centerX - worldCenterX * nextZoom;
+  state.viewportOffset.y = centerY - worldCenterY * nextZoom;
+
+  updateZoomUi();
+  applyViewportTransform();
+  setStatus(`Zoom: ${Math.round(nextZoom * 100)}%`);
 }
 
-function applyNodeColor(nodeId, color) {
-  if (!state.currentGraph) {
+function handleEditorWheel(event) {
+  if (!state.currentGraph || isCanvasOverlayTarget(event.target)) {
     return;
   }
 
-  const node = findNode(nodeId);
-  if (!node) {
+  event.preventDefault();
+  state.wheelZoomDelta += event.deltaMode === 1 ? event.deltaY * 33 : event.deltaY;
+  if (Math.abs(state.wheelZoomDelta) < WHEEL_ZOOM_THRESHOLD) {
     return;
   }
 
-  node.color = normalizeHexColor(color);
-  renderGraph();
-  scheduleAutosave();
-  setStatus(node.color ? `Node color set to ${node.color.toUpperCase()}` : 'Node color reset to default.');
+  const step = state.wheelZoomDelta < 0 ? 1 : -1;
+  state.wheelZoomDelta = 0;
+  const rect = el.editorSurface.getBoundingClientRect();
+  setZoomLevelIndex(state.zoomLevelIndex + step, {
+    x: event.clientX - rect.left,
+    y: event.clientY - rect.top
+  });
 }
 
-function normalizeNodeType(value) {
-  return String(value || '').trim().toLowerCase() === 'or' ? 'or' : 'xor';
-}
+function getGraphBounds(graph) {
+  if (!graph || graph.nodes.length === 0) {
+    return null;
+  }
 
-function createGraph(name) {
-  const createdAt = nowISO();
-  const startNode = {
-    id: uid('n'),
-    x: 220,
-    y: 120,
-    text: 'Start',
-    type: DEFAULT_NODE_TYPE,
-    color: null,
-    buttons: []
+  const bounds = {
+    minX: Number.POSITIVE_INFINITY,
+    minY: Number.POSITIVE_INFINITY,
+    maxX: Number.NEGATIVE_INFINITY,
+    maxY: Number.NEGATIVE_INFINITY
   };
 
-  return {
-    id: uid('g'),
-    name: name || 'New Graph',
-    version: GRAPH_VERSION,
-    createdAt,
-    updatedAt: createdAt,
-    nodes: [startNode],
-    edges: [],
-    ui: {
-      selectedNodeId: startNode.id,
-      activePath: [],
-      activeSelections: {}
-    }
-  };
+  graph.nodes.forEach((node) => {
+    const nodeEl = state.nodeElements.get(node.id);
+    bounds.minX = Math.min(bounds.minX, node.x);
+    bounds.minY = Math.min(bounds.minY, node.y);
+    bounds.maxX = Math.max(bounds.maxX, node.x + (nodeEl?.offsetWidth || NODE_WIDTH));
+    bounds.maxY = Math.max(bounds.maxY, node.y + (nodeEl?.offsetHeight || 44));
+  });
+
+  return bounds;
 }
 
-async function generateUniqueGraphId() {
-  let nextId = uid('g');
+function fitGraphToView() {
+  const bounds = getGraphBounds(state.currentGraph);
+  if (!bounds) {
+    return;
+  }
 
-  while (true) {
-    const usedInMemory = state.graphSummaries.some((item) => item.id === nextId);
-    const usedOnDisk = await invoke('graph_file_exists', { graphId: nextId });
-    if (!usedInMemory && !usedOnDisk) {
-      return nextId;
+  const padding = 40;
+  const width = el.editorSurface.clientWidth || 0;
+  const height = el.editorSurface.clientHeight || 0;
+  const fitZoom = Math.min(
+    (width - padding * 2) / Math.max(1, bounds.maxX - bounds.minX),
+    (height - padding * 2) / Math.max(1, bounds.maxY - bounds.minY)
+  );
+
+  let zoomIndex = 0;
+  ZOOM_LEVELS.forEach((zoom, index) => {
+    if (zoom <= fitZoom) {
+      zoomIndex = index;
     }
-    nextId = uid('g');
-  }
-}
+  });
 
-function normalizeGraph(input, sourceLabel = 'graph') {
-  if (!input || typeof input !== 'object') {
-    throw new Error(`${sourceLabel}: root must be an object.`);
-  }
+  state.zoomLevelIndex = zoomIndex;
+  const zoom = currentZoom();
+  state.viewportOffset.x = width / 2 - ((bounds.minX + bounds.maxX) / 2) * zoom;
+  state.viewportOffset.y = height / 2 - ((bounds.minY + bounds.maxY) / 2) * zoom;
 
-  if (typeof input.version === 'number' && input.version > GRAPH_VERSION) {
-    throw new Error(`${sourceLabel}: unsupported graph version ${input.version}.`);
-  }
+  updateZoomUi();
+  applyViewportTransform();
+  setStatus(
+    fitZoom < ZOOM_LEVELS[0]
+      ? `Graph too large to fit: zoomed out to the minimum of ${Math.round(zoom * 100)}%.`
+      : `Fit to graph: ${Math.round(zoom * 100)}%`
+  );
+}
 
-  if (!Array.isArray(input.nodes)) {
-    throw new Error(`${sourceLabel}: nodes must be an array.`);
-  }
+function renderMinimap() {
+  const bounds = getGraphBounds(state.currentGraph);
+  const visible = state.minimapVisible && Boolean(bounds);
 
-  if (!Array.isArray(input.edges)) {
-    throw new Error(`${sourceLabel}: edges must be an array.`);
+  el.minimap.classList.toggle('hidden', !visible);
+  el.minimapToggleBtn.classList.toggle('is-active', state.minimapVisible);
+  el.minimapSvg.replaceChildren();
+  state.minimapTransform = null;
+
+  if (!visible) {
+    return;
   }
 
-  const graph = {
-    id: typeof input.id === 'string' && input.id ? input.id : uid('g'),
-    name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : 'Untitled Graph',
-    version: GRAPH_VERSION,
-    createdAt: typeof input.createdAt === 'string' ? input.createdAt : nowISO(),
-    updatedAt: typeof input.updatedAt === 'string' ? input.updatedAt : nowISO(),
-    nodes: [],
-    edges: [],
-    ui: {
-      selectedNodeId:
-        typeof input.ui?.selectedNodeId === 'string' ? input.ui.selectedNodeId : null,
-      activePath: Array.isArray(input.ui?.activePath)
-        ? input.ui.activePath.filter((entry) => typeof entry === 'string')
-        : [],
-      activeSelections:
-        input.ui?.activeSelections &&
-        typeof input.ui.activeSelections === 'object' &&
-        !Array.isArray(input.ui.activeSelections)
-          ? input.ui.activeSelections
-          : {}
-    }
+  const graph = state.currentGraph;
+  const padding = 60;
+  const minX = bounds.minX - padding;
+  const minY = bounds.minY - padding;
+  const worldWidth = bounds.maxX - bounds.minX + padding * 2;
+  const worldHeight = bounds.maxY - bounds.minY + padding * 2;
+  const scale = Math.min(MINIMAP_WIDTH / worldWidth, MINIMAP_HEIGHT / worldHeight);
+  const transform = {
+    scale,
+    minX,
+    minY,
+    offsetX: (MINIMAP_WIDTH - worldWidth * scale) / 2,
+    offsetY: (MINIMAP_HEIGHT - worldHeight * scale) / 2
   };
+  state.minimapTransform = transform;
 
-  const nodeIdSet = new Set();
+  const toMap = (x, y) => ({
+    x: (x - minX) * scale + transform.offsetX,
+    y: (y - minY) * scale + transform.offsetY
+  });
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
 
-  input.nodes.forEach((rawNode, index) => {
-    if (!rawNode || typeof rawNode !== 'object') {
+  graph.edges.forEach((edge) => {
+    const source = nodeById.get(edge.from);
+    const target = edgeHasTarget(edge) ? nodeById.get(edge.to) : null;
+    if (!source || !target) {
       return;
     }
 
-    let nodeId =
-      typeof rawNode.id === 'string' && rawNode.id.trim() ? rawNode.id.trim() : uid('n');
-    while (nodeIdSet.has(nodeId)) {
-      nodeId = uid('n');
-    }
-    nodeIdSet.add(nodeId);
-
-    const buttons = [];
-    const buttonSet = new Set();
+    const start = toMap(getNodeCenter(source).x, getNodeCenter(source).y);
+    const end = toMap(getNodeCenter(target).x, getNodeCenter(target).y);
+    const line = document.createElementNS(svgNs, 'line');
+    line.setAttribute('class', 'minimap__edge');
+    line.setAttribute('x1', `${start.x}`);
+    line.setAttribute('y1', `${start.y}`);
+    line.setAttribute('x2', `${end.x}`);
+    line.setAttribute('y2', `${end.y}`);
+    el.minimapSvg.appendChild(line);
+  });
 
-    if (Array.isArray(rawNode.buttons)) {
-      rawNode.buttons.forEach((rawButton) => {
-        if (!rawButton || typeof rawButton !== 'object') {
-          return;
-        }
+  const rootNodeId = getRootNodeId(graph);
+  graph.nodes.forEach((node) => {
+    const nodeEl = state.nodeElements.get(node.id);
+    const topLeft = toMap(node.x, node.y);
+    const rect = document.createElementNS(svgNs, 'rect');
+    rect.setAttribute('class', node.id === rootNodeId ? 'minimap__node minimap__node--start' : 'minimap__node');
+    rect.setAttribute('x', `${topLeft.x}`);
+    rect.setAttribute('y', `${topLeft.y}`);
+    rect.setAttribute('width', `${Math.max(2, (nodeEl?.offsetWidth || NODE_WIDTH) * scale)}`);
+    rect.setAttribute('height', `${Math.max(2, (nodeEl?.offsetHeight || 44) * scale)}`);
+    rect.setAttribute('fill', getNodeBaseColor(node));
+    el.minimapSvg.appendChild(rect);
+  });
 
-        let buttonId =
-          typeof rawButton.id === 'string' && rawButton.id.trim()
-            ? rawButton.id.trim()
-            : uid('b');
+  updateMinimapViewport();
+}
 
-        while (buttonSet.has(buttonId)) {
-          buttonId = uid('b');
-        }
-        buttonSet.add(buttonId);
-
-        buttons.push({
-          id: buttonId,
-          text:
-            typeof rawButton.text === 'string' && rawButton.text.trim()
-              ? rawButton.text.trim()
-              : 'Choice',
-          to:
-            typeof rawButton.to === 'string' && rawButton.to.trim()
-              ? rawButton.to.trim()
-              : null
-        });
-      });
-    }
+function updateMinimapViewport() {
+  const transform = state.minimapTransform;
+  if (!transform) {
+    return;
+  }
 
-    graph.nodes.push({
-      id: nodeId,
-      x: Number.isFinite(rawNode.x) ? rawNode.x : 140 + index * 30,
-      y: Number.isFinite(rawNode.y) ? rawNode.y : 100 + index * 30,
-      text:
-        typeof rawNode.text === 'string' && rawNode.text.trim()
-          ? rawNode.text.trim()
-          : `Node ${index + 1}`,
-      type: normalizeNodeType(rawNode.type),
-      color: normalizeHexColor(rawNode.color),
-      buttons
-    });
-  });
+  const zoom = currentZoom();
+  const left = (-state.viewportOffset.x / zoom - transform.minX) * transform.scale + transform.offsetX;
+  const top = (-state.viewportOffset.y / zoom - transform.minY) * transform.scale + transform.offsetY;
 
-  if (graph.nodes.length === 0) {
-    graph.nodes.push({
-      id: uid('n'),
-      x: 220,
-      y: 120,
-      text: 'Start',
-      type: DEFAULT_NODE_TYPE,
-      color: null,
-      buttons: []
-    });
-  }
+  el.minimapViewport.style.left = `${left}px`;
+  el.minimapViewport.style.top = `${top}px`;
+  el.minimapViewport.style.width = `${((el.editorSurface.clientWidth || 0) / zoom) * transform.scale}px`;
+  el.minimapViewport.style.height = `${((el.editorSurface.clientHeight || 0) / zoom) * transform.scale}px`;
+}
 
-  const edgeIdSet = new Set();
+function getMinimapWorldPoint(event) {
+  const transform = state.minimapTransform;
+  const rect = el.minimap.getBoundingClientRect();
+  return {
+    x: (event.clientX - rect.left - transform.offsetX) / transform.scale + transform.minX,
+    y: (event.clientY - rect.top - transform.offsetY) / transform.scale + transform.minY
+  };
+}
 
-  input.edges.forEach((rawEdge) => {
-    if (!rawEdge || typeof rawEdge !== 'object') {
-      return;
-    }
+function getViewportWorldCenter() {
+  const zoom = currentZoom();
+  return {
+    x: ((el.editorSurface.clientWidth || 0) / 2 - state.viewportOffset.x) / zoom,
+    y: ((el.editorSurface.clientHeight || 0) / 2 - state.viewportOffset.y) / zoom
+  };
+}
 
-    if (typeof rawEdge.from !== 'string') {
-      return;
-    }
+function moveViewportCenterTo(point) {
+  const zoom = currentZoom();
+  state.viewportOffset.x = (el.editorSurface.clientWidth || 0) / 2 - point.x * zoom;
+  state.viewportOffset.y = (el.editorSurface.clientHeight || 0) / 2 - point.y * zoom;
+  applyViewportTransform();
+}
 
-    const fromId = rawEdge.from.trim();
-    const toId =
-      typeof rawEdge.to === 'string' && rawEdge.to.trim() ? rawEdge.to.trim() : null;
+function handleMinimapMouseDown(event) {
+  if (event.button !== 0 || !state.minimapTransform) {
+    return;
+  }
 
-    if (!fromId) {
-      return;
-    }
+  const point = getMinimapWorldPoint(event);
+  const center = getViewportWorldCenter();
+  const grabsViewport = event.target === el.minimapViewport;
 
-    if (!graph.nodes.some((node) => node.id === fromId)) {
-      return;
-    }
+  state.minimapDrag = {
+    grabOffsetX: grabsViewport ? point.x - center.x : 0,
+    grabOffsetY: grabsViewport ? point.y - center.y : 0
+  };
 
-    if (toId && !graph.nodes.some((node) => node.id === toId)) {
-      return;
-    }
+  if (!grabsViewport) {
+    moveViewportCenterTo(point);
+  }
 
-    let edgeId =
-      typeof rawEdge.id === 'string' && rawEdge.id.trim() ? rawEdge.id.trim() : uid('e');
-    while (edgeIdSet.has(edgeId)) {
-      edgeId = uid('e');
-    }
-    edgeIdSet.add(edgeId);
+  event.preventDefault();
+  event.stopPropagation();
+}
 
-    graph.edges.push({
-      id: edgeId,
-      from: fromId,
-      to: toId,
-      buttonId:
-        typeof rawEdge.buttonId === 'string' && rawEdge.buttonId.trim()
-          ? rawEdge.buttonId.trim()
-          : uid('b'),
-      pendingX: Number.isFinite(rawEdge.pendingX) ? rawEdge.pendingX : null,
-      pendingY: Number.isFinite(rawEdge.pendingY) ? rawEdge.pendingY : null
-    });
-  });
+function handleZoomSliderInput(event) {
+  const rawValue = Number.parseInt(event.target.value, 10);
+  if (Number.isNaN(rawValue)) {
+    return;
+  }
 
-  enforceGraphConsistency(graph);
-  return graph;
+  setZoomLevelIndex(rawValue);
 }
 
-function getActiveSelections(graph) {
-  if (!graph.ui || typeof graph.ui !== 'object') {
-    graph.ui = {};
+function setMode(nextMode) {
+  state.mode = nextMode === 'view' ? 'view' : 'edit';
+  document.body.dataset.mode = state.mode;
+
+  el.modeRadios.forEach((radio) => {
+    radio.checked = radio.value === state.mode;
+  });
+
+  if (state.mode === 'view') {
+    ensureActivePathSeed();
+    state.pendingChoice = null;
+    closeNodeColorPicker();
+  } else {
+    state.comparison = null;
   }
 
-  if (
-    !graph.ui.activeSelections ||
-    typeof graph.ui.activeSelections !== 'object' ||
-    Array.isArray(graph.ui.activeSelections)
-  ) {
-    graph.ui.activeSelections = {};
+  renderGraph();
+  updateActionButtons();
+  setStatus(state.mode === 'view' ? 'View mode enabled.' : 'Edit mode enabled.');
+}
+
+function uid(prefix) {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return `${prefix}_${crypto.randomUUID()}`;
   }
+  return `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+}
 
-  return graph.ui.activeSelections;
+function nowISO() {
+  return new Date().toISOString();
 }
 
-function rebuildActivePathFromSelections(graph) {
-  const rootNodeId = graph.nodes[0]?.id;
-  if (!rootNodeId) {
-    graph.ui.activePath = [];
-    graph.ui.activeSelections = {};
-    return;
+function formatTimestamp(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return 'Unknown date';
   }
+  return date.toLocaleString();
+}
 
-  const edgeById = new Map(graph.edges.map((edge) => [edge.id, edge]));
-  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
-  const selections = getActiveSelections(graph);
-  const nextPath = [];
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
 
-  const walk = (nodeId, stack = new Set()) => {
-    const node = nodeById.get(nodeId);
-    if (!node) {
-      return;
-    }
+function sanitizeFileName(name) {
+  return name.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_').trim() || 'graph';
+}
 
-    nextPath.push(nodeId);
+function formatDateStamp(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
 
-    if (stack.has(nodeId)) {
-      return;
-    }
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
 
-    const nextStack = new Set(stack);
-    nextStack.add(nodeId);
+function normalizeMarkdownHref(value) {
+  const href = String(value || '').trim();
+  return /^(https?:\/\/|mailto:)/i.test(href) ? href : null;
+}
 
-    const rawSelected = Array.isArray(selections[nodeId]) ? selections[nodeId] : [];
-    const selectedEdgeIds = node.type === 'xor' ? rawSelected.slice(0, 1) : rawSelected;
+function parseMarkdownBlocks(source) {
+  const blocks = [];
+  let current = null;
+
+  String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line) {
+        current = null;
+        return;
+      }
 
-    selectedEdgeIds.forEach((edgeId) => {
-      const edge = edgeById.get(edgeId);
-      if (!edge || edge.from !== nodeId || typeof edge.to !== 'string' || !nodeById.has(edge.to)) {
+      const bullet = line.match(/^[-*+]\s+(.*)$/);
+      const numbered = line.match(/^\d+[.)]\s+(.*)$/);
+      if (bullet || numbered) {
+        const ordered = Boolean(numbered);
+        if (!current || current.type !== 'list' || current.ordered !== ordered) {
+          current = { type: 'list', ordered, items: [] };
+          blocks.push(current);
+        }
+        current.items.push((bullet || numbered)[1]);
         return;
       }
 
-      nextPath.push(edge.id);
-      walk(edge.to, nextStack);
+      if (!current || current.type !== 'paragraph') {
+        current = { type: 'paragraph', lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(line);
     });
-  };
 
-  walk(rootNodeId);
-  graph.ui.activePath = nextPath;
+  return blocks;
+}
 
-  const activeNodeIds = new Set();
-  const activeEdgeIds = new Set();
-  const nodeIdSet = new Set(graph.nodes.map((node) => node.id));
-  const edgeIdSet = new Set(graph.edges.map((edge) => edge.id));
+function parseInlineMarkdown(text) {
+  const tokens = [];
+  const pattern = /`([^`]+)`|\*\*([^*]+)\*\*|__([^_]+)__|\[([^\]]+)\]\(([^)\s]+)\)/g;
+  let lastIndex = 0;
+  let match = pattern.exec(text);
 
-  nextPath.forEach((entry) => {
-    if (nodeIdSet.has(entry)) {
-      activeNodeIds.add(entry);
-    } else if (edgeIdSet.has(entry)) {
-      activeEdgeIds.add(entry);
+  while (match) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'code', text: match[1] });
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({ type: 'bold', text: match[2] ?? match[3] });
+    } else {
+      const href = normalizeMarkdownHref(match[5]);
+      tokens.push(href ? { type: 'link', text: match[4], href } : { type: 'text', text: match[0] });
+    }
+
+    lastIndex = pattern.lastIndex;
+    match = pattern.exec(text);
+  }
+
+  if (lastIndex < text.length) {
+    tokens.push({ type: 'text', text: text.slice(lastIndex) });
+  }
+
+  return tokens;
+}
+
+function appendInlineMarkdown(parent, text) {
+  parseInlineMarkdown(text).forEach((token) => {
+    if (token.type === 'text') {
+      parent.appendChild(document.createTextNode(token.text));
+      return;
     }
+
+    const tagName = token.type === 'bold' ? 'strong' : token.type === 'code' ? 'code' : 'a';
+    const element = document.createElement(tagName);
+    element.textContent = token.text;
+    if (token.type === 'link') {
+      element.href = token.href;
+      element.title = token.href;
+      element.rel = 'noopener noreferrer';
+    }
+    parent.appendChild(element);
   });
+}
 
-  const prunedSelections = {};
-  Object.entries(selections).forEach(([nodeId, edgeIds]) => {
-    if (!activeNodeIds.has(nodeId) || !Array.isArray(edgeIds)) {
+function renderMarkdownInto(container, source) {
+  container.replaceChildren();
+
+  parseMarkdownBlocks(source).forEach((block) => {
+    if (block.type === 'list') {
+      const list = document.createElement(block.ordered ? 'ol' : 'ul');
+      block.items.forEach((itemText) => {
+        const item = document.createElement('li');
+        appendInlineMarkdown(item, itemText);
+        list.appendChild(item);
+      });
+      container.appendChild(list);
       return;
     }
 
-    const filtered = [];
-    edgeIds.forEach((edgeId) => {
-      if (typeof edgeId === 'string' && activeEdgeIds.has(edgeId) && !filtered.includes(edgeId)) {
-        filtered.push(edgeId);
+    const paragraph = document.createElement('p');
+    block.lines.forEach((line, index) => {
+      if (index > 0) {
+        paragraph.appendChild(document.createElement('br'));
       }
+      appendInlineMarkdown(paragraph, line);
     });
+    container.appendChild(paragraph);
+  });
+}
 
-    if (filtered.length > 0) {
-      prunedSelections[nodeId] = filtered;
+function markdownToPlainLines(source) {
+  const toPlain = (text) =>
+    parseInlineMarkdown(text)
+      .map((token) => token.text)
+      .join('');
+  const lines = [];
+
+  parseMarkdownBlocks(source).forEach((block) => {
+    if (block.type === 'list') {
+      block.items.forEach((itemText, index) => {
+        lines.push(`${block.ordered ? `${index + 1}.` : '\u2022'} ${toPlain(itemText)}`);
+      });
+      return;
     }
+
+    block.lines.forEach((line) => lines.push(toPlain(line)));
   });
 
-  graph.ui.activeSelections = prunedSelections;
+  return lines;
 }
 
-function enforceGraphConsistency(graph) {
-  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+function wrapPlainText(text, maxChars) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
 
-  graph.edges = graph.edges.filter((edge) => {
-    if (!nodeById.has(edge.from)) {
-      return false;
+  words.forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length <= maxChars || !current) {
+      current = candidate;
+    } else {
+      lines.push(current);
+      current = word;
     }
+  });
 
-    if (typeof edge.to === 'string' && edge.to.trim()) {
-      edge.to = edge.to.trim();
-      edge.pendingX = null;
-      edge.pendingY = null;
-      return nodeById.has(edge.to);
-    }
+  if (current) {
+    lines.push(current);
+  }
 
-    edge.to = null;
-    edge.pendingX = Number.isFinite(edge.pendingX) ? edge.pendingX : null;
-    edge.pendingY = Number.isFinite(edge.pendingY) ? edge.pendingY : null;
-    return true;
-  });
+  return lines;
+}
 
-  const outgoingByNode = new Map();
-  graph.edges.forEach((edge) => {
-    const list = outgoingByNode.get(edge.from) || [];
-    list.push(edge);
-    outgoingByNode.set(edge.from, list);
-  });
-
-  graph.nodes.forEach((node) => {
-    node.type = normalizeNodeType(node.type);
-    node.color = normalizeHexColor(node.color);
+async function copyTextToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    console.warn('Clipboard write failed:', error);
+    return false;
+  }
+}
 
-    const outgoing = outgoingByNode.get(node.id) || [];
-    const buttonById = new Map((node.buttons || []).map((button) => [button.id, button]));
+async function readTextFromClipboard() {
+  try {
+    return await navigator.clipboard.readText();
+  } catch (error) {
+    console.warn('Clipboard read failed:', error);
+    return '';
+  }
+}
 
-    outgoing.forEach((edge) => {
-      let button = buttonById.get(edge.buttonId);
-      if (!button) {
-        button = { id: edge.buttonId, text: 'Choice', to: edge.to };
-        node.buttons.push(button);
-        buttonById.set(edge.buttonId, button);
-      }
-      button.to = typeof edge.to === 'string' && edge.to ? edge.to : null;
-      if (!button.text || typeof button.text !== 'string') {
-        button.text = 'Choice';
-      }
-    });
+function rgbToHex(r, g, b) {
+  return `#${[r, g, b]
+    .map((value) => clamp(Math.round(value), 0, 255).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
 
-    const validButtonIds = new Set(outgoing.map((edge) => edge.buttonId));
-    node.buttons = node.buttons.filter((button) => validButtonIds.has(button.id));
-  });
+function hexToRgb(hex) {
+  const normalized = normalizeHexColor(hex);
+  if (!normalized) {
+    return null;
+  }
 
-  const nodeIdSet = new Set(graph.nodes.map((node) => node.id));
-  const edgeIdSet = new Set(graph.edges.map((edge) => edge.id));
-  const edgeById = new Map(graph.edges.map((edge) => [edge.id, edge]));
+  return {
+    r: parseInt(normalized.slice(1, 3), 16),
+    g: parseInt(normalized.slice(3, 5), 16),
+    b: parseInt(normalized.slice(5, 7), 16)
+  };
+}
 
-  graph.ui.selectedNodeId = nodeIdSet.has(graph.ui.selectedNodeId)
-    ? graph.ui.selectedNodeId
-    : null;
+function normalizeHexColor(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
 
-  const currentSelections = getActiveSelections(graph);
-  const hasExplicitSelections = Object.keys(currentSelections).some((nodeId) =>
-    Array.isArray(currentSelections[nodeId])
-  );
+  const raw = value.trim().toLowerCase();
+  if (!raw) {
+    return null;
+  }
 
-  const derivedSelections = {};
-  if (!hasExplicitSelections) {
-    (graph.ui.activePath || []).forEach((entry) => {
-      if (!edgeIdSet.has(entry)) {
-        return;
-      }
+  if (/^#[0-9a-f]{6}$/.test(raw)) {
+    return raw;
+  }
 
-      const edge = edgeById.get(entry);
-      if (!edge) {
-        return;
-      }
+  if (/^#[0-9a-f]{3}$/.test(raw)) {
+    return `#${raw[1]}${raw[1]}${raw[2]}${raw[2]}${raw[3]}${raw[3]}`;
+  }
 
-      if (!derivedSelections[edge.from]) {
-        derivedSelections[edge.from] = [];
-      }
+  return null;
+}
 
-      if (!derivedSelections[edge.from].includes(edge.id)) {
-        derivedSelections[edge.from].push(edge.id);
-      }
-    });
+function mixColor(hex, amount) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) {
+    return hex;
   }
 
-  const sourceSelections = hasExplicitSelections ? currentSelections : derivedSelections;
-  const normalizedSelections = {};
-
-  graph.nodes.forEach((node) => {
-    const outgoing = outgoingByNode.get(node.id) || [];
-    const validEdgeIds = new Set(
-      outgoing
-        .filter((edge) => typeof edge.to === 'string' && edge.to && nodeById.has(edge.to))
-        .map((edge) => edge.id)
+  const delta = clamp(amount, -1, 1);
+  if (delta >= 0) {
+    return rgbToHex(
+      rgb.r + (255 - rgb.r) * delta,
+      rgb.g + (255 - rgb.g) * delta,
+      rgb.b + (255 - rgb.b) * delta
     );
-    const rawSelection = Array.isArray(sourceSelections[node.id]) ? sourceSelections[node.id] : [];
-    const uniqueSelection = [];
+  }
 
-    rawSelection.forEach((edgeId) => {
-      if (
-        typeof edgeId === 'string' &&
-        validEdgeIds.has(edgeId) &&
-        !uniqueSelection.includes(edgeId)
-      ) {
-        uniqueSelection.push(edgeId);
-      }
-    });
+  const factor = 1 + delta;
+  return rgbToHex(rgb.r * factor, rgb.g * factor, rgb.b * factor);
+}
 
-    if (node.type === 'xor' && uniqueSelection.length > 1) {
-      uniqueSelection.splice(1);
-    }
+function getReadableTextColor(hex) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) {
+    return '#000000';
+  }
 
-    if (uniqueSelection.length > 0) {
-      normalizedSelections[node.id] = uniqueSelection;
-    }
-  });
+  const luminance = 0.2126 * rgb.r + 0.7152 * rgb.g + 0.0722 * rgb.b;
+  return luminance < 145 ? '#ffffff' : '#000000';
+}
 
-  graph.ui.activeSelections = normalizedSelections;
-  rebuildActivePathFromSelections(graph);
+function buildEightBitPalette() {
+  const base = [
+    '#000000',
+    '#800000',
+    '#008000',
+    '#808000',
+    '#000080',
+    '#800080',
+    '#008080',
+    '#c0c0c0',
+    '#808080',
+    '#ff0000',
+    '#00ff00',
+    '#ffff00',
+    '#0000ff',
+    '#ff00ff',
+    '#00ffff',
+    '#ffffff'
+  ];
 
-  if (state.selectedEdgeId && !edgeIdSet.has(state.selectedEdgeId)) {
-    setSelectedEdge(null);
+  const colors = [...base];
+  const steps = [0, 95, 135, 175, 215, 255];
+
+  for (let r = 0; r < 6; r += 1) {
+    for (let g = 0; g < 6; g += 1) {
+      for (let b = 0; b < 6; b += 1) {
+        colors.push(rgbToHex(steps[r], steps[g], steps[b]));
+      }
+    }
   }
 
-  if (state.pendingChoice && !nodeIdSet.has(state.pendingChoice.sourceNodeId)) {
-    state.pendingChoice = null;
+  for (let i = 0; i < 24; i += 1) {
+    const value = 8 + i * 10;
+    colors.push(rgbToHex(value, value, value));
   }
-}
 
-function findNode(nodeId) {
-  return state.currentGraph?.nodes.find((node) => node.id === nodeId) || null;
+  return colors.slice(0, 256);
 }
 
-function findEdge(edgeId) {
-  return state.currentGraph?.edges.find((edge) => edge.id === edgeId) || null;
+function getNodeBaseColor(node) {
+  return normalizeHexColor(node?.color) || DEFAULT_NODE_COLOR;
 }
 
-function setSelectedEdge(edgeId, source = null) {
-  if (typeof edgeId !== 'string' || edgeId.length === 0) {
-    state.selectedEdgeId = null;
-    state.selectedEdgeSelectionSource = null;
+function renderColorPickerGrid() {
+  if (!el.colorPickerGrid) {
     return;
   }
 
-  state.selectedEdgeId = edgeId;
-  state.selectedEdgeSelectionSource = source;
-}
+  el.colorPickerGrid.replaceChildren();
 
-function edgeHasTarget(edge) {
-  return Boolean(edge && typeof edge.to === 'string' && edge.to.trim().length > 0);
+  state.eightBitPalette.forEach((color, index) => {
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.className = 'color-swatch';
+    swatch.dataset.color = color;
+    swatch.title = `${index.toString().padStart(3, '0')} ${color.toUpperCase()}`;
+    swatch.style.backgroundColor = color;
+    el.colorPickerGrid.appendChild(swatch);
+  });
 }
 
-function findButtonForEdge(edge) {
-  if (!edge) {
-    return null;
+function refreshColorPickerSelection(node) {
+  if (!el.colorPickerGrid || !el.colorPickerCurrent) {
+    return;
   }
-  const source = findNode(edge.from);
-  return source?.buttons.find((button) => button.id === edge.buttonId) || null;
-}
 
-function nodeLabel(nodeId) {
-  const node = findNode(nodeId);
-  if (!node) {
-    return 'Unknown';
+  const color = normalizeHexColor(node?.color);
+
+  el.colorPickerGrid.querySelectorAll('.color-swatch').forEach((swatch) => {
+    swatch.classList.toggle('is-selected', color === swatch.dataset.color);
+  });
+
+  if (color) {
+    el.colorPickerCurrent.textContent = `Selected: ${color.toUpperCase()}`;
+  } else {
+    el.colorPickerCurrent.textContent = 'Selected: Default';
   }
-  return node.text;
 }
 
-function graphPath(graphId) {
-  return `${GRAPHS_DIR}/${graphId}.json`;
-}
+function openNodeColorPicker() {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
 
-function graphIdFromPath(path) {
-  const fileName = String(path || '').split('/').pop() || '';
-  return fileName.endsWith('.json') ? fileName.slice(0, -5) : fileName;
+  if (!el.colorPickerOverlay) {
+    return;
+  }
+
+  const nodeIds = Array.from(getSelectedNodeIds()).filter((nodeId) => findNode(nodeId));
+  if (nodeIds.length === 0) {
+    void showAlert('Select a node first.');
+    return;
+  }
+
+  state.colorPickerNodeIds = nodeIds;
+  refreshColorPickerSelection(findNode(nodeIds[0]));
+  el.colorPickerOverlay.classList.remove('hidden');
 }
 
-async function ensureGraphsDirectory() {
-  const base = await invoke('ensure_graphs_directory');
-  setStatus(`Graph directory ready: ${base}${GRAPHS_DIR}`);
+function closeNodeColorPicker() {
+  state.colorPickerNodeIds = [];
+  if (el.colorPickerOverlay) {
+    el.colorPickerOverlay.classList.add('hidden');
+  }
 }
 
-async function refreshGraphList() {
-  const warnings = [];
-  const summaries = [];
-
-  const entries = await invoke('list_graph_files');
+function applyNodeColor(nodeIds, color) {
+  if (!state.currentGraph) {
+    return;
+  }
 
-  for (const entry of entries) {
-    if (!entry.name.endsWith('.json')) {
-      continue;
-    }
+  const nodes = nodeIds.map((nodeId) => findNode(nodeId)).filter(Boolean);
+  if (nodes.length === 0) {
+    return;
+  }
 
-    const relativePath = entry.path;
+  const before = captureGraphSnapshot(state.currentGraph);
+  const nextColor = normalizeHexColor(color);
+  nodes.forEach((node) => {
+    node.color = nextColor;
+  });
+  recordGraphChange(nodes.length > 1 ? 'Change node colors' : 'Change node color', before);
+  renderGraph();
+  scheduleAutosave();
 
-    try {
-      const json = await invoke('read_graph_file', { graphId: graphIdFromPath(relativePath) });
-      const parsed = JSON.parse(json);
-      const graph = normalizeGraph(parsed, entry.name);
+  const subject = nodes.length > 1 ? `${nodes.length} node colors` : 'Node color';
+  setStatus(nextColor ? `${subject} set to ${nextColor.toUpperCase()}` : `${subject} reset to default.`);
+}
 
-      summaries.push({
-        id: graph.id,
-        name: graph.name,
-        path: relativePath,
-        updatedAt: graph.updatedAt,
-        lastModified:
-          graph.updatedAt ||
-          (Number.isFinite(entry.lastModifiedMs)
-            ? new Date(entry.lastModifiedMs).toISOString()
-            : graph.createdAt || nowISO())
-      });
-    } catch (error) {
-      warnings.push(`${entry.name}: ${error instanceof Error ? error.message : String(error)}`);
-    }
-  }
+function normalizeNodeType(value) {
+  const type = String(value || '').trim().toLowerCase();
+  return NODE_TYPES.includes(type) ? type : DEFAULT_NODE_TYPE;
+}
 
-  summaries.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
-  state.graphSummaries = summaries;
-  renderGraphList();
+function nodeTypeUsesSelection(type) {
+  return type === 'xor' || type === 'or';
+}
 
-  if (warnings.length > 0) {
-    const trimmed = warnings.slice(0, 5).join('\n');
-    await showAlert(`Some graph files were skipped:\n\n${trimmed}`);
+function limitSelectionToNodeType(type, edgeIds) {
+  if (type === 'or') {
+    return edgeIds;
   }
+  return type === 'xor' ? edgeIds.slice(0, 1) : [];
 }
 
-function upsertGraphSummary(graph) {
-  const summary = {
-    id: graph.id,
-    name: graph.name,
-    path: graphPath(graph.id),
-    updatedAt: graph.updatedAt,
-    lastModified: graph.updatedAt
-  };
-
-  const index = state.graphSummaries.findIndex((item) => item.id === graph.id);
-  if (index >= 0) {
-    state.graphSummaries[index] = summary;
-  } else {
-    state.graphSummaries.push(summary);
+function getFollowedEdges(node, connectedEdges, selection) {
+  const type = normalizeNodeType(node.type);
+  if (type === 'and') {
+    return connectedEdges;
+  }
+  if (type === 'info' || type === 'ref') {
+    return connectedEdges.slice(0, 1);
   }
 
-  state.graphSummaries.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+  return limitSelectionToNodeType(type, selection)
+    .map((edgeId) => connectedEdges.find((edge) => edge.id === edgeId))
+    .filter(Boolean);
 }
 
-async function loadGraphById(graphId) {
-  const summary = state.graphSummaries.find((item) => item.id === graphId);
-  if (!summary) {
-    return;
-  }
-  await loadGraphFromSummary(summary);
+function normalizeGraphFolder(value) {
+  const segments = String(value || '')
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  const valid =
+    segments.length <= GRAPH_FOLDER_MAX_DEPTH &&
+    segments.every((segment) => /^[\p{L}\p{N}_\- ]+$/u.test(segment));
+  return valid ? segments.join('/') : null;
 }
 
-async function loadGraphFromSummary(summary) {
-  try {
-    const json = await invoke('read_graph_file', { graphId: graphIdFromPath(summary.path) });
-    const parsed = JSON.parse(json);
-    const graph = normalizeGraph(parsed, summary.path);
-
-    state.currentGraph = graph;
-    setSelectedEdge(null);
-    state.pendingChoice = null;
-    state.lastChosenEdgeId = null;
-    state.lastChosenNodeId = null;
-    closeNodeColorPicker();
-
-    if (state.mode === 'view') {
-      ensureActivePathSeed();
+function normalizeGraphTags(value) {
+  const rawTags = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const tags = [];
+  rawTags.forEach((rawTag) => {
+    const tag = String(rawTag || '')
+      .trim()
+      .replace(/^#+/, '')
+      .slice(0, 40)
+      .trim();
+    if (tag && !tags.some((item) => item.toLocaleLowerCase() === tag.toLocaleLowerCase())) {
+      tags.push(tag);
     }
-
-    renderGraph();
-    updateActionButtons();
-    setStatus(`Loaded graph: ${graph.name}`);
-  } catch (error) {
-    console.error('Load failed:', error);
-    await showAlert(`Could not load graph file:\n${summary.path}`);
-  }
+  });
+  return tags;
 }
 
-async function persistGraph(graph) {
-  graph.updatedAt = nowISO();
-  await invoke('write_graph_file', { graphId: graph.id, contents: JSON.stringify(graph, null, 2) });
+function normalizeNodeReference(raw) {
+  const refGraphId = typeof raw?.refGraphId === 'string' ? raw.refGraphId.trim() : '';
+  return refGraphId ? { refGraphId } : {};
 }
 
-function scheduleAutosave() {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
-  }
+function collectGraphReferences(graph) {
+  return Array.from(
+    new Set(
+      graph.nodes
+        .filter((node) => node.type === 'ref' && node.refGraphId)
+        .map((node) => node.refGraphId)
+    )
+  );
+}
 
-  if (state.autosaveHandle) {
-    clearTimeout(state.autosaveHandle);
-  }
+function findReferenceCycle(graph, extraReferences = []) {
+  const referencesById = new Map(state.graphSummaries.map((summary) => [summary.id, summary.references || []]));
+  referencesById.set(graph.id, [...collectGraphReferences(graph), ...extraReferences]);
+  const visited = new Set();
 
-  state.autosaveHandle = setTimeout(async () => {
-    state.autosaveHandle = null;
-    if (!state.currentGraph) {
-      return;
+  const visit = (graphId, trail) => {
+    for (const refId of referencesById.get(graphId) || []) {
+      if (refId === graph.id) {
+        return [...trail, refId];
+      }
+      if (!visited.has(refId)) {
+        visited.add(refId);
+        const cycle = visit(refId, [...trail, refId]);
+        if (cycle) {
+          return cycle;
+        }
+      }
     }
+    return null;
+  };
 
-    try {
-      enforceGraphConsistency(state.currentGraph);
-      await persistGraph(state.currentGraph);
-      upsertGraphSummary(state.currentGraph);
-      renderGraphList();
-      setStatus('Autosaved.');
-    } catch (error) {
-      console.error('Autosave failed:', error);
-      await showAlert('Autosave failed. Check file permissions.');
-    }
-  }, AUTOSAVE_DELAY_MS);
+  return visit(graph.id, [graph.id]);
 }
 
-function renderGraphList() {
-  el.graphList.replaceChildren();
+function formatReferenceCycle(graph, cycle) {
+  return cycle
+    .map((graphId) =>
+      graphId === graph.id ? graph.name : state.graphSummaries.find((item) => item.id === graphId)?.name || graphId
+    )
+    .join(' → ');
+}
 
-  const currentId = state.currentGraph?.id || null;
+function normalizeVariableName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  return /^[A-Za-z_][\w-]*$/.test(name) ? name : '';
+}
 
-  state.graphSummaries.forEach((summary) => {
-    const item = document.createElement('li');
-    item.className = 'graph-item';
+function normalizeVariableValue(value) {
+  return typeof value === 'string' || Number.isFinite(value) ? String(value).trim() : '';
+}
 
-    const button = document.createElement('button');
-    button.className = 'graph-item__btn';
-    button.type = 'button';
-    button.dataset.graphId = summary.id;
+function normalizeGraphVariables(value) {
+  const variables = {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return variables;
+  }
 
-    if (summary.id === currentId) {
-      button.classList.add('is-selected');
+  Object.entries(value).forEach(([rawName, rawValue]) => {
+    const name = normalizeVariableName(rawName);
+    if (name) {
+      variables[name] = normalizeVariableValue(rawValue);
     }
+  });
+  return variables;
+}
 
-    const name = document.createElement('span');
-    name.className = 'graph-item__name';
-    name.textContent = summary.name;
+function normalizeLogic(raw, withEffects) {
+  const logic = {};
+  const conditions = (Array.isArray(raw?.conditions) ? raw.conditions : [])
+    .map((condition) => ({
+      variable: normalizeVariableName(condition?.variable),
+      operator: condition?.operator === '!=' ? '!=' : '=',
+      value: normalizeVariableValue(condition?.value)
+    }))
+    .filter((condition) => condition.variable);
+  const effects = (withEffects && Array.isArray(raw?.effects) ? raw.effects : [])
+    .map((effect) => ({
+      variable: normalizeVariableName(effect?.variable),
+      value: normalizeVariableValue(effect?.value)
+    }))
+    .filter((effect) => effect.variable);
+
+  if (conditions.length > 0) {
+    logic.conditions = conditions;
+    logic.conditionMode = raw.conditionMode === 'hide' ? 'hide' : 'disable';
+  }
+  if (effects.length > 0) {
+    logic.effects = effects;
+  }
+  const score = Number(raw?.score);
+  if (withEffects && Number.isFinite(score) && score !== 0) {
+    logic.score = score;
+  }
+  return logic;
+}
 
-    const meta = document.createElement('span');
-    meta.className = 'graph-item__meta';
-    meta.textContent = formatTimestamp(summary.lastModified);
+function applyLogic(item, logic) {
+  delete item.conditions;
+  delete item.conditionMode;
+  delete item.effects;
+  delete item.score;
+  Object.assign(item, logic);
+}
 
-    button.appendChild(name);
-    button.appendChild(meta);
-    item.appendChild(button);
-    el.graphList.appendChild(item);
+function formatLogicRules(item) {
+  const lines = [];
+  if (item?.score) {
+    lines.push(`score = ${item.score}`);
+  }
+  (item?.effects || []).forEach((effect) => {
+    lines.push(`set ${effect.variable} = ${effect.value}`);
+  });
+  (item?.conditions || []).forEach((condition) => {
+    lines.push(`if ${condition.variable} ${condition.operator} ${condition.value}`);
   });
+  if (item?.conditionMode === 'hide') {
+    lines.push('hide');
+  }
+  return lines;
 }
 
-function renderGraph() {
-  const graph = state.currentGraph;
+function parseLogicRules(text, withEffects) {
+  const raw = { conditions: [], effects: [], conditionMode: 'disable', score: 0 };
+  const unquote = (value) => value.trim().replace(/^"(.*)"$/, '$1');
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
 
-  if (!graph) {
-    el.currentGraphName.textContent = 'No Graph Loaded';
-    el.nodeLayer.replaceChildren();
-    el.edgeControlLayer.replaceChildren();
-    el.edgeLayer.querySelectorAll('.edge').forEach((node) => node.remove());
-    el.emptyState.classList.remove('hidden');
-    closeNodeColorPicker();
-    applyViewportTransform();
-    updateActionButtons();
-    return;
-  }
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index].trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
 
-  if (state.colorPickerNodeId && !graph.nodes.some((node) => node.id === state.colorPickerNodeId)) {
-    closeNodeColorPicker();
+    const scoreMatch = line.match(/^score\s*=?\s*([+-]?\d+(?:\.\d+)?)$/i);
+    const setMatch = line.match(/^set\s+([A-Za-z_][\w-]*)\s*=\s*(.*)$/i);
+    const ifMatch = line.match(/^if\s+([A-Za-z_][\w-]*)\s*(!=|=)\s*(.*)$/i);
+    if (scoreMatch && withEffects) {
+      raw.score = Number(scoreMatch[1]);
+    } else if (setMatch && withEffects) {
+      raw.effects.push({ variable: setMatch[1], value: unquote(setMatch[2]) });
+    } else if (ifMatch) {
+      raw.conditions.push({ variable: ifMatch[1], operator: ifMatch[2], value: unquote(ifMatch[3]) });
+    } else if (/^(hide|disable)$/i.test(line)) {
+      raw.conditionMode = line.toLowerCase();
+    } else {
+      return { logic: null, error: `Line ${index + 1} is not a valid rule: ${line}` };
+    }
   }
 
-  enforceGraphConsistency(graph);
-
-  el.currentGraphName.textContent = graph.name;
-  el.emptyState.classList.toggle('hidden', graph.nodes.length > 0);
+  return { logic: normalizeLogic(raw, withEffects), error: null };
+}
 
-  renderNodes();
-  renderEdges();
-  applyViewportTransform();
-  renderGraphList();
-  updateActionButtons();
+function conditionsMet(conditions, values) {
+  return (conditions || []).every((condition) => {
+    const current = values[condition.variable] ?? '';
+    return condition.operator === '!=' ? current !== condition.value : current === condition.value;
+  });
 }
 
-function getPathContext() {
-  const graph = state.currentGraph;
-  const context = {
-    nodePathSet: new Set(),
-    edgePathSet: new Set(),
-    selectedEdgeSet: new Set(),
-    selectedNodeSet: new Set(),
-    activeNodeId: null,
-    activeEdgeId: null
-  };
+function getChoiceAvailability(sourceNode, edge, targetNode, values) {
+  const button = sourceNode.buttons.find((item) => item.id === edge.buttonId);
+  const failed = [button, targetNode].filter(
+    (item) => item?.conditions?.length > 0 && !conditionsMet(item.conditions, values)
+  );
 
-  if (!graph) {
-    return context;
+  if (failed.length === 0) {
+    return 'available';
   }
+  return failed.some((item) => item.conditionMode === 'hide') ? 'hidden' : 'disabled';
+}
 
-  const nodeIdSet = new Set(graph.nodes.map((node) => node.id));
-  const edgeIdSet = new Set(graph.edges.map((edge) => edge.id));
-  const edgeById = new Map(graph.edges.map((edge) => [edge.id, edge]));
-  const normalizedPath = [];
+function describeConditions(items) {
+  return items
+    .flatMap((item) => item?.conditions || [])
+    .map((condition) => `${condition.variable} ${condition.operator} ${condition.value || '""'}`)
+    .join(', ');
+}
 
-  (graph.ui.activePath || []).forEach((entry) => {
-    if (nodeIdSet.has(entry) || edgeIdSet.has(entry)) {
-      normalizedPath.push(entry);
+function describeVariableValues(values) {
+  return Object.entries(values)
+    .map(([name, value]) => `${name} = ${value || '""'}`)
+    .join(', ');
+}
+
+function walkActivePath(graph) {
+  const rootNodeId = getRootNodeId(graph);
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const connectedByNode = new Map(graph.nodes.map((node) => [node.id, []]));
+  const selections = getActiveSelections(graph);
+  const values = { ...(graph.variables || {}) };
+  const valuesByNode = new Map();
+  const scoredEdgeIds = new Set();
+  const path = [];
+  let score = 0;
+
+  graph.edges.forEach((edge) => {
+    if (typeof edge.to === 'string' && nodeById.has(edge.to)) {
+      connectedByNode.get(edge.from)?.push(edge);
     }
   });
 
-  graph.ui.activePath = normalizedPath;
-
-  normalizedPath.forEach((entry) => {
-    if (nodeIdSet.has(entry)) {
-      context.nodePathSet.add(entry);
+  const walk = (nodeId, stack) => {
+    const node = nodeById.get(nodeId);
+    if (!node) {
+      return;
     }
-    if (edgeIdSet.has(entry)) {
-      context.edgePathSet.add(entry);
+
+    path.push(nodeId);
+    if (!valuesByNode.has(nodeId)) {
+      valuesByNode.set(nodeId, { ...values });
     }
-  });
 
-  const selections = getActiveSelections(graph);
-  Object.values(selections).forEach((selection) => {
-    if (!Array.isArray(selection)) {
+    if (stack.has(nodeId)) {
       return;
     }
 
-    selection.forEach((edgeId) => {
-      if (typeof edgeId === 'string' && edgeIdSet.has(edgeId)) {
-        const edge = edgeById.get(edgeId);
-        if (edge && edgeHasTarget(edge)) {
-          context.selectedEdgeSet.add(edgeId);
-          context.selectedNodeSet.add(edge.from);
-          context.selectedNodeSet.add(edge.to);
-        }
+    const nextStack = new Set(stack);
+    nextStack.add(nodeId);
+
+    const rawSelected = Array.isArray(selections[nodeId]) ? selections[nodeId] : [];
+    const availableEdges = connectedByNode
+      .get(nodeId)
+      .filter((edge) => getChoiceAvailability(node, edge, nodeById.get(edge.to), values) === 'available');
+
+    getFollowedEdges(node, availableEdges, rawSelected).forEach((edge) => {
+      const button = node.buttons.find((item) => item.id === edge.buttonId);
+      path.push(edge.id);
+      // Branches that meet again walk the shared part twice; each chosen edge still scores once.
+      if (!scoredEdgeIds.has(edge.id)) {
+        scoredEdgeIds.add(edge.id);
+        score += button?.score || 0;
       }
+      button?.effects?.forEach((effect) => {
+        values[effect.variable] = effect.value;
+      });
+      walk(edge.to, nextStack);
     });
-  });
+  };
 
-  if (state.lastChosenEdgeId && context.edgePathSet.has(state.lastChosenEdgeId)) {
-    context.activeEdgeId = state.lastChosenEdgeId;
-    const chosenEdge = edgeById.get(state.lastChosenEdgeId);
-    if (chosenEdge && context.nodePathSet.has(chosenEdge.to)) {
-      context.activeNodeId = chosenEdge.to;
-    }
+  if (rootNodeId) {
+    walk(rootNodeId, new Set());
   }
 
-  if (!context.activeNodeId && state.lastChosenNodeId && context.nodePathSet.has(state.lastChosenNodeId)) {
-    context.activeNodeId = state.lastChosenNodeId;
-  }
+  return { path, valuesByNode, values, score };
+}
 
-  for (let index = normalizedPath.length - 1; index >= 0; index -= 1) {
-    const entry = normalizedPath[index];
-    if (!context.activeEdgeId && edgeIdSet.has(entry)) {
-      context.activeEdgeId = entry;
-    }
-    if (!context.activeNodeId && nodeIdSet.has(entry)) {
-      context.activeNodeId = entry;
-    }
-    if (context.activeEdgeId && context.activeNodeId) {
-      break;
-    }
-  }
+function graphHasScores(graph) {
+  return Boolean(graph?.nodes.some((node) => node.buttons.some((button) => button.score)));
+}
 
-  return context;
+function formatScore(value, signed = false) {
+  const text = Number.isInteger(value) ? String(value) : value.toFixed(2).replace(/\.?0+$/, '');
+  return signed && value > 0 ? `+${text}` : text;
 }
 
-function renderNodes() {
-  const graph = state.currentGraph;
-  if (!graph) {
-    return;
+function rankEndNodesByScore(graph) {
+  const rootNodeId = getRootNodeId(graph);
+  if (!rootNodeId) {
+    return [];
   }
 
-  el.nodeLayer.replaceChildren();
-  state.nodeElements.clear();
-
-  const context = getPathContext();
-  const showViewPath = state.mode === 'view';
-  graph.nodes.forEach((node) => {
-    const nodeEl = document.createElement('div');
-    nodeEl.className = 'node';
-    nodeEl.dataset.nodeId = node.id;
-    nodeEl.style.left = `${node.x}px`;
-    nodeEl.style.top = `${node.y}px`;
-    const nodeColor = getNodeBaseColor(node);
-    const nodeTextColor = getReadableTextColor(nodeColor);
-    const titleColor =
-      nodeTextColor === '#ffffff' ? mixColor(nodeColor, 0.2) : mixColor(nodeColor, -0.12);
-    nodeEl.style.setProperty('--node-color', nodeColor);
-    nodeEl.style.setProperty('--node-title-color', titleColor);
-    nodeEl.style.setProperty('--node-text-color', nodeTextColor);
-
-    if (graph.ui.selectedNodeId === node.id) {
-      nodeEl.classList.add('node--selected');
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const outgoing = new Map(graph.nodes.map((node) => [node.id, []]));
+  graph.edges.forEach((edge) => {
+    if (edgeHasTarget(edge) && nodeById.has(edge.to)) {
+      outgoing.get(edge.from)?.push(edge);
     }
+  });
 
-    if (showViewPath && context.nodePathSet.has(node.id)) {
-      nodeEl.classList.add('node--path');
-    }
+  // Back edges are dropped so the remaining graph can be relaxed in topological order.
+  const visitState = new Map();
+  const backEdgeIds = new Set();
+  const order = [];
+  const visit = (nodeId) => {
+    visitState.set(nodeId, 'active');
+    outgoing.get(nodeId).forEach((edge) => {
+      const targetState = visitState.get(edge.to);
+      if (targetState === 'active') {
+        backEdgeIds.add(edge.id);
+      } else if (!targetState) {
+        visit(edge.to);
+      }
+    });
+    visitState.set(nodeId, 'done');
+    order.push(nodeId);
+  };
+  visit(rootNodeId);
 
-    if (context.selectedNodeSet.has(node.id) || (showViewPath && context.activeNodeId === node.id)) {
-      nodeEl.classList.add('node--active');
+  const best = new Map([[rootNodeId, 0]]);
+  order.reverse().forEach((nodeId) => {
+    const node = nodeById.get(nodeId);
+    if (!best.has(nodeId) || node.type === 'outcome') {
+      return;
     }
 
-    if (showViewPath && context.activeNodeId === node.id) {
-      nodeEl.classList.add('node--active-current');
-    }
+    outgoing.get(nodeId).forEach((edge) => {
+      if (backEdgeIds.has(edge.id)) {
+        return;
+      }
 
-    if (state.pendingChoice?.sourceNodeId === node.id) {
-      nodeEl.classList.add('node--choice-source');
-    }
+      const button = node.buttons.find((item) => item.id === edge.buttonId);
+      const score = best.get(nodeId) + (button?.score || 0);
+      if (!best.has(edge.to) || score > best.get(edge.to)) {
+        best.set(edge.to, score);
+      }
+    });
+  });
 
-    const header = document.createElement('div');
-    header.className = 'node__header';
+  const ranking = order
+    .map((nodeId) => nodeById.get(nodeId))
+    .filter((node) => best.has(node.id) && (node.type === 'outcome' || outgoing.get(node.id).length === 0))
+    .map((node) => ({ node, score: best.get(node.id) }))
+    .sort((a, b) => b.score - a.score);
 
-    const title = document.createElement('div');
-    title.className = 'node__title';
-    title.dataset.nodeId = node.id;
-    title.textContent = node.text;
+  ranking.forEach((entry, index) => {
+    entry.rank = index > 0 && ranking[index - 1].score === entry.score ? ranking[index - 1].rank : index + 1;
+  });
+  return ranking;
+}
 
-    const typeToggle =
-      state.mode === 'edit' ? document.createElement('button') : document.createElement('span');
-    typeToggle.className =
-      state.mode === 'edit'
-        ? `win-button node-type-toggle node-type-toggle--${node.type}`
-        : `node-type-badge node-type-toggle--${node.type}`;
-    typeToggle.dataset.nodeId = node.id;
-    typeToggle.textContent = node.type.toUpperCase();
+function getChoiceAvailabilityMap(graph) {
+  const { valuesByNode, values } = walkActivePath(graph);
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const availability = new Map();
 
-    if (state.mode === 'edit') {
-      typeToggle.type = 'button';
-      typeToggle.title = 'Klick: Node-Typ OR/XOR umschalten';
+  graph.edges.forEach((edge) => {
+    const source = nodeById.get(edge.from);
+    const target = edgeHasTarget(edge) ? nodeById.get(edge.to) : null;
+    if (source && target) {
+      availability.set(
+        edge.id,
+        getChoiceAvailability(source, edge, target, valuesByNode.get(source.id) || values)
+      );
     }
+  });
 
-    header.appendChild(title);
-    header.appendChild(typeToggle);
+  return availability;
+}
 
-    nodeEl.appendChild(header);
-    el.nodeLayer.appendChild(nodeEl);
-    state.nodeElements.set(node.id, nodeEl);
-  });
+function normalizeNodeDescription(value) {
+  return typeof value === 'string' ? value.replace(/\r\n?/g, '\n').trim() : '';
 }
 
-function cubicBezierPoint(t, p0, p1, p2, p3) {
-  const u = 1 - t;
-  const tt = t * t;
-  const uu = u * u;
-  const uuu = uu * u;
-  const ttt = tt * t;
+function createGraph(name) {
+  const createdAt = nowISO();
+  const startNode = {
+    id: uid('n'),
+    x: 220,
+    y: 120,
+    text: 'Start',
+    description: '',
+    type: DEFAULT_NODE_TYPE,
+    color: null,
+    buttons: []
+  };
 
   return {
-    x: uuu * p0.x + 3 * uu * t * p1.x + 3 * u * tt * p2.x + ttt * p3.x,
-    y: uuu * p0.y + 3 * uu * t * p1.y + 3 * u * tt * p2.y + ttt * p3.y
+    id: uid('g'),
+    name: name || 'New Graph',
+    version: GRAPH_VERSION,
+    createdAt,
+    updatedAt: createdAt,
+    rootNodeId: startNode.id,
+    nodes: [startNode],
+    edges: [],
+    variables: {},
+    ui: {
+      selectedNodeId: startNode.id,
+      activePath: [],
+      activeSelections: {}
+    }
   };
 }
 
-function getDanglingEdgePoint(graph, sourceNode, edge) {
-  if (Number.isFinite(edge.pendingX) && Number.isFinite(edge.pendingY)) {
-    return { x: edge.pendingX, y: edge.pendingY };
+async function generateUniqueGraphId() {
+  let nextId = uid('g');
+
+  while (true) {
+    const usedInMemory = state.graphSummaries.some((item) => item.id === nextId);
+    const usedOnDisk = await invoke('graph_file_exists', { graphId: nextId });
+    if (!usedInMemory && !usedOnDisk) {
+      return nextId;
+    }
+    nextId = uid('g');
   }
+}
 
-  const outgoingEdges = graph.edges.filter((item) => item.from === sourceNode.id);
-  const index = Math.max(0, outgoingEdges.findIndex((item) => item.id === edge.id));
-  const horizontalStep = 250;
-  const verticalStep = 90;
-  const verticalOffset =
-    index === 0 ? 0 : (index % 2 === 1 ? 1 : -1) * Math.ceil(index / 2) * verticalStep;
+const GRAPH_MIGRATIONS = {
+  1: (input) => ({
+    ...input,
+    rootNodeId:
+      typeof input.rootNodeId === 'string' && input.rootNodeId
+        ? input.rootNodeId
+        : Array.isArray(input.nodes)
+          ? input.nodes.find((node) => typeof node?.id === 'string')?.id || null
+          : null
+  }),
+  // v3 brings the and/info/outcome/ref node types, variables with conditions, effects and scores,
+  // and library folders, tags and pins. All of them are optional, so v2 content carries over as is.
+  2: (input) => ({ ...input })
+};
 
-  return {
-    x: sourceNode.x + horizontalStep,
-    y: sourceNode.y + 18 + verticalOffset
-  };
+function readGraphVersion(input) {
+  return Number.isInteger(input?.version) && input.version > 0 ? input.version : 1;
 }
 
-function renderEdges() {
-  const graph = state.currentGraph;
-  if (!graph) {
-    return;
+function migrateGraphData(input, sourceLabel) {
+  let version = readGraphVersion(input);
+  if (version > GRAPH_VERSION) {
+    throw new Error(`${sourceLabel}: unsupported graph version ${version}.`);
   }
 
-  const context = getPathContext();
-  const showViewPath = state.mode === 'view';
-
-  el.edgeControlLayer.replaceChildren();
-  el.edgeLayer.querySelectorAll('.edge').forEach((node) => node.remove());
-
-  graph.edges.forEach((edge) => {
-    const sourceNode = findNode(edge.from);
-    const sourceEl = state.nodeElements.get(edge.from);
-    if (!sourceNode || !sourceEl) {
-      return;
+  let data = input;
+  while (version < GRAPH_VERSION) {
+    const migrate = GRAPH_MIGRATIONS[version];
+    if (typeof migrate !== 'function') {
+      throw new Error(`${sourceLabel}: no migration from graph version ${version}.`);
     }
 
-    const targetNode = edgeHasTarget(edge) ? findNode(edge.to) : null;
-    const targetEl = targetNode ? state.nodeElements.get(targetNode.id) : null;
-    const isDangling = !targetNode || !targetEl;
+    data = migrate(data);
+    version += 1;
+    data.version = version;
+  }
 
-    if (isDangling && state.mode !== 'edit') {
-      return;
-    }
+  return data;
+}
 
-    const sourceWidth = sourceEl.offsetWidth || NODE_WIDTH;
-    const sourceHeight = sourceEl.offsetHeight || 80;
-    const sourceCenterX = sourceNode.x + sourceWidth / 2;
-    const sourceCenterY = sourceNode.y + sourceHeight / 2;
+function normalizeGraph(rawInput, sourceLabel = 'graph') {
+  if (!rawInput || typeof rawInput !== 'object' || Array.isArray(rawInput)) {
+    throw new Error(`${sourceLabel}: root must be an object.`);
+  }
 
-    let endX = 0;
-    let endY = 0;
+  const input = migrateGraphData(rawInput, sourceLabel);
 
-    if (isDangling) {
-      const danglingPoint = getDanglingEdgePoint(graph, sourceNode, edge);
-      endX = danglingPoint.x;
-      endY = danglingPoint.y;
-    } else {
-      const targetWidth = targetEl.offsetWidth || NODE_WIDTH;
-      const targetCenterX = targetNode.x + targetWidth / 2;
-      const targetTopY = targetNode.y + 1;
-      endX = targetCenterX;
-      endY = targetTopY;
-    }
+  if (!Array.isArray(input.nodes)) {
+    throw new Error(`${sourceLabel}: nodes must be an array.`);
+  }
 
-    const startFromBottom = endY >= sourceCenterY;
-    const startX = sourceCenterX;
-    const startY = startFromBottom ? sourceNode.y + sourceHeight : sourceNode.y;
+  if (!Array.isArray(input.edges)) {
+    throw new Error(`${sourceLabel}: edges must be an array.`);
+  }
 
-    const deltaX = endX - startX;
-    const deltaY = endY - startY;
-    const verticalBend = Math.max(54, Math.abs(deltaY) * 0.5);
-    const horizontalBend = deltaX * 0.35;
-    const c1x = startX + horizontalBend;
-    const c1y = startY + (startFromBottom ? verticalBend : -verticalBend);
-    const c2x = endX;
-    const c2y = endY - verticalBend;
+  const graph = {
+    id: typeof input.id === 'string' && input.id ? input.id : uid('g'),
+    name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : 'Untitled Graph',
+    version: GRAPH_VERSION,
+    createdAt: typeof input.createdAt === 'string' ? input.createdAt : nowISO(),
+    updatedAt: typeof input.updatedAt === 'string' ? input.updatedAt : nowISO(),
+    rootNodeId:
+      typeof input.rootNodeId === 'string' && input.rootNodeId.trim() ? input.rootNodeId.trim() : null,
+    nodes: [],
+    edges: [],
+    variables: normalizeGraphVariables(input.variables),
+    folder: normalizeGraphFolder(input.folder) || '',
+    tags: normalizeGraphTags(input.tags),
+    pinned: input.pinned === true,
+    ui: {
+      selectedNodeId:
+        typeof input.ui?.selectedNodeId === 'string' ? input.ui.selectedNodeId : null,
+      activePath: Array.isArray(input.ui?.activePath)
+        ? input.ui.activePath.filter((entry) => typeof entry === 'string')
+        : [],
+      activeSelections:
+        input.ui?.activeSelections &&
+        typeof input.ui.activeSelections === 'object' &&
+        !Array.isArray(input.ui.activeSelections)
+          ? input.ui.activeSelections
+          : {}
+    }
+  };
 
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.classList.add('edge');
-    path.dataset.edgeId = edge.id;
-    path.setAttribute('d', `M ${startX} ${startY} C ${c1x} ${c1y}, ${c2x} ${c2y}, ${endX} ${endY}`);
-    let danglingHitTarget = null;
+  const nodeIdSet = new Set();
 
-    if (showViewPath && context.edgePathSet.has(edge.id)) {
-      path.classList.add('edge--path');
+  input.nodes.forEach((rawNode, index) => {
+    if (!rawNode || typeof rawNode !== 'object') {
+      return;
     }
 
-    if (isDangling) {
-      path.classList.add('edge--dangling');
-      danglingHitTarget = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      danglingHitTarget.classList.add('edge-dangling-hit');
-      danglingHitTarget.dataset.edgeId = edge.id;
-      danglingHitTarget.setAttribute('cx', `${endX}`);
-      danglingHitTarget.setAttribute('cy', `${endY}`);
-      danglingHitTarget.setAttribute('r', '14');
+    let nodeId =
+      typeof rawNode.id === 'string' && rawNode.id.trim() ? rawNode.id.trim() : uid('n');
+    while (nodeIdSet.has(nodeId)) {
+      nodeId = uid('n');
     }
+    nodeIdSet.add(nodeId);
 
-    const isEditSelected = state.mode === 'edit' && state.selectedEdgeId === edge.id;
-    const isLineSelected = isEditSelected && state.selectedEdgeSelectionSource === 'line';
-    const isSelectionActive = context.selectedEdgeSet.has(edge.id);
-    const isViewActive = showViewPath && context.activeEdgeId === edge.id;
+    const buttons = [];
+    const buttonSet = new Set();
 
-    const isStronglyActive = isSelectionActive || isViewActive;
-    const isPath = showViewPath && context.edgePathSet.has(edge.id);
+    if (Array.isArray(rawNode.buttons)) {
+      rawNode.buttons.forEach((rawButton) => {
+        if (!rawButton || typeof rawButton !== 'object') {
+          return;
+        }
 
-    if (isStronglyActive) {
-      path.classList.add('edge--active');
-    }
+        let buttonId =
+          typeof rawButton.id === 'string' && rawButton.id.trim()
+            ? rawButton.id.trim()
+            : uid('b');
 
-    if (isLineSelected && !isStronglyActive) {
-      path.classList.add('edge--line-selected');
-    }
+        while (buttonSet.has(buttonId)) {
+          buttonId = uid('b');
+        }
+        buttonSet.add(buttonId);
 
-    const markerVariant = isStronglyActive ? 'active' : isPath ? 'path' : 'default';
-    path.setAttribute('marker-start', `url(#edge-start-${markerVariant})`);
-    path.setAttribute('marker-end', `url(#arrow-head-${markerVariant})`);
+        buttons.push({
+          id: buttonId,
+          text:
+            typeof rawButton.text === 'string' && rawButton.text.trim()
+              ? rawButton.text.trim()
+              : 'Choice',
+          to:
+            typeof rawButton.to === 'string' && rawButton.to.trim()
+              ? rawButton.to.trim()
+              : null,
+          ...normalizeLogic(rawButton, true)
+        });
+      });
+    }
 
-    const button = findButtonForEdge(edge);
-    const edgeButton = document.createElement('button');
-    edgeButton.className = 'win-button edge-choice-button';
-    edgeButton.type = 'button';
-    edgeButton.dataset.edgeId = edge.id;
-    edgeButton.textContent = button?.text || 'Choice';
-    edgeButton.title = `${button?.text || 'Choice'}: ${nodeLabel(edge.from)} -> ${
-      edgeHasTarget(edge) ? nodeLabel(edge.to) : '(unassigned)'
-    }`;
+    graph.nodes.push({
+      id: nodeId,
+      x: Number.isFinite(rawNode.x) ? rawNode.x : 140 + index * 30,
+      y: Number.isFinite(rawNode.y) ? rawNode.y : 100 + index * 30,
+      text:
+        typeof rawNode.text === 'string' && rawNode.text.trim()
+          ? rawNode.text.trim()
+          : `Node ${index + 1}`,
+      description: normalizeNodeDescription(rawNode.description),
+      type: normalizeNodeType(rawNode.type),
+      color: normalizeHexColor(rawNode.color),
+      buttons,
+      ...normalizeLogic(rawNode, false),
+      ...normalizeNodeReference(rawNode)
+    });
+  });
 
-    if (isStronglyActive) {
-      edgeButton.classList.add('is-selected');
-    }
+  if (graph.nodes.length === 0) {
+    graph.nodes.push({
+      id: uid('n'),
+      x: 220,
+      y: 120,
+      text: 'Start',
+      description: '',
+      type: DEFAULT_NODE_TYPE,
+      color: null,
+      buttons: []
+    });
+  }
 
-    const midpoint = cubicBezierPoint(
-      0.5,
-      { x: startX, y: startY },
-      { x: c1x, y: c1y },
-      { x: c2x, y: c2y },
-      { x: endX, y: endY }
-    );
-    const indicatorPoint = cubicBezierPoint(
-      0.62,
-      { x: startX, y: startY },
-      { x: c1x, y: c1y },
-      { x: c2x, y: c2y },
-      { x: endX, y: endY }
-    );
-    edgeButton.style.left = `${Math.round(midpoint.x)}px`;
-    edgeButton.style.top = `${Math.round(midpoint.y - 12)}px`;
+  if (!graph.nodes.some((node) => node.id === graph.rootNodeId)) {
+    graph.rootNodeId = graph.nodes[0].id;
+  }
 
-    el.edgeLayer.appendChild(path);
-    if (danglingHitTarget) {
-      el.edgeLayer.appendChild(danglingHitTarget);
-    }
-    el.edgeControlLayer.appendChild(edgeButton);
+  const edgeIdSet = new Set();
 
-    if (isStronglyActive) {
-      const activeIndicator = document.createElement('div');
-      activeIndicator.className = 'edge-activity-indicator';
-      activeIndicator.style.left = `${Math.round(indicatorPoint.x)}px`;
-      activeIndicator.style.top = `${Math.round(indicatorPoint.y)}px`;
-      activeIndicator.title = 'Active choice';
-      el.edgeControlLayer.appendChild(activeIndicator);
+  input.edges.forEach((rawEdge) => {
+    if (!rawEdge || typeof rawEdge !== 'object') {
+      return;
     }
-  });
-}
 
-function updateActionButtons() {
-  const graph = state.currentGraph;
-  const selectedNode = graph?.ui.selectedNodeId || null;
-  const selectedEdge = state.selectedEdgeId;
-  const edgeIdSet = new Set((graph?.edges || []).map((edge) => edge.id));
-  const hasActiveEdges = Array.isArray(graph?.ui?.activePath)
-    ? graph.ui.activePath.some((entry) => edgeIdSet.has(entry))
-    : false;
+    if (typeof rawEdge.from !== 'string') {
+      return;
+    }
 
-  const hasGraph = Boolean(graph);
-  const inEdit = state.mode === 'edit';
+    const fromId = rawEdge.from.trim();
+    const toId =
+      typeof rawEdge.to === 'string' && rawEdge.to.trim() ? rawEdge.to.trim() : null;
 
-  el.renameGraphBtn.disabled = !hasGraph;
-  el.duplicateGraphBtn.disabled = !hasGraph;
-  el.deleteGraphBtn.disabled = !hasGraph;
-  el.exportGraphBtn.disabled = !hasGraph;
+    if (!fromId) {
+      return;
+    }
 
-  el.addNodeBtn.disabled = !hasGraph || !inEdit;
-  el.addChoiceBtn.disabled = !hasGraph || !inEdit;
-  el.editNodeBtn.disabled = !hasGraph || !inEdit || !selectedNode;
-  el.nodeColorBtn.disabled = !hasGraph || !inEdit || !selectedNode;
-  el.editChoiceBtn.disabled = !hasGraph || !inEdit || !selectedEdge;
-  el.deleteNodeBtn.disabled = !hasGraph || !inEdit || !selectedNode;
-  el.deleteChoiceBtn.disabled = !hasGraph || !inEdit || !selectedEdge;
+    if (!graph.nodes.some((node) => node.id === fromId)) {
+      return;
+    }
 
-  el.clearPathBtn.disabled = !hasGraph || !hasActiveEdges;
-}
+    if (toId && !graph.nodes.some((node) => node.id === toId)) {
+      return;
+    }
 
-function getCanvasPoint(event) {
-  const rect = el.editorSurface.getBoundingClientRect();
-  const zoom = currentZoom();
-  return {
-    x: (event.clientX - rect.left - state.viewportOffset.x) / zoom,
-    y: (event.clientY - rect.top - state.viewportOffset.y) / zoom
-  };
-}
+    let edgeId =
+      typeof rawEdge.id === 'string' && rawEdge.id.trim() ? rawEdge.id.trim() : uid('e');
+    while (edgeIdSet.has(edgeId)) {
+      edgeId = uid('e');
+    }
+    edgeIdSet.add(edgeId);
 
-function getDefaultNodePosition() {
-  const graph = state.currentGraph;
-  const width = el.editorSurface.clientWidth || 900;
-  const height = el.editorSurface.clientHeight || 600;
-  const zoom = currentZoom();
-  const index = graph ? graph.nodes.length : 0;
-  const offset = (index % 6) * 18;
-  const centerX = (width / 2 - state.viewportOffset.x) / zoom;
-  const centerY = (height / 2 - state.viewportOffset.y) / zoom;
+    graph.edges.push({
+      id: edgeId,
+      from: fromId,
+      to: toId,
+      buttonId:
+        typeof rawEdge.buttonId === 'string' && rawEdge.buttonId.trim()
+          ? rawEdge.buttonId.trim()
+          : uid('b'),
+      pendingX: Number.isFinite(rawEdge.pendingX) ? rawEdge.pendingX : null,
+      pendingY: Number.isFinite(rawEdge.pendingY) ? rawEdge.pendingY : null
+    });
+  });
 
-  return {
-    x: Math.floor(centerX - NODE_WIDTH / 2 + offset),
-    y: Math.floor(centerY - 44 + offset)
-  };
+  enforceGraphConsistency(graph);
+  return graph;
 }
 
-function handleEditorBackgroundClick(event) {
-  if (state.suppressBackgroundClickOnce) {
-    state.suppressBackgroundClickOnce = false;
-    return;
-  }
+function findFallbackRootNodeId(graph) {
+  const targetIds = new Set(
+    graph.edges.filter((edge) => typeof edge.to === 'string').map((edge) => edge.to)
+  );
+  const withoutIncoming = graph.nodes.find((node) => !targetIds.has(node.id));
+  return (withoutIncoming || graph.nodes[0])?.id || null;
+}
 
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
+function getRootNodeId(graph) {
+  if (graph.nodes.some((node) => node.id === graph.rootNodeId)) {
+    return graph.rootNodeId;
   }
+  return graph.nodes[0]?.id || null;
+}
 
-  if (event.target.closest('.node') || event.target.closest('[data-edge-id]')) {
-    return;
+function getActiveSelections(graph) {
+  if (!graph.ui || typeof graph.ui !== 'object') {
+    graph.ui = {};
   }
 
-  if (state.pendingChoice) {
-    return;
+  if (
+    !graph.ui.activeSelections ||
+    typeof graph.ui.activeSelections !== 'object' ||
+    Array.isArray(graph.ui.activeSelections)
+  ) {
+    graph.ui.activeSelections = {};
   }
 
-  state.currentGraph.ui.selectedNodeId = null;
-  setSelectedEdge(null);
-  renderGraph();
-  setStatus('Selection cleared.');
+  return graph.ui.activeSelections;
 }
 
-function handleEditorSurfaceMouseDown(event) {
-  if (event.button !== 0) {
-    return;
-  }
-
-  if (state.dragging) {
+function rebuildActivePathFromSelections(graph) {
+  const rootNodeId = getRootNodeId(graph);
+  if (!rootNodeId) {
+    graph.ui.activePath = [];
+    graph.ui.activeSelections = {};
     return;
   }
 
-  if (event.target.closest('.zoom-control')) {
-    return;
-  }
+  const selections = getActiveSelections(graph);
+  const nextPath = walkActivePath(graph).path;
+  graph.ui.activePath = nextPath;
 
-  if (event.target.closest('.node') || event.target.closest('[data-edge-id]')) {
-    return;
-  }
+  const activeNodeIds = new Set();
+  const activeEdgeIds = new Set();
+  const nodeIdSet = new Set(graph.nodes.map((node) => node.id));
+  const edgeIdSet = new Set(graph.edges.map((edge) => edge.id));
 
-  state.panning = {
-    startClientX: event.clientX,
-    startClientY: event.clientY,
-    startOffsetX: state.viewportOffset.x,
-    startOffsetY: state.viewportOffset.y,
-    moved: false
-  };
+  nextPath.forEach((entry) => {
+    if (nodeIdSet.has(entry)) {
+      activeNodeIds.add(entry);
+    } else if (edgeIdSet.has(entry)) {
+      activeEdgeIds.add(entry);
+    }
+  });
 
-  el.editorSurface.classList.add('is-panning');
-  event.preventDefault();
-}
+  const prunedSelections = {};
+  Object.entries(selections).forEach(([nodeId, edgeIds]) => {
+    if (!activeNodeIds.has(nodeId) || !Array.isArray(edgeIds)) {
+      return;
+    }
 
-function handleEditorDoubleClick(event) {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
-  }
+    const filtered = [];
+    edgeIds.forEach((edgeId) => {
+      if (typeof edgeId === 'string' && activeEdgeIds.has(edgeId) && !filtered.includes(edgeId)) {
+        filtered.push(edgeId);
+      }
+    });
 
-  if (event.target.closest('.node') || event.target.closest('[data-edge-id]')) {
-    return;
-  }
+    if (filtered.length > 0) {
+      prunedSelections[nodeId] = filtered;
+    }
+  });
 
-  const point = getCanvasPoint(event);
-  addNodeAt(point.x - NODE_WIDTH / 2, point.y - 30);
+  graph.ui.activeSelections = prunedSelections;
 }
 
-function handleNodeLayerClick(event) {
-  if (!state.currentGraph) {
-    return;
-  }
+function enforceGraphConsistency(graph) {
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
 
-  const typeToggle = event.target.closest('.node-type-toggle');
-  if (typeToggle) {
-    const nodeId = typeToggle.dataset.nodeId;
-    if (nodeId && state.mode === 'edit') {
-      toggleNodeType(nodeId);
+  graph.edges = graph.edges.filter((edge) => {
+    if (!nodeById.has(edge.from)) {
+      return false;
     }
-    event.stopPropagation();
-    return;
-  }
 
-  const nodeElement = event.target.closest('.node');
-  if (!nodeElement) {
-    return;
-  }
+    if (typeof edge.to === 'string' && edge.to.trim()) {
+      edge.to = edge.to.trim();
+      edge.pendingX = null;
+      edge.pendingY = null;
+      return nodeById.has(edge.to);
+    }
 
-  const nodeId = nodeElement.dataset.nodeId;
-  if (!nodeId) {
-    return;
-  }
+    edge.to = null;
+    edge.pendingX = Number.isFinite(edge.pendingX) ? edge.pendingX : null;
+    edge.pendingY = Number.isFinite(edge.pendingY) ? edge.pendingY : null;
+    return true;
+  });
 
-  if (state.mode === 'edit' && state.pendingChoice) {
-    completePendingChoice(nodeId);
-    event.stopPropagation();
-    return;
-  }
+  const outgoingByNode = new Map();
+  graph.edges.forEach((edge) => {
+    const list = outgoingByNode.get(edge.from) || [];
+    list.push(edge);
+    outgoingByNode.set(edge.from, list);
+  });
 
-  state.currentGraph.ui.selectedNodeId = nodeId;
-  setSelectedEdge(null);
-  renderGraph();
-  setStatus('Node selected.');
+  graph.nodes.forEach((node) => {
+    node.type = normalizeNodeType(node.type);
+    node.color = normalizeHexColor(node.color);
 
-  event.stopPropagation();
-}
+    const outgoing = outgoingByNode.get(node.id) || [];
+    const buttonById = new Map((node.buttons || []).map((button) => [button.id, button]));
 
-function handleNodeLayerDoubleClick(event) {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
-  }
+    outgoing.forEach((edge) => {
+      let button = buttonById.get(edge.buttonId);
+      if (!button) {
+        button = { id: edge.buttonId, text: 'Choice', to: edge.to };
+        node.buttons.push(button);
+        buttonById.set(edge.buttonId, button);
+      }
+      button.to = typeof edge.to === 'string' && edge.to ? edge.to : null;
+      if (!button.text || typeof button.text !== 'string') {
+        button.text = 'Choice';
+      }
+    });
 
-  const title = event.target.closest('.node__title');
-  if (title) {
-    const nodeId = title.dataset.nodeId;
-    if (nodeId) {
-      state.currentGraph.ui.selectedNodeId = nodeId;
-      setSelectedEdge(null);
-      void editSelectedNodeTextFlow();
-    }
-    event.stopPropagation();
-  }
-}
+    const validButtonIds = new Set(outgoing.map((edge) => edge.buttonId));
+    node.buttons = node.buttons.filter((button) => validButtonIds.has(button.id));
+  });
 
-function handleNodeLayerMouseDown(event) {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
-  }
+  const nodeIdSet = new Set(graph.nodes.map((node) => node.id));
+  const edgeIdSet = new Set(graph.edges.map((edge) => edge.id));
+  const edgeById = new Map(graph.edges.map((edge) => [edge.id, edge]));
 
-  if (event.button !== 0) {
-    return;
+  if (!nodeIdSet.has(graph.rootNodeId)) {
+    graph.rootNodeId = findFallbackRootNodeId(graph);
   }
 
-  if (event.target.closest('.node-type-toggle')) {
-    return;
-  }
+  graph.ui.selectedNodeId = nodeIdSet.has(graph.ui.selectedNodeId)
+    ? graph.ui.selectedNodeId
+    : null;
 
-  const nodeElement = event.target.closest('.node');
-  if (!nodeElement) {
-    return;
-  }
+  const currentSelections = getActiveSelections(graph);
+  const hasExplicitSelections = Object.keys(currentSelections).some((nodeId) =>
+    Array.isArray(currentSelections[nodeId])
+  );
 
-  const nodeId = nodeElement.dataset.nodeId;
-  if (!nodeId) {
-    return;
-  }
+  const derivedSelections = {};
+  if (!hasExplicitSelections) {
+    (graph.ui.activePath || []).forEach((entry) => {
+      if (!edgeIdSet.has(entry)) {
+        return;
+      }
 
-  const node = findNode(nodeId);
-  if (!node) {
-    return;
-  }
+      const edge = edgeById.get(entry);
+      if (!edge) {
+        return;
+      }
 
-  const pointerWorld = getCanvasPoint(event);
-  state.dragging = {
-    nodeId,
-    offsetX: pointerWorld.x - node.x,
-    offsetY: pointerWorld.y - node.y,
-    moved: false
-  };
+      if (!derivedSelections[edge.from]) {
+        derivedSelections[edge.from] = [];
+      }
 
-  state.currentGraph.ui.selectedNodeId = nodeId;
-  setSelectedEdge(null);
-  renderGraph();
+      if (!derivedSelections[edge.from].includes(edge.id)) {
+        derivedSelections[edge.from].push(edge.id);
+      }
+    });
+  }
 
-  event.preventDefault();
-}
+  const sourceSelections = hasExplicitSelections ? currentSelections : derivedSelections;
+  const normalizedSelections = {};
 
-function handleWindowMouseMove(event) {
-  if (state.edgeConnectDrag && state.currentGraph) {
-    const edge = findEdge(state.edgeConnectDrag.edgeId);
-    if (!edge || edgeHasTarget(edge)) {
-      return;
-    }
+  graph.nodes.forEach((node) => {
+    const outgoing = outgoingByNode.get(node.id) || [];
+    const validEdgeIds = new Set(
+      outgoing
+        .filter((edge) => typeof edge.to === 'string' && edge.to && nodeById.has(edge.to))
+        .map((edge) => edge.id)
+    );
+    const rawSelection = Array.isArray(sourceSelections[node.id]) ? sourceSelections[node.id] : [];
+    const uniqueSelection = [];
 
-    const point = getCanvasPoint(event);
-    const nextPendingX = Math.round(point.x);
-    const nextPendingY = Math.round(point.y);
+    rawSelection.forEach((edgeId) => {
+      if (
+        typeof edgeId === 'string' &&
+        validEdgeIds.has(edgeId) &&
+        !uniqueSelection.includes(edgeId)
+      ) {
+        uniqueSelection.push(edgeId);
+      }
+    });
 
-    if (edge.pendingX === nextPendingX && edge.pendingY === nextPendingY) {
-      return;
+    const allowedSelection = limitSelectionToNodeType(node.type, uniqueSelection);
+    if (allowedSelection.length > 0) {
+      normalizedSelections[node.id] = allowedSelection;
     }
+  });
 
-    edge.pendingX = nextPendingX;
-    edge.pendingY = nextPendingY;
-    state.edgeConnectDrag.moved = true;
-    renderEdges();
-    applyViewportTransform();
+  graph.ui.activeSelections = normalizedSelections;
+  rebuildActivePathFromSelections(graph);
+
+  if (graph !== state.currentGraph) {
     return;
   }
 
-  if (state.dragging && state.currentGraph) {
-    const node = findNode(state.dragging.nodeId);
-    const nodeElement = state.nodeElements.get(state.dragging.nodeId);
-    if (!node || !nodeElement) {
-      return;
+  if (state.selectedEdgeId && !edgeIdSet.has(state.selectedEdgeId)) {
+    state.selectedEdgeId = null;
+    state.selectedEdgeSelectionSource = null;
+  }
+
+  state.selectedNodeIds.forEach((nodeId) => {
+    if (!nodeIdSet.has(nodeId)) {
+      state.selectedNodeIds.delete(nodeId);
+    }
+  });
+  state.selectedEdgeIds.forEach((edgeId) => {
+    if (!edgeIdSet.has(edgeId)) {
+      state.selectedEdgeIds.delete(edgeId);
     }
+  });
 
-    const canvasRect = el.editorSurface.getBoundingClientRect();
-    const zoom = currentZoom();
-    const pointerWorldX = (event.clientX - canvasRect.left - state.viewportOffset.x) / zoom;
-    const pointerWorldY = (event.clientY - canvasRect.top - state.viewportOffset.y) / zoom;
-    const nextX = pointerWorldX - state.dragging.offsetX;
-    const nextY = pointerWorldY - state.dragging.offsetY;
+  if (state.pendingChoice && !nodeIdSet.has(state.pendingChoice.sourceNodeId)) {
+    state.pendingChoice = null;
+  }
+}
 
-    if (Math.round(nextX) === node.x && Math.round(nextY) === node.y) {
-      return;
-    }
+function findNode(nodeId) {
+  return state.currentGraph?.nodes.find((node) => node.id === nodeId) || null;
+}
 
-    node.x = Math.round(nextX);
-    node.y = Math.round(nextY);
-    state.dragging.moved = true;
+function findEdge(edgeId) {
+  return state.currentGraph?.edges.find((edge) => edge.id === edgeId) || null;
+}
 
-    nodeElement.style.left = `${node.x}px`;
-    nodeElement.style.top = `${node.y}px`;
+function setSelectedEdge(edgeId, source = null) {
+  state.selectedNodeIds.clear();
+  state.selectedEdgeIds.clear();
 
-    renderEdges();
-    applyViewportTransform();
+  if (typeof edgeId !== 'string' || edgeId.length === 0) {
+    state.selectedEdgeId = null;
+    state.selectedEdgeSelectionSource = null;
     return;
   }
 
-  if (!state.panning) {
-    return;
-  }
+  state.selectedEdgeId = edgeId;
+  state.selectedEdgeSelectionSource = source;
+}
 
-  const nextOffsetX = state.panning.startOffsetX + (event.clientX - state.panning.startClientX);
-  const nextOffsetY = state.panning.startOffsetY + (event.clientY - state.panning.startClientY);
+function getSelectedNodeIds() {
+  const nodeIds = new Set(state.selectedNodeIds);
+  if (state.currentGraph?.ui.selectedNodeId) {
+    nodeIds.add(state.currentGraph.ui.selectedNodeId);
+  }
+  return nodeIds;
+}
 
-  if (nextOffsetX === state.viewportOffset.x && nextOffsetY === state.viewportOffset.y) {
-    return;
+function getSelectedEdgeIds() {
+  const edgeIds = new Set(state.selectedEdgeIds);
+  if (state.selectedEdgeId) {
+    edgeIds.add(state.selectedEdgeId);
   }
+  return edgeIds;
+}
 
-  state.viewportOffset.x = nextOffsetX;
-  state.viewportOffset.y = nextOffsetY;
-  state.panning.moved = true;
-  applyViewportTransform();
+function hasMultiSelection() {
+  return getSelectedNodeIds().size + getSelectedEdgeIds().size > 1;
 }
 
-function handleWindowMouseUp(event) {
-  if (!state.dragging && !state.panning && !state.edgeConnectDrag) {
+function setMultiSelection(nodeIds, edgeIds) {
+  const graph = state.currentGraph;
+  if (!graph) {
     return;
   }
 
-  if (state.edgeConnectDrag && state.currentGraph) {
-    const dragState = state.edgeConnectDrag;
-    state.edgeConnectDrag = null;
+  const nodeList = Array.from(new Set(nodeIds));
+  const edgeList = Array.from(new Set(edgeIds));
+  const isSingle = nodeList.length + edgeList.length === 1;
 
-    const edge = findEdge(dragState.edgeId);
-    if (edge && !edgeHasTarget(edge)) {
-      const targetNodeElement = event.target?.closest?.('.node');
-      const targetNodeId = targetNodeElement?.dataset?.nodeId || null;
+  graph.ui.selectedNodeId = isSingle && nodeList.length === 1 ? nodeList[0] : null;
+  setSelectedEdge(isSingle && edgeList.length === 1 ? edgeList[0] : null, 'line');
 
-      if (targetNodeId && targetNodeId !== dragState.sourceNodeId) {
-        if (assignDanglingChoiceToNode(dragState.edgeId, targetNodeId)) {
-          return;
-        }
-      }
+  if (!isSingle) {
+    nodeList.forEach((nodeId) => state.selectedNodeIds.add(nodeId));
+    edgeList.forEach((edgeId) => state.selectedEdgeIds.add(edgeId));
+  }
+}
 
-      if (targetNodeId === dragState.sourceNodeId) {
-        edge.pendingX = dragState.startPendingX;
-        edge.pendingY = dragState.startPendingY;
-        renderEdges();
-        applyViewportTransform();
-        setStatus('Eine Choice kann nicht mit ihrem eigenen Source-Node verbunden werden.');
-      } else if (dragState.moved) {
-        setStatus('Keine Verbindung gesetzt. Dreieck auf einem Ziel-Node loslassen.');
-      }
-    }
+function describeSelection() {
+  const nodeCount = getSelectedNodeIds().size;
+  const edgeCount = getSelectedEdgeIds().size;
+  const parts = [];
+
+  if (nodeCount > 0) {
+    parts.push(`${nodeCount} ${nodeCount === 1 ? 'node' : 'nodes'}`);
+  }
+  if (edgeCount > 0) {
+    parts.push(`${edgeCount} ${edgeCount === 1 ? 'choice' : 'choices'}`);
   }
 
-  if (state.dragging) {
-    const moved = state.dragging.moved;
-    state.dragging = null;
+  return parts.join(' and ');
+}
 
-    if (moved) {
-      scheduleAutosave();
-      setStatus('Node moved.');
-    }
+function toggleSelectedItem(kind, itemId) {
+  const nodeIds = getSelectedNodeIds();
+  const edgeIds = getSelectedEdgeIds();
+  const target = kind === 'node' ? nodeIds : edgeIds;
+
+  if (target.has(itemId)) {
+    target.delete(itemId);
+  } else {
+    target.add(itemId);
   }
 
-  if (state.panning) {
-    const moved = state.panning.moved;
-    state.panning = null;
-    el.editorSurface.classList.remove('is-panning');
+  setMultiSelection(nodeIds, edgeIds);
+  renderGraph();
 
-    if (moved) {
-      state.suppressBackgroundClickOnce = true;
-      setStatus('Canvas moved.');
-    }
+  const summary = describeSelection();
+  setStatus(summary ? `Selected: ${summary}.` : 'Selection cleared.');
+}
+
+function edgeHasTarget(edge) {
+  return Boolean(edge && typeof edge.to === 'string' && edge.to.trim().length > 0);
+}
+
+function findButtonForEdge(edge) {
+  if (!edge) {
+    return null;
   }
+  const source = findNode(edge.from);
+  return source?.buttons.find((button) => button.id === edge.buttonId) || null;
 }
 
-function applyViewportTransform() {
-  const zoom = currentZoom();
-  const x = Math.round(state.viewportOffset.x * 100) / 100;
-  const y = Math.round(state.viewportOffset.y * 100) / 100;
-  const transform = `translate(${x}px, ${y}px) scale(${zoom})`;
+function nodeLabel(nodeId) {
+  const node = findNode(nodeId);
+  if (!node) {
+    return 'Unknown';
+  }
+  return node.text;
+}
 
-  el.edgeLayer.style.transform = transform;
-  el.edgeControlLayer.style.transform = transform;
-  el.nodeLayer.style.transform = transform;
+function graphPath(graphId, folder = '') {
+  return `${GRAPHS_DIR}/${folder ? `${folder}/` : ''}${graphId}.json`;
 }
 
-function handleEdgeLayerMouseDown(event) {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
+function graphFileId(graph) {
+  return graph.folder ? `${graph.folder}/${graph.id}` : graph.id;
+}
+
+function graphIdFromPath(path) {
+  const relative = String(path || '').replace(new RegExp(`^${GRAPHS_DIR}/`), '');
+  return relative.endsWith('.json') ? relative.slice(0, -5) : relative;
+}
+
+function graphFolderFromPath(path) {
+  return graphIdFromPath(path).split('/').slice(0, -1).join('/');
+}
+
+async function ensureGraphsDirectory() {
+  const base = await invoke('ensure_graphs_directory');
+  setStatus(`Graph directory ready: ${base}${GRAPHS_DIR}`);
+}
+
+async function refreshGraphList() {
+  const warnings = [];
+  const summaries = [];
+
+  const entries = await invoke('list_graph_files');
+
+  for (const entry of entries) {
+    if (!entry.name.endsWith('.json')) {
+      continue;
+    }
+
+    const relativePath = entry.path;
+
+    try {
+      const json = await invoke('read_graph_file', { graphId: graphIdFromPath(relativePath) });
+      const parsed = JSON.parse(json);
+      const graph = normalizeGraph(parsed, entry.name);
+
+      summaries.push({
+        id: graph.id,
+        name: graph.name,
+        path: relativePath,
+        folder: graphFolderFromPath(relativePath),
+        tags: graph.tags,
+        pinned: graph.pinned,
+        references: collectGraphReferences(graph),
+        createdAt: graph.createdAt,
+        updatedAt: graph.updatedAt,
+        lastModified:
+          graph.updatedAt ||
+          (Number.isFinite(entry.lastModifiedMs)
+            ? new Date(entry.lastModifiedMs).toISOString()
+            : graph.createdAt || nowISO())
+      });
+    } catch (error) {
+      warnings.push(`${entry.name}: ${error instanceof Error ? error.message : String(error)}`);
+    }
   }
 
-  if (event.button !== 0) {
-    return;
+  summaries.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+  state.graphSummaries = summaries;
+  renderGraphList();
+
+  if (warnings.length > 0) {
+    const trimmed = warnings.slice(0, 5).join('\n');
+    await showAlert(`Some graph files were skipped:\n\n${trimmed}`);
   }
+}
 
-  const handle = event.target.closest('.edge-dangling-hit');
-  if (!handle) {
-    return;
+function upsertGraphSummary(graph) {
+  const summary = {
+    id: graph.id,
+    name: graph.name,
+    path: graphPath(graph.id, graph.folder),
+    folder: graph.folder,
+    tags: graph.tags,
+    pinned: graph.pinned,
+    references: collectGraphReferences(graph),
+    createdAt: graph.createdAt,
+    updatedAt: graph.updatedAt,
+    lastModified: graph.updatedAt
+  };
+
+  const index = state.graphSummaries.findIndex((item) => item.id === graph.id);
+  if (index >= 0) {
+    state.graphSummaries[index] = summary;
+  } else {
+    state.graphSummaries.push(summary);
   }
 
-  const edgeId = handle.dataset.edgeId;
-  if (!edgeId) {
+  state.graphSummaries.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+}
+
+async function loadGraphById(graphId) {
+  const summary = state.graphSummaries.find((item) => item.id === graphId);
+  if (!summary) {
     return;
   }
+  await loadGraphFromSummary(summary);
+}
 
-  const edge = findEdge(edgeId);
-  if (!edge || edgeHasTarget(edge)) {
-    return;
+async function loadGraphFromSummary(summary) {
+  try {
+    const json = await invoke('read_graph_file', { graphId: graphIdFromPath(summary.path) });
+    const parsed = JSON.parse(json);
+    const graph = normalizeGraph(parsed, summary.path);
+    const fromVersion = readGraphVersion(parsed);
+    graph.folder = graphFolderFromPath(summary.path);
+
+    if (fromVersion < GRAPH_VERSION) {
+      state.pendingMigrationBackups.set(graph.id, fromVersion);
+    }
+
+    state.currentGraph = graph;
+    setSelectedEdge(null);
+    state.pendingChoice = null;
+    state.lastChosenEdgeId = null;
+    state.lastChosenNodeId = null;
+    state.comparison = null;
+    closeNodeColorPicker();
+
+    if (state.mode === 'view') {
+      ensureActivePathSeed();
+    }
+
+    renderGraph();
+    updateActionButtons();
+    setStatus(
+      fromVersion < GRAPH_VERSION
+        ? `Loaded graph: ${graph.name} (upgraded from schema v${fromVersion})`
+        : `Loaded graph: ${graph.name}`
+    );
+  } catch (error) {
+    console.error('Load failed:', error);
+    await showAlert(`Could not load graph file:\n${summary.path}`);
   }
+}
 
-  const sourceNode = findNode(edge.from);
-  if (!sourceNode) {
+async function backupMigratedGraphFile(graph) {
+  const fromVersion = state.pendingMigrationBackups.get(graph.id);
+  if (!fromVersion) {
     return;
   }
 
-  const startPoint = getDanglingEdgePoint(state.currentGraph, sourceNode, edge);
-  state.edgeConnectDrag = {
-    edgeId,
-    sourceNodeId: edge.from,
-    startPendingX: startPoint.x,
-    startPendingY: startPoint.y,
-    moved: false
-  };
-
-  setSelectedEdge(edgeId, 'line');
-  state.currentGraph.ui.selectedNodeId = null;
-  renderGraph();
-  setStatus('Dreieck ziehen und auf einem Node loslassen, um zu verbinden.');
+  await invoke('backup_graph_file', { graphId: graphFileId(graph), fromVersion });
+  state.pendingMigrationBackups.delete(graph.id);
+}
 
-  event.preventDefault();
-  event.stopPropagation();
+async function persistGraph(graph) {
+  graph.updatedAt = nowISO();
+  await backupMigratedGraphFile(graph);
+  await invoke('write_graph_file', { graphId: graphFileId(graph), contents: JSON.stringify(graph, null, 2) });
 }
 
-function handleEdgeLayerClick(event) {
+function scheduleAutosave() {
   if (!state.currentGraph || state.mode !== 'edit') {
     return;
   }
 
-  const target = event.target.closest('[data-edge-id]');
-  if (!target) {
-    return;
+  if (state.autosaveHandle) {
+    clearTimeout(state.autosaveHandle);
   }
 
-  const edgeId = target.dataset.edgeId;
-  if (!edgeId) {
-    return;
-  }
+  state.autosaveHandle = setTimeout(async () => {
+    state.autosaveHandle = null;
+    if (!state.currentGraph) {
+      return;
+    }
 
-  const edge = findEdge(edgeId);
-  if (edge && !edgeHasTarget(edge)) {
-    setSelectedEdge(edgeId, 'line');
-    state.currentGraph.ui.selectedNodeId = null;
-    renderGraph();
-    setStatus('Dreieck ziehen und auf einem Node loslassen, um zu verbinden.');
-    event.stopPropagation();
-    return;
+    const graph = state.currentGraph;
+    try {
+      enforceGraphConsistency(graph);
+      const save = persistGraph(graph);
+      state.autosavePromise = save;
+      try {
+        await save;
+      } finally {
+        if (state.autosavePromise === save) {
+          state.autosavePromise = null;
+        }
+      }
+      upsertGraphSummary(graph);
+      renderGraphList();
+      const cycle = findReferenceCycle(graph);
+      const cycleText = cycle ? formatReferenceCycle(graph, cycle) : null;
+      setStatus(cycle ? `Autosaved, aber zyklische Subgraph-Referenz: ${cycleText}` : 'Autosaved.');
+
+      // Paste, import and undo can bring in a cycle too; tell the user once per new cycle.
+      if (cycleText && state.reportedReferenceCycles.get(graph.id) !== cycleText) {
+        state.reportedReferenceCycles.set(graph.id, cycleText);
+        await showAlert(
+          `This graph now references itself through its subgraphs:\n${cycleText}\n\nThe player cannot enter a subgraph that is already open. Relink or delete one of the REF nodes.`
+        );
+      } else if (!cycleText) {
+        state.reportedReferenceCycles.delete(graph.id);
+      }
+    } catch (error) {
+      console.error('Autosave failed:', error);
+      await showAlert('Autosave failed. Check file permissions.');
+    }
+  }, AUTOSAVE_DELAY_MS);
+}
+
+function getGraphHistory(graphId) {
+  let history = state.historyByGraphId.get(graphId);
+  if (!history) {
+    history = { undo: [], redo: [] };
+    state.historyByGraphId.set(graphId, history);
   }
+  return history;
+}
 
-  setSelectedEdge(edgeId, 'line');
-  state.currentGraph.ui.selectedNodeId = null;
-  renderGraph();
-  setStatus('Kante ausgewählt (Linie).');
-  event.stopPropagation();
+function captureGraphSnapshot(graph) {
+  const { id, name, createdAt, updatedAt, ui, folder, tags, pinned, ...content } = graph;
+  return JSON.stringify({
+    content,
+    selectedNodeId: ui?.selectedNodeId ?? null,
+    activeSelections: ui?.activeSelections ?? {}
+  });
 }
 
-function handleEdgeLayerDoubleClick(event) {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
-  }
+function restoreGraphSnapshot(graph, snapshot) {
+  const { content, selectedNodeId, activeSelections } = JSON.parse(snapshot);
+  const preservedKeys = new Set(['id', 'name', 'createdAt', 'updatedAt', 'ui', 'folder', 'tags', 'pinned']);
 
-  const target = event.target.closest('[data-edge-id]');
-  if (!target) {
+  Object.keys(graph).forEach((key) => {
+    if (!preservedKeys.has(key)) {
+      delete graph[key];
+    }
+  });
+
+  Object.assign(graph, content);
+  graph.ui.selectedNodeId = selectedNodeId;
+  graph.ui.activeSelections = activeSelections;
+}
+
+function recordGraphChange(label, before) {
+  const graph = state.currentGraph;
+  if (!graph || typeof before !== 'string') {
     return;
   }
 
-  const edgeId = target.dataset.edgeId;
-  if (!edgeId) {
+  const after = captureGraphSnapshot(graph);
+  if (after === before) {
     return;
   }
 
-  setSelectedEdge(edgeId, 'line');
-  void editSelectedChoiceTextFlow();
-  event.stopPropagation();
+  const history = getGraphHistory(graph.id);
+  history.undo.push({ label, before, after });
+  if (history.undo.length > HISTORY_LIMIT) {
+    history.undo.splice(0, history.undo.length - HISTORY_LIMIT);
+  }
+  history.redo = [];
+  updateActionButtons();
 }
 
-function handleEdgeControlLayerClick(event) {
-  if (!state.currentGraph) {
+function applyHistoryStep(direction) {
+  const graph = state.currentGraph;
+  if (
+    !graph ||
+    state.mode !== 'edit' ||
+    state.dragging ||
+    state.edgeConnectDrag ||
+    state.layoutAnimation
+  ) {
     return;
   }
 
-  const target = event.target.closest('.edge-choice-button');
-  if (!target) {
+  const history = getGraphHistory(graph.id);
+  const source = direction === 'undo' ? history.undo : history.redo;
+  const target = direction === 'undo' ? history.redo : history.undo;
+  const entry = source.pop();
+  if (!entry) {
+    setStatus(direction === 'undo' ? 'Nothing to undo.' : 'Nothing to redo.');
     return;
   }
 
-  const edgeId = target.dataset.edgeId;
-  if (!edgeId) {
-    return;
-  }
+  restoreGraphSnapshot(graph, direction === 'undo' ? entry.before : entry.after);
+  target.push(entry);
 
-  if (state.mode === 'edit') {
-    const edge = findEdge(edgeId);
-    if (edge && !edgeHasTarget(edge)) {
-      setSelectedEdge(edgeId, 'button');
-      state.currentGraph.ui.selectedNodeId = null;
-      renderGraph();
-      setStatus('Dreieck ziehen und auf einem Node loslassen, um zu verbinden.');
-      event.stopPropagation();
-      return;
-    }
+  setSelectedEdge(null);
+  state.pendingChoice = null;
+  closeNodeColorPicker();
+  enforceGraphConsistency(graph);
+  renderGraph();
+  scheduleAutosave();
+  setStatus(`${direction === 'undo' ? 'Undo' : 'Redo'}: ${entry.label}`);
+}
 
-    const selection = applyTypedEdgeSelection(edgeId);
-    setSelectedEdge(selection?.edgeIsSelected ? edgeId : null, selection?.edgeIsSelected ? 'button' : null);
-    state.currentGraph.ui.selectedNodeId = null;
-    renderGraph();
-    if (selection) {
-      const verb = selection.edgeIsSelected ? 'Gewählt' : 'Abgewählt';
-      setStatus(`${verb} (${selection.sourceNodeType.toUpperCase()}): ${findButtonForEdge(selection.edge)?.text || 'Choice'}`);
-    } else {
-      setStatus('Choice selected.');
-    }
-  } else {
-    followChoice(edgeId);
-  }
+function undoGraphChange() {
+  applyHistoryStep('undo');
+}
 
-  event.stopPropagation();
+function redoGraphChange() {
+  applyHistoryStep('redo');
 }
 
-function handleEdgeControlLayerDoubleClick(event) {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
-  }
+function graphSummaryMatchesFilter(summary, filter) {
+  const terms = filter.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+  const tags = (summary.tags || []).map((tag) => tag.toLocaleLowerCase());
+  return terms.every((term) =>
+    term.startsWith('#')
+      ? tags.includes(term.slice(1))
+      : summary.name.toLocaleLowerCase().includes(term) ||
+        (summary.folder || '').toLocaleLowerCase().includes(term) ||
+        tags.some((tag) => tag.includes(term))
+  );
+}
 
-  const target = event.target.closest('.edge-choice-button');
-  if (!target) {
-    return;
+function createGraphListItem(summary, currentId, showFolder) {
+  const item = document.createElement('li');
+  item.className = 'graph-item';
+
+  const button = document.createElement('button');
+  button.className = 'graph-item__btn';
+  button.type = 'button';
+  button.dataset.graphId = summary.id;
+
+  if (summary.id === currentId) {
+    button.classList.add('is-selected');
   }
 
-  const edgeId = target.dataset.edgeId;
-  if (!edgeId) {
-    return;
+  const name = document.createElement('span');
+  name.className = 'graph-item__name';
+  name.textContent = `${summary.pinned ? '★ ' : ''}${summary.name}`;
+
+  const meta = document.createElement('span');
+  meta.className = 'graph-item__meta';
+  meta.textContent = [
+    showFolder && summary.folder ? summary.folder : null,
+    formatTimestamp(state.graphSort === 'created' ? summary.createdAt : summary.lastModified)
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+  button.appendChild(name);
+  button.appendChild(meta);
+
+  if (summary.tags?.length > 0) {
+    const tags = document.createElement('span');
+    tags.className = 'graph-item__tags';
+    tags.textContent = summary.tags.map((tag) => `#${tag}`).join(' ');
+    button.appendChild(tags);
   }
 
-  setSelectedEdge(edgeId, 'button');
-  void editSelectedChoiceTextFlow();
-  event.stopPropagation();
+  item.appendChild(button);
+  return item;
 }
 
-function addNodeAt(x, y) {
-  const graph = state.currentGraph;
-  if (!graph) {
-    return null;
+function createGraphFolderItem(label, folder, count, collapsed) {
+  const item = document.createElement('li');
+  item.className = 'graph-folder';
+
+  const button = document.createElement('button');
+  button.className = 'graph-folder__btn';
+  button.type = 'button';
+  button.textContent = `${collapsed ? '▸' : '▾'} ${label} (${count})`;
+  if (folder !== null) {
+    button.dataset.folder = folder;
+    button.style.paddingLeft = `${4 + (folder.split('/').length - 1) * 12}px`;
+  } else {
+    button.disabled = true;
   }
 
-  const node = {
-    id: uid('n'),
-    x: Math.round(x),
-    y: Math.round(y),
-    text: 'New Node',
-    type: DEFAULT_NODE_TYPE,
-    color: null,
-    buttons: []
-  };
+  item.appendChild(button);
+  return item;
+}
 
-  graph.nodes.push(node);
-  graph.ui.selectedNodeId = node.id;
-  setSelectedEdge(null);
+function renderGraphList() {
+  el.graphList.replaceChildren();
 
-  renderGraph();
-  scheduleAutosave();
-  setStatus('Node added.');
+  const currentId = state.currentGraph?.id || null;
+  const filter = state.graphFilter.trim();
+  const summaries = state.graphSummaries
+    .filter((summary) => !filter || graphSummaryMatchesFilter(summary, filter))
+    .sort(GRAPH_SORTS[state.graphSort] || GRAPH_SORTS.modified);
+
+  const pinned = summaries.filter((summary) => summary.pinned);
+  if (pinned.length > 0) {
+    el.graphList.appendChild(createGraphFolderItem('Pinned', null, pinned.length, false));
+    pinned.forEach((summary) => el.graphList.appendChild(createGraphListItem(summary, currentId, true)));
+  }
+
+  const byFolder = new Map();
+  summaries
+    .filter((summary) => !summary.pinned)
+    .forEach((summary) => {
+      const folder = summary.folder || '';
+      byFolder.set(folder, [...(byFolder.get(folder) || []), summary]);
+    });
 
-  if (state.pendingChoice) {
-    completePendingChoice(node.id);
-  }
+  (byFolder.get('') || []).forEach((summary) => {
+    el.graphList.appendChild(createGraphListItem(summary, currentId, false));
+  });
 
-  return node;
+  const folders = new Set();
+  byFolder.forEach((items, folder) => {
+    const segments = folder.split('/').filter(Boolean);
+    segments.forEach((segment, index) => folders.add(segments.slice(0, index + 1).join('/')));
+  });
+
+  Array.from(folders)
+    .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true }))
+    .forEach((folder) => {
+      const hiddenByParent = Array.from(state.collapsedFolders).some((collapsed) =>
+        folder.startsWith(`${collapsed}/`)
+      );
+      if (hiddenByParent) {
+        return;
+      }
+
+      const collapsed = state.collapsedFolders.has(folder);
+      const count = summaries.filter(
+        (summary) => !summary.pinned && (summary.folder === folder || summary.folder?.startsWith(`${folder}/`))
+      ).length;
+      el.graphList.appendChild(createGraphFolderItem(folder.split('/').pop(), folder, count, collapsed));
+
+      if (!collapsed) {
+        (byFolder.get(folder) || []).forEach((summary) => {
+          const item = createGraphListItem(summary, currentId, false);
+          item.classList.add('graph-item--nested');
+          item.style.paddingLeft = `${folder.split('/').length * 12}px`;
+          el.graphList.appendChild(item);
+        });
+      }
+    });
+
+  if (el.graphList.children.length === 0 && state.graphSummaries.length > 0) {
+    const empty = document.createElement('li');
+    empty.className = 'graph-list__empty';
+    empty.textContent = 'No graph matches the filter.';
+    el.graphList.appendChild(empty);
+  }
 }
 
-function toggleNodeType(nodeId) {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
+function renderGraph() {
+  if (state.inlineEditor) {
+    finishInlineEdit(true);
   }
 
-  const node = findNode(nodeId);
-  if (!node) {
+  const graph = state.currentGraph;
+
+  if (!graph) {
+    el.currentGraphName.textContent = 'No Graph Loaded';
+    el.nodeLayer.replaceChildren();
+    el.edgeControlLayer.replaceChildren();
+    el.edgeLayer.querySelectorAll('.edge').forEach((node) => node.remove());
+    el.emptyState.classList.remove('hidden');
+    closeNodeColorPicker();
+    renderMinimap();
+    applyViewportTransform();
+    renderComparePanel();
+    renderScoreStatus();
+    updateActionButtons();
     return;
   }
 
-  node.type = node.type === 'xor' ? 'or' : 'xor';
-
-  const selections = getActiveSelections(state.currentGraph);
-  if (node.type === 'xor' && Array.isArray(selections[node.id]) && selections[node.id].length > 1) {
-    selections[node.id] = selections[node.id].slice(0, 1);
+  if (state.colorPickerNodeIds.some((nodeId) => !graph.nodes.some((node) => node.id === nodeId))) {
+    closeNodeColorPicker();
   }
 
-  rebuildActivePathFromSelections(state.currentGraph);
+  enforceGraphConsistency(graph);
 
-  if (state.lastChosenEdgeId && !state.currentGraph.ui.activePath.includes(state.lastChosenEdgeId)) {
-    state.lastChosenEdgeId = null;
-  }
-  if (state.lastChosenNodeId && !state.currentGraph.ui.activePath.includes(state.lastChosenNodeId)) {
-    state.lastChosenNodeId = null;
+  if (state.search?.scope === 'current') {
+    refreshCurrentGraphSearchHits();
   }
 
-  renderGraph();
-  scheduleAutosave();
-  setStatus(`Node-Typ auf ${node.type.toUpperCase()} gesetzt.`);
+  el.currentGraphName.textContent = graph.name;
+  el.emptyState.classList.toggle('hidden', graph.nodes.length > 0);
+
+  renderNodes();
+  renderEdges();
+  applyViewportTransform();
+  renderGraphList();
+  renderValidationPanel();
+  renderComparePanel();
+  renderScoreStatus();
+  updateActionButtons();
 }
 
-function addNodeAtDefaultPosition() {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
+function renderScoreStatus() {
+  const graph = state.currentGraph;
+  const visible = state.mode === 'view' && graphHasScores(graph);
+  el.statusScore.classList.toggle('hidden', !visible);
+  if (visible) {
+    el.statusScore.textContent = `Score: ${formatScore(walkActivePath(graph).score)}`;
   }
+}
 
-  const point = getDefaultNodePosition();
-  addNodeAt(point.x, point.y);
+function createEmptyPathContext() {
+  return {
+    nodePathSet: new Set(),
+    edgePathSet: new Set(),
+    selectedEdgeSet: new Set(),
+    selectedNodeSet: new Set(),
+    activeNodeId: null,
+    activeEdgeId: null,
+    paths: []
+  };
 }
 
-async function editSelectedNodeTextFlow() {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
+function getPathContext() {
+  const graph = state.currentGraph;
+  const context = createEmptyPathContext();
+
+  if (!graph) {
+    return context;
   }
 
-  const node = findNode(state.currentGraph.ui.selectedNodeId);
-  if (!node) {
-    await showAlert('Select a node first.');
-    return;
+  const nodeIdSet = new Set(graph.nodes.map((node) => node.id));
+  const edgeIdSet = new Set(graph.edges.map((edge) => edge.id));
+  const edgeById = new Map(graph.edges.map((edge) => [edge.id, edge]));
+  const normalizedPath = [];
+
+  const comparison = getActiveComparison();
+  if (comparison) {
+    context.paths = [
+      ['a', comparison.left],
+      ['b', comparison.right]
+    ].map(([key, side]) => {
+      const path = walkSessionPath(graph, side.activeSelections).path;
+      return {
+        key,
+        label: side.label,
+        nodePathSet: new Set(path.filter((entry) => nodeIdSet.has(entry))),
+        edgePathSet: new Set(path.filter((entry) => edgeIdSet.has(entry)))
+      };
+    });
+    return context;
   }
 
-  const value = await showPrompt({
-    title: 'Edit Node',
-    message: 'Node text:',
-    defaultValue: node.text,
-    okText: 'Apply'
+  (graph.ui.activePath || []).forEach((entry) => {
+    if (nodeIdSet.has(entry) || edgeIdSet.has(entry)) {
+      normalizedPath.push(entry);
+    }
   });
 
-  if (value === null) {
-    return;
+  graph.ui.activePath = normalizedPath;
+
+  normalizedPath.forEach((entry) => {
+    if (nodeIdSet.has(entry)) {
+      context.nodePathSet.add(entry);
+    }
+    if (edgeIdSet.has(entry)) {
+      context.edgePathSet.add(entry);
+    }
+  });
+
+  const selections = getActiveSelections(graph);
+  Object.values(selections).forEach((selection) => {
+    if (!Array.isArray(selection)) {
+      return;
+    }
+
+    selection.forEach((edgeId) => {
+      if (typeof edgeId === 'string' && edgeIdSet.has(edgeId)) {
+        const edge = edgeById.get(edgeId);
+        if (edge && edgeHasTarget(edge)) {
+          context.selectedEdgeSet.add(edgeId);
+          context.selectedNodeSet.add(edge.from);
+          context.selectedNodeSet.add(edge.to);
+        }
+      }
+    });
+  });
+
+  const nodeTypeById = new Map(graph.nodes.map((node) => [node.id, node.type]));
+  context.edgePathSet.forEach((edgeId) => {
+    const edge = edgeById.get(edgeId);
+    if (edge && !nodeTypeUsesSelection(nodeTypeById.get(edge.from))) {
+      context.selectedEdgeSet.add(edgeId);
+      context.selectedNodeSet.add(edge.from);
+      context.selectedNodeSet.add(edge.to);
+    }
+  });
+
+  if (state.lastChosenEdgeId && context.edgePathSet.has(state.lastChosenEdgeId)) {
+    context.activeEdgeId = state.lastChosenEdgeId;
+    const chosenEdge = edgeById.get(state.lastChosenEdgeId);
+    if (chosenEdge && context.nodePathSet.has(chosenEdge.to)) {
+      context.activeNodeId = chosenEdge.to;
+    }
   }
 
-  node.text = value.trim() || 'Untitled Node';
-  renderGraph();
-  scheduleAutosave();
-  setStatus('Node text updated.');
-}
+  if (!context.activeNodeId && state.lastChosenNodeId && context.nodePathSet.has(state.lastChosenNodeId)) {
+    context.activeNodeId = state.lastChosenNodeId;
+  }
 
-async function addChoiceFlow() {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
+  for (let index = normalizedPath.length - 1; index >= 0; index -= 1) {
+    const entry = normalizedPath[index];
+    if (!context.activeEdgeId && edgeIdSet.has(entry)) {
+      context.activeEdgeId = entry;
+    }
+    if (!context.activeNodeId && nodeIdSet.has(entry)) {
+      context.activeNodeId = entry;
+    }
+    if (context.activeEdgeId && context.activeNodeId) {
+      break;
+    }
   }
 
-  const sourceId = state.currentGraph.ui.selectedNodeId;
-  if (!sourceId) {
-    await showAlert('Select a source node first.');
+  return context;
+}
+
+function renderNodes() {
+  const graph = state.currentGraph;
+  if (!graph) {
     return;
   }
 
-  const label = await showPrompt({
-    title: 'Add Choice',
-    message: 'Button text:',
-    defaultValue: 'Option',
-    okText: 'Create'
+  el.nodeLayer.replaceChildren();
+  state.nodeElements.clear();
+
+  const context = getPathContext();
+  const showViewPath = state.mode === 'view';
+  const rootNodeId = getRootNodeId(graph);
+  const selectedNodeIds = getSelectedNodeIds();
+  const searchHighlight = getSearchHighlight();
+  const scoreRanks =
+    showViewPath && graphHasScores(graph)
+      ? new Map(rankEndNodesByScore(graph).map((entry) => [entry.node.id, entry]))
+      : new Map();
+  graph.nodes.forEach((node) => {
+    const nodeEl = document.createElement('div');
+    nodeEl.className = 'node';
+    nodeEl.dataset.nodeId = node.id;
+    nodeEl.style.left = `${node.x}px`;
+    nodeEl.style.top = `${node.y}px`;
+    const nodeColor = getNodeBaseColor(node);
+    const nodeTextColor = getReadableTextColor(nodeColor);
+    const titleColor =
+      nodeTextColor === '#ffffff' ? mixColor(nodeColor, 0.2) : mixColor(nodeColor, -0.12);
+    nodeEl.style.setProperty('--node-color', nodeColor);
+    nodeEl.style.setProperty('--node-title-color', titleColor);
+    nodeEl.style.setProperty('--node-text-color', nodeTextColor);
+
+    nodeEl.classList.add(`node--type-${node.type}`);
+
+    if (selectedNodeIds.has(node.id)) {
+      nodeEl.classList.add('node--selected');
+    }
+
+    if (showViewPath && context.nodePathSet.has(node.id)) {
+      nodeEl.classList.add('node--path');
+    }
+
+    const compareKey = getComparePathKey(context, 'node', node.id);
+    if (compareKey) {
+      nodeEl.classList.add(`node--compare-${compareKey}`);
+    }
+
+    if (context.selectedNodeSet.has(node.id) || (showViewPath && context.activeNodeId === node.id)) {
+      nodeEl.classList.add('node--active');
+    }
+
+    if (showViewPath && context.activeNodeId === node.id) {
+      nodeEl.classList.add('node--active-current');
+    }
+
+    if (state.pendingChoice?.sourceNodeId === node.id) {
+      nodeEl.classList.add('node--choice-source');
+    }
+
+    if (searchHighlight.nodeIds.has(node.id)) {
+      nodeEl.classList.add('node--search-hit');
+    }
+
+    if (searchHighlight.currentNodeId === node.id) {
+      nodeEl.classList.add('node--search-current');
+    }
+
+    const header = document.createElement('div');
+    header.className = 'node__header';
+
+    if (node.id === rootNodeId) {
+      const startBadge = document.createElement('span');
+      startBadge.className = 'node-start-badge';
+      startBadge.textContent = 'START';
+      startBadge.title = 'Start node';
+      header.appendChild(startBadge);
+    }
+
+    const title = document.createElement('div');
+    title.className = 'node__title';
+    title.dataset.nodeId = node.id;
+    title.textContent = node.text;
+
+    const typeToggle =
+      state.mode === 'edit' ? document.createElement('button') : document.createElement('span');
+    typeToggle.className =
+      state.mode === 'edit'
+        ? `win-button node-type-toggle node-type-toggle--${node.type}`
+        : `node-type-badge node-type-toggle--${node.type}`;
+    typeToggle.dataset.nodeId = node.id;
+    typeToggle.textContent = NODE_TYPE_LABELS[node.type];
+
+    if (state.mode === 'edit') {
+      typeToggle.type = 'button';
+      typeToggle.title = 'Klick: Node-Typ wechseln (XOR → OR → AND → INFO → OUTCOME → REF)';
+    }
+
+    header.appendChild(title);
+
+    const scoreRank = scoreRanks.get(node.id);
+    if (scoreRank) {
+      const rankBadge = document.createElement('span');
+      rankBadge.className = 'node-rank-badge';
+      rankBadge.textContent = `#${scoreRank.rank} · ${formatScore(scoreRank.score)}`;
+      rankBadge.title = `Best reachable score ${formatScore(scoreRank.score)}, rank ${scoreRank.rank} of ${scoreRanks.size}`;
+      header.appendChild(rankBadge);
+    }
+
+    if (node.conditions?.length > 0) {
+      const logicBadge = document.createElement('span');
+      logicBadge.className = 'node-logic-badge';
+      logicBadge.textContent = 'IF';
+      logicBadge.title = formatLogicRules(node).join('\n');
+      header.appendChild(logicBadge);
+    }
+
+    header.appendChild(typeToggle);
+
+    nodeEl.appendChild(header);
+
+    if (node.type === 'ref') {
+      const refLink = document.createElement(state.mode === 'edit' ? 'button' : 'div');
+      refLink.className = state.mode === 'edit' ? 'win-button node-ref-link' : 'node-ref-link';
+      refLink.dataset.nodeId = node.id;
+      const refSummary = state.graphSummaries.find((item) => item.id === node.refGraphId);
+      refLink.textContent = `↪ ${refSummary?.name || (node.refGraphId ? '(missing graph)' : '(no graph linked)')}`;
+      if (state.mode === 'edit') {
+        refLink.type = 'button';
+        refLink.title = refSummary ? 'Open the referenced graph' : 'Link this node to a graph (G)';
+      }
+      nodeEl.appendChild(refLink);
+    }
+
+    if (node.description) {
+      const description = document.createElement('div');
+      description.className = 'node__description';
+      description.dataset.nodeId = node.id;
+      renderMarkdownInto(description, node.description);
+      nodeEl.appendChild(description);
+    }
+
+    el.nodeLayer.appendChild(nodeEl);
+    state.nodeElements.set(node.id, nodeEl);
+  });
+}
+
+function cubicBezierPoint(t, p0, p1, p2, p3) {
+  const u = 1 - t;
+  const tt = t * t;
+  const uu = u * u;
+  const uuu = uu * u;
+  const ttt = tt * t;
+
+  return {
+    x: uuu * p0.x + 3 * uu * t * p1.x + 3 * u * tt * p2.x + ttt * p3.x,
+    y: uuu * p0.y + 3 * uu * t * p1.y + 3 * u * tt * p2.y + ttt * p3.y
+  };
+}
+
+function getDanglingEdgePoint(graph, sourceNode, edge) {
+  if (Number.isFinite(edge.pendingX) && Number.isFinite(edge.pendingY)) {
+    return { x: edge.pendingX, y: edge.pendingY };
+  }
+
+  const outgoingEdges = graph.edges.filter((item) => item.from === sourceNode.id);
+  const index = Math.max(0, outgoingEdges.findIndex((item) => item.id === edge.id));
+  const horizontalStep = 250;
+  const verticalStep = 90;
+  const verticalOffset =
+    index === 0 ? 0 : (index % 2 === 1 ? 1 : -1) * Math.ceil(index / 2) * verticalStep;
+
+  return {
+    x: sourceNode.x + horizontalStep,
+    y: sourceNode.y + 18 + verticalOffset
+  };
+}
+
+function renderEdges() {
+  const graph = state.currentGraph;
+  if (!graph) {
+    return;
+  }
+
+  const context = getPathContext();
+  const showViewPath = state.mode === 'view';
+  const searchHighlight = getSearchHighlight();
+  const availability = showViewPath ? getChoiceAvailabilityMap(graph) : new Map();
+
+  el.edgeControlLayer.replaceChildren();
+  el.edgeLayer.querySelectorAll('.edge').forEach((node) => node.remove());
+
+  graph.edges.forEach((edge) => {
+    const sourceNode = findNode(edge.from);
+    const sourceEl = state.nodeElements.get(edge.from);
+    if (!sourceNode || !sourceEl) {
+      return;
+    }
+
+    const targetNode = edgeHasTarget(edge) ? findNode(edge.to) : null;
+    const targetEl = targetNode ? state.nodeElements.get(targetNode.id) : null;
+    const isDangling = !targetNode || !targetEl;
+
+    if (isDangling && state.mode !== 'edit') {
+      return;
+    }
+
+    const sourceWidth = sourceEl.offsetWidth || NODE_WIDTH;
+    const sourceHeight = sourceEl.offsetHeight || 80;
+    const sourceCenterX = sourceNode.x + sourceWidth / 2;
+    const sourceCenterY = sourceNode.y + sourceHeight / 2;
+
+    let endX = 0;
+    let endY = 0;
+
+    if (isDangling) {
+      const danglingPoint = getDanglingEdgePoint(graph, sourceNode, edge);
+      endX = danglingPoint.x;
+      endY = danglingPoint.y;
+    } else {
+      const targetWidth = targetEl.offsetWidth || NODE_WIDTH;
+      const targetCenterX = targetNode.x + targetWidth / 2;
+      const targetTopY = targetNode.y + 1;
+      endX = targetCenterX;
+      endY = targetTopY;
+    }
+
+    const startFromBottom = endY >= sourceCenterY;
+    const startX = sourceCenterX;
+    const startY = startFromBottom ? sourceNode.y + sourceHeight : sourceNode.y;
+
+    const deltaX = endX - startX;
+    const deltaY = endY - startY;
+    const verticalBend = Math.max(54, Math.abs(deltaY) * 0.5);
+    const horizontalBend = deltaX * 0.35;
+    const c1x = startX + horizontalBend;
+    const c1y = startY + (startFromBottom ? verticalBend : -verticalBend);
+    const c2x = endX;
+    const c2y = endY - verticalBend;
+
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.classList.add('edge');
+    path.dataset.edgeId = edge.id;
+    path.setAttribute('d', `M ${startX} ${startY} C ${c1x} ${c1y}, ${c2x} ${c2y}, ${endX} ${endY}`);
+    let danglingHitTarget = null;
+
+    if (showViewPath && context.edgePathSet.has(edge.id)) {
+      path.classList.add('edge--path');
+    }
+
+    const compareKey = getComparePathKey(context, 'edge', edge.id);
+    if (compareKey) {
+      path.classList.add(`edge--compare-${compareKey}`);
+    }
+
+    if (isDangling) {
+      path.classList.add('edge--dangling');
+      danglingHitTarget = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      danglingHitTarget.classList.add('edge-dangling-hit');
+      danglingHitTarget.dataset.edgeId = edge.id;
+      danglingHitTarget.setAttribute('cx', `${endX}`);
+      danglingHitTarget.setAttribute('cy', `${endY}`);
+      danglingHitTarget.setAttribute('r', '14');
+    }
+
+    const isEditSelected = state.mode === 'edit' && state.selectedEdgeId === edge.id;
+    const isMultiSelected = state.mode === 'edit' && state.selectedEdgeIds.has(edge.id);
+    const isLineSelected =
+      (isEditSelected && state.selectedEdgeSelectionSource === 'line') || isMultiSelected;
+    const isSelectionActive = context.selectedEdgeSet.has(edge.id);
+    const isViewActive = showViewPath && context.activeEdgeId === edge.id;
+
+    const isStronglyActive = isSelectionActive || isViewActive;
+    const isPath = showViewPath && context.edgePathSet.has(edge.id);
+
+    if (isStronglyActive) {
+      path.classList.add('edge--active');
+    }
+
+    if (isLineSelected && !isStronglyActive) {
+      path.classList.add('edge--line-selected');
+    }
+
+    const markerVariant = isStronglyActive ? 'active' : isPath ? 'path' : 'default';
+    path.setAttribute('marker-start', `url(#edge-start-${markerVariant})`);
+    path.setAttribute('marker-end', `url(#arrow-head-${markerVariant})`);
+
+    const button = findButtonForEdge(edge);
+    const edgeButton = document.createElement('button');
+    edgeButton.className = 'win-button edge-choice-button';
+    edgeButton.type = 'button';
+    edgeButton.dataset.edgeId = edge.id;
+    edgeButton.textContent = button?.text || 'Choice';
+    edgeButton.title = `${button?.text || 'Choice'}: ${nodeLabel(edge.from)} -> ${
+      edgeHasTarget(edge) ? nodeLabel(edge.to) : '(unassigned)'
+    }`;
+
+    if (isStronglyActive) {
+      edgeButton.classList.add('is-selected');
+    }
+
+    if (compareKey) {
+      edgeButton.classList.add(`is-compare-${compareKey}`);
+    }
+
+    if (isMultiSelected) {
+      edgeButton.classList.add('is-marked');
+    }
+
+    if (searchHighlight.edgeIds.has(edge.id)) {
+      edgeButton.classList.add('is-search-hit');
+    }
+
+    if (searchHighlight.currentEdgeId === edge.id) {
+      edgeButton.classList.add('is-search-current');
+    }
+
+    if (button?.score) {
+      const scoreBadge = document.createElement('span');
+      scoreBadge.className = 'edge-choice-score';
+      scoreBadge.textContent = formatScore(button.score, true);
+      edgeButton.appendChild(scoreBadge);
+    }
+
+    const logicRules = [...formatLogicRules(button), ...formatLogicRules(targetNode).map((rule) => `target: ${rule}`)];
+    if (state.mode === 'edit' && logicRules.length > 0) {
+      edgeButton.classList.add('has-logic');
+      edgeButton.title += `\n${logicRules.join('\n')}`;
+    }
+
+    const choiceAvailability = availability.get(edge.id) || 'available';
+    if (choiceAvailability === 'disabled') {
+      edgeButton.classList.add('is-unavailable');
+      edgeButton.title = `Not available: ${describeConditions([button, targetNode])}`;
+    }
+    if (choiceAvailability === 'hidden') {
+      path.classList.add('edge--hidden-choice');
+    }
+
+    const midpoint = cubicBezierPoint(
+      0.5,
+      { x: startX, y: startY },
+      { x: c1x, y: c1y },
+      { x: c2x, y: c2y },
+      { x: endX, y: endY }
+    );
+    const indicatorPoint = cubicBezierPoint(
+      0.62,
+      { x: startX, y: startY },
+      { x: c1x, y: c1y },
+      { x: c2x, y: c2y },
+      { x: endX, y: endY }
+    );
+    edgeButton.style.left = `${Math.round(midpoint.x)}px`;
+    edgeButton.style.top = `${Math.round(midpoint.y - 12)}px`;
+
+    el.edgeLayer.appendChild(path);
+    if (danglingHitTarget) {
+      el.edgeLayer.appendChild(danglingHitTarget);
+    }
+    if (choiceAvailability !== 'hidden') {
+      el.edgeControlLayer.appendChild(edgeButton);
+    }
+
+    if (isStronglyActive) {
+      const activeIndicator = document.createElement('div');
+      activeIndicator.className = 'edge-activity-indicator';
+      activeIndicator.style.left = `${Math.round(indicatorPoint.x)}px`;
+      activeIndicator.style.top = `${Math.round(indicatorPoint.y)}px`;
+      activeIndicator.title = 'Active choice';
+      el.edgeControlLayer.appendChild(activeIndicator);
+    }
+  });
+
+  renderMinimap();
+}
+
+function updateActionButtons() {
+  const graph = state.currentGraph;
+  const selectedNode = graph?.ui.selectedNodeId || null;
+  const selectedEdge = state.selectedEdgeId;
+  const selectedNodeCount = getSelectedNodeIds().size;
+  const selectedEdgeCount = getSelectedEdgeIds().size;
+  const edgeIdSet = new Set((graph?.edges || []).map((edge) => edge.id));
+  const hasActiveEdges = Array.isArray(graph?.ui?.activePath)
+    ? graph.ui.activePath.some((entry) => edgeIdSet.has(entry))
+    : false;
+
+  const hasGraph = Boolean(graph);
+  const inEdit = state.mode === 'edit';
+
+  el.renameGraphBtn.disabled = !hasGraph;
+  el.graphFolderBtn.disabled = !hasGraph;
+  el.graphTagsBtn.disabled = !hasGraph;
+  el.graphPinBtn.disabled = !hasGraph;
+  el.graphPinBtn.textContent = graph?.pinned ? 'Unpin' : 'Pin';
+  el.duplicateGraphBtn.disabled = !hasGraph;
+  el.deleteGraphBtn.disabled = !hasGraph;
+  el.exportGraphBtn.disabled = !hasGraph;
+
+  el.addNodeBtn.disabled = !hasGraph || !inEdit;
+  el.addChoiceBtn.disabled = !hasGraph || !inEdit;
+  el.tidyUpBtn.disabled = !hasGraph || !inEdit;
+  el.editNodeBtn.disabled = !hasGraph || !inEdit || !selectedNode;
+  el.editDescriptionBtn.disabled = !hasGraph || !inEdit || !selectedNode;
+  el.nodeColorBtn.disabled = !hasGraph || !inEdit || selectedNodeCount === 0;
+  el.setStartBtn.disabled =
+    !hasGraph || !inEdit || !selectedNode || selectedNode === getRootNodeId(graph);
+  el.editChoiceBtn.disabled = !hasGraph || !inEdit || !selectedEdge;
+  el.logicBtn.disabled = !hasGraph || !inEdit || (!selectedEdge && !selectedNode);
+  el.variablesBtn.disabled = !hasGraph || !inEdit;
+  el.subgraphBtn.disabled = !hasGraph || !inEdit || !selectedNode;
+  el.deleteNodeBtn.disabled = !hasGraph || !inEdit || selectedNodeCount === 0;
+  el.deleteChoiceBtn.disabled = !hasGraph || !inEdit || selectedEdgeCount === 0;
+
+  el.clearPathBtn.disabled = !hasGraph || !hasActiveEdges;
+  el.playerBtn.disabled = !hasGraph;
+  el.sessionsBtn.disabled = !hasGraph;
+
+  const history = hasGraph ? state.historyByGraphId.get(graph.id) : null;
+  el.undoBtn.disabled = !inEdit || !history || history.undo.length === 0;
+  el.redoBtn.disabled = !inEdit || !history || history.redo.length === 0;
+}
+
+function getCanvasPoint(event) {
+  const rect = el.editorSurface.getBoundingClientRect();
+  const zoom = currentZoom();
+  return {
+    x: (event.clientX - rect.left - state.viewportOffset.x) / zoom,
+    y: (event.clientY - rect.top - state.viewportOffset.y) / zoom
+  };
+}
+
+function getDefaultNodePosition() {
+  const graph = state.currentGraph;
+  const width = el.editorSurface.clientWidth || 900;
+  const height = el.editorSurface.clientHeight || 600;
+  const zoom = currentZoom();
+  const index = graph ? graph.nodes.length : 0;
+  const offset = (index % 6) * 18;
+  const centerX = (width / 2 - state.viewportOffset.x) / zoom;
+  const centerY = (height / 2 - state.viewportOffset.y) / zoom;
+
+  return {
+    x: Math.floor(centerX - NODE_WIDTH / 2 + offset),
+    y: Math.floor(centerY - 44 + offset)
+  };
+}
+
+function isCanvasOverlayTarget(target) {
+  return Boolean(target.closest('.zoom-control, .search-panel, .validation-panel, .minimap'));
+}
+
+function handleEditorBackgroundClick(event) {
+  if (state.suppressBackgroundClickOnce) {
+    state.suppressBackgroundClickOnce = false;
+    return;
+  }
+
+  if (!state.currentGraph || state.mode !== 'edit' || isCanvasOverlayTarget(event.target)) {
+    return;
+  }
+
+  if (event.target.closest('.node') || event.target.closest('[data-edge-id]')) {
+    return;
+  }
+
+  if (state.pendingChoice) {
+    return;
+  }
+
+  state.currentGraph.ui.selectedNodeId = null;
+  setSelectedEdge(null);
+  renderGraph();
+  setStatus('Selection cleared.');
+}
+
+function handleEditorSurfaceMouseDown(event) {
+  if (event.button !== 0) {
+    return;
+  }
+
+  if (state.dragging) {
+    return;
+  }
+
+  if (isCanvasOverlayTarget(event.target)) {
+    return;
+  }
+
+  if (event.target.closest('.node') || event.target.closest('[data-edge-id]')) {
+    return;
+  }
+
+  if (event.shiftKey && state.currentGraph && state.mode === 'edit' && !state.pendingChoice) {
+    startRubberBand(event);
+    event.preventDefault();
+    return;
+  }
+
+  state.panning = {
+    startClientX: event.clientX,
+    startClientY: event.clientY,
+    startOffsetX: state.viewportOffset.x,
+    startOffsetY: state.viewportOffset.y,
+    moved: false
+  };
+
+  el.editorSurface.classList.add('is-panning');
+  event.preventDefault();
+}
+
+function startRubberBand(event) {
+  const rect = el.editorSurface.getBoundingClientRect();
+  const element = document.createElement('div');
+  element.className = 'rubber-band';
+  el.editorSurface.appendChild(element);
+
+  state.rubberBand = {
+    startX: event.clientX - rect.left,
+    startY: event.clientY - rect.top,
+    baseNodeIds: getSelectedNodeIds(),
+    baseEdgeIds: getSelectedEdgeIds(),
+    element,
+    moved: false
+  };
+
+  updateRubberBand(event);
+}
+
+function updateRubberBand(event) {
+  const band = state.rubberBand;
+  const graph = state.currentGraph;
+  if (!band || !graph) {
+    return;
+  }
+
+  const rect = el.editorSurface.getBoundingClientRect();
+  const pointerX = clamp(event.clientX - rect.left, 0, rect.width);
+  const pointerY = clamp(event.clientY - rect.top, 0, rect.height);
+  const left = Math.min(band.startX, pointerX);
+  const top = Math.min(band.startY, pointerY);
+  const width = Math.abs(pointerX - band.startX);
+  const height = Math.abs(pointerY - band.startY);
+
+  band.element.style.left = `${left}px`;
+  band.element.style.top = `${top}px`;
+  band.element.style.width = `${width}px`;
+  band.element.style.height = `${height}px`;
+  band.moved = band.moved || width > 3 || height > 3;
+
+  const zoom = currentZoom();
+  const worldLeft = (left - state.viewportOffset.x) / zoom;
+  const worldTop = (top - state.viewportOffset.y) / zoom;
+  const worldRight = worldLeft + width / zoom;
+  const worldBottom = worldTop + height / zoom;
+  const nodeIds = new Set(band.baseNodeIds);
+  const edgeIds = new Set(band.baseEdgeIds);
+
+  graph.nodes.forEach((node) => {
+    const nodeElement = state.nodeElements.get(node.id);
+    const nodeRight = node.x + (nodeElement?.offsetWidth || NODE_WIDTH);
+    const nodeBottom = node.y + (nodeElement?.offsetHeight || 80);
+    if (node.x < worldRight && nodeRight > worldLeft && node.y < worldBottom && nodeBottom > worldTop) {
+      nodeIds.add(node.id);
+    }
+  });
+
+  el.edgeControlLayer.querySelectorAll('.edge-choice-button').forEach((button) => {
+    const x = Number.parseFloat(button.style.left);
+    const y = Number.parseFloat(button.style.top);
+    if (x >= worldLeft && x <= worldRight && y >= worldTop && y <= worldBottom) {
+      edgeIds.add(button.dataset.edgeId);
+    }
+  });
+
+  setMultiSelection(nodeIds, edgeIds);
+  renderNodes();
+  renderEdges();
+  applyViewportTransform();
+  updateActionButtons();
+}
+
+function finishRubberBand() {
+  const band = state.rubberBand;
+  state.rubberBand = null;
+  band.element.remove();
+  state.suppressBackgroundClickOnce = true;
+
+  if (band.moved) {
+    const summary = describeSelection();
+    setStatus(summary ? `Selected: ${summary}.` : 'Nothing selected.');
+  }
+}
+
+function handleEditorDoubleClick(event) {
+  if (!state.currentGraph || state.mode !== 'edit' || isCanvasOverlayTarget(event.target)) {
+    return;
+  }
+
+  if (event.target.closest('.node') || event.target.closest('[data-edge-id]')) {
+    return;
+  }
+
+  const point = getCanvasPoint(event);
+  addNodeAt(point.x - NODE_WIDTH / 2, point.y - 30);
+}
+
+function handleNodeLayerClick(event) {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  const link = event.target.closest('.node__description a');
+  if (link) {
+    event.preventDefault();
+    event.stopPropagation();
+    const href = link.getAttribute('href') || '';
+    void copyTextToClipboard(href).then((copied) => {
+      setStatus(copied ? `Link copied: ${href}` : `Link: ${href}`);
+    });
+    return;
+  }
+
+  const refLink = event.target.closest('.node-ref-link');
+  if (refLink && state.mode === 'edit') {
+    void openReferencedGraph(refLink.dataset.nodeId);
+    event.stopPropagation();
+    return;
+  }
+
+  const typeToggle = event.target.closest('.node-type-toggle');
+  if (typeToggle) {
+    const nodeId = typeToggle.dataset.nodeId;
+    if (nodeId && state.mode === 'edit') {
+      toggleNodeType(nodeId);
+    }
+    event.stopPropagation();
+    return;
+  }
+
+  const nodeElement = event.target.closest('.node');
+  if (!nodeElement) {
+    return;
+  }
+
+  const nodeId = nodeElement.dataset.nodeId;
+  if (!nodeId) {
+    return;
+  }
+
+  if (state.suppressNodeClickOnce) {
+    state.suppressNodeClickOnce = false;
+    event.stopPropagation();
+    return;
+  }
+
+  if (state.mode === 'edit' && state.pendingChoice) {
+    completePendingChoice(nodeId);
+    event.stopPropagation();
+    return;
+  }
+
+  state.currentGraph.ui.selectedNodeId = nodeId;
+  setSelectedEdge(null);
+  renderGraph();
+  setStatus('Node selected.');
+
+  event.stopPropagation();
+}
+
+function handleNodeLayerDoubleClick(event) {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const title = event.target.closest('.node__title');
+  if (title) {
+    const nodeId = title.dataset.nodeId;
+    if (nodeId) {
+      startInlineNodeEdit(nodeId);
+    }
+    event.stopPropagation();
+    return;
+  }
+
+  const description = event.target.closest('.node__description');
+  if (description) {
+    const nodeId = description.dataset.nodeId;
+    if (nodeId) {
+      state.currentGraph.ui.selectedNodeId = nodeId;
+      setSelectedEdge(null);
+      void editSelectedNodeDescriptionFlow();
+    }
+    event.stopPropagation();
+  }
+}
+
+function handleNodeLayerMouseDown(event) {
+  state.suppressNodeClickOnce = false;
+
+  if (!state.currentGraph || state.mode !== 'edit' || state.layoutAnimation) {
+    return;
+  }
+
+  if (event.button !== 0) {
+    return;
+  }
+
+  if (event.target.closest('.node-type-toggle, .node-ref-link')) {
+    return;
+  }
+
+  const nodeElement = event.target.closest('.node');
+  if (!nodeElement) {
+    return;
+  }
+
+  const nodeId = nodeElement.dataset.nodeId;
+  if (!nodeId) {
+    return;
+  }
+
+  const node = findNode(nodeId);
+  if (!node) {
+    return;
+  }
+
+  if (event.shiftKey && !state.pendingChoice) {
+    toggleSelectedItem('node', nodeId);
+    state.suppressNodeClickOnce = true;
+    event.preventDefault();
+    return;
+  }
+
+  const selectedNodeIds = getSelectedNodeIds();
+  const dragNodeIds =
+    selectedNodeIds.size > 1 && selectedNodeIds.has(nodeId) ? Array.from(selectedNodeIds) : [nodeId];
+  const startPositions = new Map();
+  dragNodeIds.forEach((dragNodeId) => {
+    const dragNode = findNode(dragNodeId);
+    if (dragNode) {
+      startPositions.set(dragNodeId, { x: dragNode.x, y: dragNode.y });
+    }
+  });
+
+  const pointerWorld = getCanvasPoint(event);
+  state.dragging = {
+    nodeId,
+    offsetX: pointerWorld.x - node.x,
+    offsetY: pointerWorld.y - node.y,
+    startPositions,
+    moved: false,
+    historyBefore: captureGraphSnapshot(state.currentGraph)
+  };
+
+  if (startPositions.size === 1) {
+    state.currentGraph.ui.selectedNodeId = nodeId;
+    setSelectedEdge(null);
+  }
+  renderGraph();
+
+  event.preventDefault();
+}
+
+function handleWindowMouseMove(event) {
+  if (state.edgeConnectDrag && state.currentGraph) {
+    const edge = findEdge(state.edgeConnectDrag.edgeId);
+    if (!edge || edgeHasTarget(edge)) {
+      return;
+    }
+
+    const point = getCanvasPoint(event);
+    const nextPendingX = Math.round(point.x);
+    const nextPendingY = Math.round(point.y);
+
+    if (edge.pendingX === nextPendingX && edge.pendingY === nextPendingY) {
+      return;
+    }
+
+    edge.pendingX = nextPendingX;
+    edge.pendingY = nextPendingY;
+    state.edgeConnectDrag.moved = true;
+    renderEdges();
+    applyViewportTransform();
+    return;
+  }
+
+  if (state.minimapDrag) {
+    const point = getMinimapWorldPoint(event);
+    moveViewportCenterTo({
+      x: point.x - state.minimapDrag.grabOffsetX,
+      y: point.y - state.minimapDrag.grabOffsetY
+    });
+    return;
+  }
+
+  if (state.rubberBand) {
+    updateRubberBand(event);
+    return;
+  }
+
+  if (state.dragging && state.currentGraph) {
+    const node = findNode(state.dragging.nodeId);
+    const dragStart = state.dragging.startPositions.get(state.dragging.nodeId);
+    if (!node || !dragStart) {
+      return;
+    }
+
+    const canvasRect = el.editorSurface.getBoundingClientRect();
+    const zoom = currentZoom();
+    const pointerWorldX = (event.clientX - canvasRect.left - state.viewportOffset.x) / zoom;
+    const pointerWorldY = (event.clientY - canvasRect.top - state.viewportOffset.y) / zoom;
+    const nextX = pointerWorldX - state.dragging.offsetX;
+    const nextY = pointerWorldY - state.dragging.offsetY;
+
+    if (Math.round(nextX) === node.x && Math.round(nextY) === node.y) {
+      return;
+    }
+
+    const deltaX = Math.round(nextX) - dragStart.x;
+    const deltaY = Math.round(nextY) - dragStart.y;
+    state.dragging.moved = true;
+
+    state.dragging.startPositions.forEach((start, dragNodeId) => {
+      const dragNode = findNode(dragNodeId);
+      const nodeElement = state.nodeElements.get(dragNodeId);
+      if (!dragNode) {
+        return;
+      }
+
+      dragNode.x = start.x + deltaX;
+      dragNode.y = start.y + deltaY;
+      if (nodeElement) {
+        nodeElement.style.left = `${dragNode.x}px`;
+        nodeElement.style.top = `${dragNode.y}px`;
+      }
+    });
+
+    renderEdges();
+    applyViewportTransform();
+    return;
+  }
+
+  if (!state.panning) {
+    return;
+  }
+
+  const nextOffsetX = state.panning.startOffsetX + (event.clientX - state.panning.startClientX);
+  const nextOffsetY = state.panning.startOffsetY + (event.clientY - state.panning.startClientY);
+
+  if (nextOffsetX === state.viewportOffset.x && nextOffsetY === state.viewportOffset.y) {
+    return;
+  }
+
+  state.viewportOffset.x = nextOffsetX;
+  state.viewportOffset.y = nextOffsetY;
+  state.panning.moved = true;
+  applyViewportTransform();
+}
+
+function handleWindowMouseUp(event) {
+  if (state.minimapDrag) {
+    state.minimapDrag = null;
+    return;
+  }
+
+  if (!state.dragging && !state.panning && !state.edgeConnectDrag && !state.rubberBand) {
+    return;
+  }
+
+  if (state.rubberBand) {
+    finishRubberBand();
+  }
+
+  if (state.edgeConnectDrag && state.currentGraph) {
+    const dragState = state.edgeConnectDrag;
+    state.edgeConnectDrag = null;
+
+    const edge = findEdge(dragState.edgeId);
+    if (edge && !edgeHasTarget(edge)) {
+      const targetNodeElement = event.target?.closest?.('.node');
+      const targetNodeId = targetNodeElement?.dataset?.nodeId || null;
+
+      if (targetNodeId && targetNodeId !== dragState.sourceNodeId) {
+        if (assignDanglingChoiceToNode(dragState.edgeId, targetNodeId, dragState.historyBefore)) {
+          return;
+        }
+      }
+
+      if (targetNodeId === dragState.sourceNodeId) {
+        edge.pendingX = dragState.startPendingX;
+        edge.pendingY = dragState.startPendingY;
+        renderEdges();
+        applyViewportTransform();
+        setStatus('Eine Choice kann nicht mit ihrem eigenen Source-Node verbunden werden.');
+      } else if (dragState.moved) {
+        setStatus('Keine Verbindung gesetzt. Dreieck auf einem Ziel-Node loslassen.');
+      }
+    }
+  }
+
+  if (state.dragging) {
+    const { moved, historyBefore, startPositions } = state.dragging;
+    state.dragging = null;
+
+    if (moved) {
+      state.suppressNodeClickOnce = true;
+      recordGraphChange(startPositions.size > 1 ? 'Move nodes' : 'Move node', historyBefore);
+      scheduleAutosave();
+      setStatus(startPositions.size > 1 ? `${startPositions.size} nodes moved.` : 'Node moved.');
+    }
+  }
+
+  if (state.panning) {
+    const moved = state.panning.moved;
+    state.panning = null;
+    el.editorSurface.classList.remove('is-panning');
+
+    if (moved) {
+      state.suppressBackgroundClickOnce = true;
+      setStatus('Canvas moved.');
+    }
+  }
+}
+
+function applyViewportTransform() {
+  const zoom = currentZoom();
+  const x = Math.round(state.viewportOffset.x * 100) / 100;
+  const y = Math.round(state.viewportOffset.y * 100) / 100;
+  const transform = `translate(${x}px, ${y}px) scale(${zoom})`;
+
+  el.edgeLayer.style.transform = transform;
+  el.edgeControlLayer.style.transform = transform;
+  el.nodeLayer.style.transform = transform;
+  updateMinimapViewport();
+}
+
+function handleEdgeLayerMouseDown(event) {
+  if (!state.currentGraph || state.mode !== 'edit' || state.layoutAnimation) {
+    return;
+  }
+
+  if (event.button !== 0) {
+    return;
+  }
+
+  const handle = event.target.closest('.edge-dangling-hit');
+  if (!handle || event.shiftKey) {
+    return;
+  }
+
+  const edgeId = handle.dataset.edgeId;
+  if (!edgeId) {
+    return;
+  }
+
+  const edge = findEdge(edgeId);
+  if (!edge || edgeHasTarget(edge)) {
+    return;
+  }
+
+  const sourceNode = findNode(edge.from);
+  if (!sourceNode) {
+    return;
+  }
+
+  const startPoint = getDanglingEdgePoint(state.currentGraph, sourceNode, edge);
+  state.edgeConnectDrag = {
+    edgeId,
+    sourceNodeId: edge.from,
+    startPendingX: startPoint.x,
+    startPendingY: startPoint.y,
+    moved: false,
+    historyBefore: captureGraphSnapshot(state.currentGraph)
+  };
+
+  setSelectedEdge(edgeId, 'line');
+  state.currentGraph.ui.selectedNodeId = null;
+  renderGraph();
+  setStatus('Dreieck ziehen und auf einem Node loslassen, um zu verbinden.');
+
+  event.preventDefault();
+  event.stopPropagation();
+}
+
+function handleEdgeLayerClick(event) {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const target = event.target.closest('[data-edge-id]');
+  if (!target) {
+    return;
+  }
+
+  const edgeId = target.dataset.edgeId;
+  if (!edgeId) {
+    return;
+  }
+
+  if (event.shiftKey) {
+    toggleSelectedItem('edge', edgeId);
+    event.stopPropagation();
+    return;
+  }
+
+  const edge = findEdge(edgeId);
+  if (edge && !edgeHasTarget(edge)) {
+    setSelectedEdge(edgeId, 'line');
+    state.currentGraph.ui.selectedNodeId = null;
+    renderGraph();
+    setStatus('Dreieck ziehen und auf einem Node loslassen, um zu verbinden.');
+    event.stopPropagation();
+    return;
+  }
+
+  setSelectedEdge(edgeId, 'line');
+  state.currentGraph.ui.selectedNodeId = null;
+  renderGraph();
+  setStatus('Kante ausgewählt (Linie).');
+  event.stopPropagation();
+}
+
+function handleEdgeLayerDoubleClick(event) {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const target = event.target.closest('[data-edge-id]');
+  if (!target) {
+    return;
+  }
+
+  const edgeId = target.dataset.edgeId;
+  if (!edgeId) {
+    return;
+  }
+
+  startInlineChoiceEdit(edgeId);
+  event.stopPropagation();
+}
+
+function handleEdgeControlLayerClick(event) {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  const target = event.target.closest('.edge-choice-button');
+  if (!target) {
+    return;
+  }
+
+  const edgeId = target.dataset.edgeId;
+  if (!edgeId) {
+    return;
+  }
+
+  if (state.mode === 'edit' && event.shiftKey) {
+    toggleSelectedItem('edge', edgeId);
+  } else if (state.mode === 'edit') {
+    const edge = findEdge(edgeId);
+    if (edge && !edgeHasTarget(edge)) {
+      setSelectedEdge(edgeId, 'button');
+      state.currentGraph.ui.selectedNodeId = null;
+      renderGraph();
+      setStatus('Dreieck ziehen und auf einem Node loslassen, um zu verbinden.');
+      event.stopPropagation();
+      return;
+    }
+
+    const selection = applyTypedEdgeSelection(edgeId);
+    // Choices without a selection of their own just toggle the editor highlight.
+    const edgeIsSelected = selection?.edgeIsSelected ?? (Boolean(selection) && state.selectedEdgeId !== edgeId);
+    setSelectedEdge(edgeIsSelected ? edgeId : null, edgeIsSelected ? 'button' : null);
+    state.currentGraph.ui.selectedNodeId = null;
+    renderGraph();
+    if (selection) {
+      const verb = edgeIsSelected ? 'Gewählt' : 'Abgewählt';
+      setStatus(`${verb} (${selection.sourceNodeType.toUpperCase()}): ${findButtonForEdge(selection.edge)?.text || 'Choice'}`);
+    } else {
+      setStatus('Choice selected.');
+    }
+  } else {
+    followChoice(edgeId);
+  }
+
+  event.stopPropagation();
+}
+
+function handleEdgeControlLayerDoubleClick(event) {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const target = event.target.closest('.edge-choice-button');
+  if (!target) {
+    return;
+  }
+
+  const edgeId = target.dataset.edgeId;
+  if (!edgeId) {
+    return;
+  }
+
+  startInlineChoiceEdit(edgeId);
+  event.stopPropagation();
+}
+
+function addNodeAt(x, y) {
+  const graph = state.currentGraph;
+  if (!graph || state.layoutAnimation) {
+    return null;
+  }
+
+  const before = captureGraphSnapshot(graph);
+  const node = {
+    id: uid('n'),
+    x: Math.round(x),
+    y: Math.round(y),
+    text: 'New Node',
+    description: '',
+    type: DEFAULT_NODE_TYPE,
+    color: null,
+    buttons: []
+  };
+
+  graph.nodes.push(node);
+  graph.ui.selectedNodeId = node.id;
+  setSelectedEdge(null);
+  recordGraphChange('Add node', before);
+
+  renderGraph();
+  scheduleAutosave();
+  setStatus('Node added.');
+
+  if (state.pendingChoice) {
+    completePendingChoice(node.id);
+  }
+
+  return node;
+}
+
+function toggleNodeType(nodeId) {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const node = findNode(nodeId);
+  if (!node) {
+    return;
+  }
+
+  const nextType = NODE_TYPES[(NODE_TYPES.indexOf(node.type) + 1) % NODE_TYPES.length];
+  const selectedNodeIds = getSelectedNodeIds();
+  const nodes =
+    selectedNodeIds.size > 1 && selectedNodeIds.has(node.id)
+      ? Array.from(selectedNodeIds).map((selectedNodeId) => findNode(selectedNodeId)).filter(Boolean)
+      : [node];
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  nodes.forEach((item) => {
+    item.type = nextType;
+  });
+  recordGraphChange(nodes.length > 1 ? 'Change node types' : 'Change node type', before);
+
+  const selections = getActiveSelections(state.currentGraph);
+  nodes.forEach((item) => {
+    if (!Array.isArray(selections[item.id])) {
+      return;
+    }
+
+    const allowedSelection = limitSelectionToNodeType(item.type, selections[item.id]);
+    if (allowedSelection.length > 0) {
+      selections[item.id] = allowedSelection;
+    } else {
+      delete selections[item.id];
+    }
+  });
+
+  rebuildActivePathFromSelections(state.currentGraph);
+
+  if (state.lastChosenEdgeId && !state.currentGraph.ui.activePath.includes(state.lastChosenEdgeId)) {
+    state.lastChosenEdgeId = null;
+  }
+  if (state.lastChosenNodeId && !state.currentGraph.ui.activePath.includes(state.lastChosenNodeId)) {
+    state.lastChosenNodeId = null;
+  }
+
+  renderGraph();
+  scheduleAutosave();
+  setStatus(
+    nodes.length > 1
+      ? `${nodes.length} Nodes auf ${NODE_TYPE_LABELS[nextType]} gesetzt.`
+      : `Node-Typ auf ${NODE_TYPE_LABELS[nextType]} gesetzt.`
+  );
+
+  if (nextType === 'ref' && nodes.length === 1 && !node.refGraphId) {
+    void linkNodeToGraphFlow(node.id);
+  }
+}
+
+async function linkNodeToGraphFlow(nodeId) {
+  const graph = state.currentGraph;
+  const node = findNode(nodeId);
+  if (!graph || !node || state.mode !== 'edit') {
+    return;
+  }
+
+  const candidates = state.graphSummaries.filter((summary) => summary.id !== graph.id);
+  if (candidates.length === 0) {
+    await showAlert('There is no other saved graph to reference yet.');
+    return;
+  }
+
+  const refGraphId = await showSelect({
+    title: 'Subgraph',
+    message: `Graph that "${node.text}" runs as a subgraph:`,
+    okText: 'Link',
+    defaultValue: node.refGraphId || candidates[0].id,
+    options: candidates.map((summary) => ({ value: summary.id, label: summary.name }))
+  });
+
+  if (!refGraphId || graph !== state.currentGraph || !findNode(nodeId)) {
+    return;
+  }
+
+  const cycle = findReferenceCycle(graph, [refGraphId]);
+  if (cycle) {
+    await showAlert(`This link would create a cyclic subgraph reference:\n${formatReferenceCycle(graph, cycle)}`);
+    return;
+  }
+
+  const before = captureGraphSnapshot(graph);
+  node.type = 'ref';
+  node.refGraphId = refGraphId;
+  delete getActiveSelections(graph)[node.id];
+  recordGraphChange('Link subgraph', before);
+  rebuildActivePathFromSelections(graph);
+
+  renderGraph();
+  scheduleAutosave();
+  setStatus(
+    `"${node.text}" verweist jetzt auf "${candidates.find((summary) => summary.id === refGraphId)?.name}".`
+  );
+}
+
+async function openReferencedGraph(nodeId) {
+  const node = findNode(nodeId);
+  if (!node) {
+    return;
+  }
+
+  if (!state.graphSummaries.some((summary) => summary.id === node.refGraphId)) {
+    await linkNodeToGraphFlow(node.id);
+    return;
+  }
+
+  const parentName = state.currentGraph.name;
+  await loadGraphById(node.refGraphId);
+  setStatus(`Subgraph geöffnet: ${state.currentGraph.name} (referenziert von ${parentName})`);
+}
+
+function setStartNode(nodeId) {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const node = findNode(nodeId);
+  if (!node) {
+    void showAlert('Select a node first.');
+    return;
+  }
+
+  if (getRootNodeId(state.currentGraph) === node.id) {
+    setStatus('Node is already the start node.');
+    return;
+  }
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  state.currentGraph.rootNodeId = node.id;
+  recordGraphChange('Set start node', before);
+
+  rebuildActivePathFromSelections(state.currentGraph);
+  state.lastChosenEdgeId = null;
+  state.lastChosenNodeId = null;
+
+  renderGraph();
+  scheduleAutosave();
+  setStatus(`Start node set to "${node.text}".`);
+}
+
+function computeTidyLayout(graph, options = {}) {
+  const direction = options.direction === 'LR' || options.direction === 'RL' ? 'LR' : 'TB';
+  const nodeIds = graph.nodes.map((node) => node.id);
+  const rootNodeId = getRootNodeId(graph);
+  const outgoing = new Map(nodeIds.map((nodeId) => [nodeId, []]));
+
+  graph.edges.forEach((edge) => {
+    if (edgeHasTarget(edge) && edge.to !== edge.from && outgoing.has(edge.to) && outgoing.has(edge.from)) {
+      outgoing.get(edge.from).push(edge.to);
+    }
+  });
+
+  const forward = new Map(nodeIds.map((nodeId) => [nodeId, []]));
+  const visitState = new Map();
+  const discovery = [];
+  const postOrder = [];
+
+  const visit = (nodeId) => {
+    visitState.set(nodeId, 'active');
+    discovery.push(nodeId);
+
+    outgoing.get(nodeId).forEach((targetId) => {
+      const targetState = visitState.get(targetId);
+      if (targetState === 'active') {
+        return;
+      }
+      if (!forward.get(nodeId).includes(targetId)) {
+        forward.get(nodeId).push(targetId);
+      }
+      if (!targetState) {
+        visit(targetId);
+      }
+    });
+
+    visitState.set(nodeId, 'done');
+    postOrder.push(nodeId);
+  };
+
+  if (rootNodeId) {
+    visit(rootNodeId);
+  }
+  nodeIds.forEach((nodeId) => {
+    if (!visitState.has(nodeId)) {
+      visit(nodeId);
+    }
+  });
+
+  const layerById = new Map(nodeIds.map((nodeId) => [nodeId, 0]));
+  postOrder
+    .slice()
+    .reverse()
+    .forEach((nodeId) => {
+      forward.get(nodeId).forEach((targetId) => {
+        layerById.set(targetId, Math.max(layerById.get(targetId), layerById.get(nodeId) + 1));
+      });
+    });
+
+  const layers = [];
+  discovery.forEach((nodeId) => {
+    const layer = layerById.get(nodeId);
+    if (!layers[layer]) {
+      layers[layer] = [];
+    }
+    layers[layer].push(nodeId);
+  });
+  for (let index = 0; index < layers.length; index += 1) {
+    layers[index] = layers[index] || [];
+  }
+
+  const predecessors = new Map(nodeIds.map((nodeId) => [nodeId, []]));
+  const forwardPairs = [];
+  forward.forEach((targets, sourceId) => {
+    targets.forEach((targetId) => {
+      predecessors.get(targetId).push(sourceId);
+      forwardPairs.push([sourceId, targetId]);
+    });
+  });
+
+  const positionById = new Map();
+  const refreshPositions = () => {
+    layers.forEach((layer) => {
+      layer.forEach((nodeId, index) => positionById.set(nodeId, index - (layer.length - 1) / 2));
+    });
+  };
+
+  const countCrossings = () => {
+    let crossings = 0;
+    for (let i = 0; i < forwardPairs.length; i += 1) {
+      const [sourceA, targetA] = forwardPairs[i];
+      for (let j = i + 1; j < forwardPairs.length; j += 1) {
+        const [sourceB, targetB] = forwardPairs[j];
+        if (
+          layerById.get(sourceA) === layerById.get(sourceB) &&
+          layerById.get(targetA) === layerById.get(targetB) &&
+          (positionById.get(sourceA) - positionById.get(sourceB)) *
+            (positionById.get(targetA) - positionById.get(targetB)) <
+            0
+        ) {
+          crossings += 1;
+        }
+      }
+    }
+    return crossings;
+  };
+
+  const sortLayerByNeighbors = (layer, neighborsOf) => {
+    const barycenter = new Map(
+      layer.map((nodeId) => {
+        const neighbors = neighborsOf(nodeId);
+        if (neighbors.length === 0) {
+          return [nodeId, positionById.get(nodeId)];
+        }
+        const sum = neighbors.reduce((total, neighborId) => total + positionById.get(neighborId), 0);
+        return [nodeId, sum / neighbors.length];
+      })
+    );
+    layer.sort((a, b) => barycenter.get(a) - barycenter.get(b));
+    layer.forEach((nodeId, index) => positionById.set(nodeId, index - (layer.length - 1) / 2));
+  };
+
+  refreshPositions();
+  let bestLayers = layers.map((layer) => layer.slice());
+  let bestCrossings = countCrossings();
+
+  for (let iteration = 0; iteration < TIDY_LAYOUT_SWEEPS && bestCrossings > 0; iteration += 1) {
+    for (let index = 1; index < layers.length; index += 1) {
+      sortLayerByNeighbors(layers[index], (nodeId) => predecessors.get(nodeId));
+    }
+    for (let index = layers.length - 2; index >= 0; index -= 1) {
+      sortLayerByNeighbors(layers[index], (nodeId) => forward.get(nodeId));
+    }
+
+    const crossings = countCrossings();
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      bestLayers = layers.map((layer) => layer.slice());
+    }
+  }
+
+  const sizeOf = (nodeId) => {
+    const nodeEl = state.currentGraph === graph ? state.nodeElements.get(nodeId) : null;
+    return {
+      width: Math.max(NODE_WIDTH, nodeEl?.offsetWidth || NODE_WIDTH),
+      height: Math.max(34, nodeEl?.offsetHeight || 44)
+    };
+  };
+
+  const positions = new Map();
+  let layerOffset = 0;
+
+  bestLayers.forEach((layer) => {
+    const sizes = layer.map(sizeOf);
+    const depthExtent = Math.max(0, ...sizes.map((size) => (direction === 'TB' ? size.height : size.width)));
+    const spread = sizes.reduce(
+      (total, size) => total + (direction === 'TB' ? size.width : size.height),
+      0
+    );
+    const siblingGap = direction === 'TB' ? 60 : 70;
+    let cursor = -(spread + siblingGap * Math.max(0, layer.length - 1)) / 2;
+
+    layer.forEach((nodeId, index) => {
+      const size = sizes[index];
+      positions.set(
+        nodeId,
+        direction === 'TB' ? { x: cursor, y: layerOffset } : { x: layerOffset, y: cursor }
+      );
+      cursor += (direction === 'TB' ? size.width : size.height) + siblingGap;
+    });
+
+    layerOffset += depthExtent + (direction === 'TB' ? 120 : 160);
+  });
+
+  let shiftX = 0;
+  let shiftY = 0;
+  if (options.origin) {
+    const all = Array.from(positions.values());
+    shiftX = options.origin.x - Math.min(...all.map((point) => point.x));
+    shiftY = options.origin.y - Math.min(...all.map((point) => point.y));
+  } else if (rootNodeId && positions.has(rootNodeId)) {
+    const rootNode = graph.nodes.find((node) => node.id === rootNodeId);
+    shiftX = rootNode.x - positions.get(rootNodeId).x;
+    shiftY = rootNode.y - positions.get(rootNodeId).y;
+  }
+
+  positions.forEach((point, nodeId) => {
+    positions.set(nodeId, { x: Math.round(point.x + shiftX), y: Math.round(point.y + shiftY) });
+  });
+
+  return positions;
+}
+
+function applyNodePositions(graph, positions) {
+  graph.nodes.forEach((node) => {
+    const point = positions.get(node.id);
+    if (point) {
+      node.x = point.x;
+      node.y = point.y;
+    }
+  });
+
+  graph.edges.forEach((edge) => {
+    if (!edgeHasTarget(edge)) {
+      edge.pendingX = null;
+      edge.pendingY = null;
+    }
+  });
+}
+
+function animateNodePositions(targets, onDone) {
+  const graph = state.currentGraph;
+  if (state.layoutAnimation) {
+    cancelAnimationFrame(state.layoutAnimation);
+  }
+
+  const starts = new Map(graph.nodes.map((node) => [node.id, { x: node.x, y: node.y }]));
+  const startTime = performance.now();
+
+  const step = (now) => {
+    let finished = true;
+    try {
+      if (state.currentGraph !== graph) {
+        return;
+      }
+
+      const progress = clamp((now - startTime) / LAYOUT_ANIMATION_MS, 0, 1);
+      const eased = 1 - (1 - progress) ** 3;
+
+      graph.nodes.forEach((node) => {
+        const from = starts.get(node.id);
+        if (!from) {
+          return;
+        }
+
+        const to = targets.get(node.id) || from;
+        node.x = Math.round(from.x + (to.x - from.x) * eased);
+        node.y = Math.round(from.y + (to.y - from.y) * eased);
+
+        const nodeElement = state.nodeElements.get(node.id);
+        if (nodeElement) {
+          nodeElement.style.left = `${node.x}px`;
+          nodeElement.style.top = `${node.y}px`;
+        }
+      });
+
+      renderEdges();
+      applyViewportTransform();
+
+      if (progress < 1) {
+        finished = false;
+        state.layoutAnimation = requestAnimationFrame(step);
+        return;
+      }
+    } finally {
+      if (finished) {
+        state.layoutAnimation = null;
+      }
+    }
+
+    onDone();
+  };
+
+  state.layoutAnimation = requestAnimationFrame(step);
+}
+
+async function tidyUpGraphFlow() {
+  if (!state.currentGraph || state.mode !== 'edit' || state.layoutAnimation) {
+    return;
+  }
+
+  const direction = await showSelect({
+    title: 'Tidy Up',
+    message: 'Arrange all nodes by depth from the start node:',
+    okText: 'Arrange',
+    defaultValue: state.lastLayoutDirection,
+    options: [
+      { value: 'TB', label: 'Top to bottom' },
+      { value: 'LR', label: 'Left to right' }
+    ]
+  });
+
+  if (!direction || !state.currentGraph) {
+    return;
+  }
+
+  const graph = state.currentGraph;
+  const before = captureGraphSnapshot(graph);
+  const targets = computeTidyLayout(graph, { direction });
+  state.lastLayoutDirection = direction;
+  setStatus('Arranging nodes...');
+
+  animateNodePositions(targets, () => {
+    applyNodePositions(graph, targets);
+    recordGraphChange('Tidy up', before);
+    renderGraph();
+    scheduleAutosave();
+    setStatus('Graph tidied up.');
+  });
+}
+
+function addNodeAtDefaultPosition() {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const point = getDefaultNodePosition();
+  addNodeAt(point.x, point.y);
+}
+
+async function editSelectedNodeTextFlow() {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const node = findNode(state.currentGraph.ui.selectedNodeId);
+  if (!node) {
+    await showAlert('Select a node first.');
+    return;
+  }
+
+  const value = await showPrompt({
+    title: 'Edit Node',
+    message: 'Node text:',
+    defaultValue: node.text,
+    okText: 'Apply'
+  });
+
+  if (value === null) {
+    return;
+  }
+
+  setNodeText(node.id, value);
+}
+
+function setNodeText(nodeId, value) {
+  const node = findNode(nodeId);
+  if (!node) {
+    return;
+  }
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  node.text = value.trim() || 'Untitled Node';
+  recordGraphChange('Edit node text', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus('Node text updated.');
+}
+
+async function editSelectedNodeDescriptionFlow() {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const node = findNode(state.currentGraph.ui.selectedNodeId);
+  if (!node) {
+    await showAlert('Select a node first.');
+    return;
+  }
+
+  const value = await showPrompt({
+    title: 'Edit Description',
+    message:
+      'Node description (Markdown: **bold**, `code`, - lists, [links](https://...)).\nCtrl+Enter applies.',
+    defaultValue: node.description,
+    okText: 'Apply',
+    multiline: true
+  });
+
+  if (value === null) {
+    return;
+  }
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  node.description = normalizeNodeDescription(value);
+  recordGraphChange('Edit node description', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus(node.description ? 'Node description updated.' : 'Node description removed.');
+}
+
+async function editSelectedLogicFlow() {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const edge = findEdge(state.selectedEdgeId);
+  const node = edge ? null : findNode(state.currentGraph.ui.selectedNodeId);
+  const item = edge ? findButtonForEdge(edge) : node;
+  if (!item) {
+    await showAlert('Select a choice or node first.');
+    return;
+  }
+
+  const message = edge
+    ? 'One rule per line:\nscore = 5           adds 5 points to the path total when this choice is taken\nset budget = high   sets a variable when this choice is taken\nif region = eu      the choice is only available when all conditions match (use != for "not")\nhide                hide the choice instead of disabling it'
+    : 'One rule per line:\nif region = eu      choices leading here are only available when all conditions match (use != for "not")\nhide                hide those choices instead of disabling them';
+  let text = formatLogicRules(item).join('\n');
+  let parsed = null;
+
+  while (!parsed) {
+    const value = await showPrompt({
+      title: `Conditions - ${item.text}`,
+      message: `${message}\nCtrl+Enter applies.`,
+      defaultValue: text,
+      okText: 'Apply',
+      multiline: true
+    });
+
+    if (value === null) {
+      return;
+    }
+
+    const result = parseLogicRules(value, Boolean(edge));
+    if (result.error) {
+      await showAlert(result.error);
+      text = value;
+    } else {
+      parsed = result.logic;
+    }
+  }
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  applyLogic(item, parsed);
+  recordGraphChange(edge ? 'Edit choice conditions' : 'Edit node conditions', before);
+  rebuildActivePathFromSelections(state.currentGraph);
+  renderGraph();
+  scheduleAutosave();
+
+  const ruleCount = formatLogicRules(item).length;
+  setStatus(ruleCount > 0 ? `Conditions updated (${ruleCount} rule(s)).` : 'Conditions removed.');
+}
+
+async function editGraphVariablesFlow() {
+  const graph = state.currentGraph;
+  if (!graph || state.mode !== 'edit') {
+    return;
+  }
+
+  let text = Object.entries(graph.variables || {})
+    .map(([name, value]) => `${name} = ${value}`)
+    .join('\n');
+  let variables = null;
+
+  while (!variables) {
+    const value = await showPrompt({
+      title: 'Graph Variables',
+      message:
+        'One variable per line with its start value, e.g. budget = low.\nChoices change them with "set" rules (see Conditions).\nCtrl+Enter applies.',
+      defaultValue: text,
+      okText: 'Apply',
+      multiline: true
+    });
+
+    if (value === null) {
+      return;
+    }
+
+    const nextVariables = {};
+    const invalidLine = value
+      .split('\n')
+      .map((line) => line.trim())
+      .find((line) => {
+        if (!line || line.startsWith('#')) {
+          return false;
+        }
+        const match = line.match(/^([A-Za-z_][\w-]*)\s*(?:=\s*(.*))?$/);
+        if (match) {
+          nextVariables[match[1]] = (match[2] || '').trim().replace(/^"(.*)"$/, '$1');
+        }
+        return !match;
+      });
+
+    if (invalidLine) {
+      await showAlert(`Not a valid variable: ${invalidLine}`);
+      text = value;
+    } else {
+      variables = nextVariables;
+    }
+  }
+
+  const before = captureGraphSnapshot(graph);
+  graph.variables = normalizeGraphVariables(variables);
+  recordGraphChange('Edit graph variables', before);
+  rebuildActivePathFromSelections(graph);
+  renderGraph();
+  scheduleAutosave();
+  setStatus(`${Object.keys(graph.variables).length} variable(s) defined.`);
+}
+
+function handleEdgeControlLayerContextMenu(event) {
+  const button = event.target.closest('.edge-choice-button');
+  if (!button || !state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  event.preventDefault();
+  setSelectedEdge(button.dataset.edgeId, 'button');
+  state.currentGraph.ui.selectedNodeId = null;
+  renderGraph();
+  void editSelectedLogicFlow();
+}
+
+async function addChoiceFlow() {
+  if (!state.currentGraph || state.mode !== 'edit' || state.layoutAnimation) {
+    return;
+  }
+
+  const sourceId = state.currentGraph.ui.selectedNodeId;
+  if (!sourceId) {
+    await showAlert('Select a source node first.');
+    return;
+  }
+
+  const label = await showPrompt({
+    title: 'Add Choice',
+    message: 'Button text:',
+    defaultValue: 'Option',
+    okText: 'Create'
+  });
+
+  if (label === null) {
+    return;
+  }
+
+  createChoiceWithNewChildNode(sourceId, label.trim() || 'Choice');
+}
+
+function createChoiceWithNewChildNode(sourceNodeId, buttonText) {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  const sourceNode = findNode(sourceNodeId);
+  if (!sourceNode) {
+    return;
+  }
+
+  const outgoingCount = state.currentGraph.edges.filter((edge) => edge.from === sourceNodeId).length;
+  const horizontalStep = 250;
+  const verticalStep = 90;
+
+  let offsetY = 0;
+  if (outgoingCount > 0) {
+    const magnitude = Math.ceil(outgoingCount / 2) * verticalStep;
+    const sign = outgoingCount % 2 === 1 ? 1 : -1;
+    offsetY = sign * magnitude;
+  }
+
+  const pendingX = Math.round(sourceNode.x + horizontalStep);
+  const pendingY = Math.round(sourceNode.y + 18 + offsetY);
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  const buttonId = uid('b');
+  const edgeId = uid('e');
+
+  sourceNode.buttons.push({
+    id: buttonId,
+    text: buttonText,
+    to: null
+  });
+
+  state.currentGraph.edges.push({
+    id: edgeId,
+    from: sourceNode.id,
+    to: null,
+    buttonId,
+    pendingX,
+    pendingY
+  });
+
+  state.pendingChoice = null;
+  state.currentGraph.ui.selectedNodeId = null;
+  setSelectedEdge(edgeId);
+
+  enforceGraphConsistency(state.currentGraph);
+  recordGraphChange('Add choice', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus('Choice erstellt. Ziehe das Dreieck auf einen Ziel-Node, um zu verbinden.');
+}
+
+function assignDanglingChoiceToNode(edgeId, targetNodeId, historyBefore = null) {
+  if (!state.currentGraph || state.mode !== 'edit' || state.layoutAnimation) {
+    return false;
+  }
+
+  const edge = findEdge(edgeId);
+  const targetNode = findNode(targetNodeId);
+  const sourceNode = edge ? findNode(edge.from) : null;
+  if (!edge || edgeHasTarget(edge) || !targetNode || !sourceNode) {
+    return false;
+  }
+
+  if (sourceNode.id === targetNode.id) {
+    return false;
+  }
+
+  const before = historyBefore || captureGraphSnapshot(state.currentGraph);
+  edge.to = targetNode.id;
+  edge.pendingX = null;
+  edge.pendingY = null;
+
+  const button = findButtonForEdge(edge);
+  if (button) {
+    button.to = targetNode.id;
+  }
+
+  state.currentGraph.ui.selectedNodeId = targetNode.id;
+  setSelectedEdge(null);
+
+  enforceGraphConsistency(state.currentGraph);
+  recordGraphChange('Connect choice', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus('Choice mit Node verbunden.');
+  return true;
+}
+
+function completePendingChoice(targetNodeId) {
+  if (!state.currentGraph || !state.pendingChoice) {
+    return;
+  }
+
+  const { sourceNodeId, buttonText } = state.pendingChoice;
+  const sourceNode = findNode(sourceNodeId);
+  const targetNode = findNode(targetNodeId);
+
+  if (!sourceNode || !targetNode) {
+    state.pendingChoice = null;
+    renderGraph();
+    return;
+  }
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  const buttonId = uid('b');
+  const edgeId = uid('e');
+
+  sourceNode.buttons.push({
+    id: buttonId,
+    text: buttonText,
+    to: targetNode.id
+  });
+
+  state.currentGraph.edges.push({
+    id: edgeId,
+    from: sourceNode.id,
+    to: targetNode.id,
+    buttonId
+  });
+
+  state.pendingChoice = null;
+  setSelectedEdge(edgeId);
+  state.currentGraph.ui.selectedNodeId = null;
+
+  enforceGraphConsistency(state.currentGraph);
+  recordGraphChange('Add choice', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus('Choice created.');
+}
+
+async function editSelectedChoiceTextFlow() {
+  if (!state.currentGraph || state.mode !== 'edit') {
+    return;
+  }
+
+  const edge = findEdge(state.selectedEdgeId);
+  const button = findButtonForEdge(edge);
+
+  if (!edge || !button) {
+    await showAlert('Select a choice first.');
+    return;
+  }
+
+  const value = await showPrompt({
+    title: 'Edit Choice',
+    message: 'Choice text:',
+    defaultValue: button.text,
+    okText: 'Apply'
+  });
+
+  if (value === null) {
+    return;
+  }
+
+  setChoiceText(edge.id, value);
+}
+
+function setChoiceText(edgeId, value) {
+  const button = findButtonForEdge(findEdge(edgeId));
+  if (!button) {
+    return;
+  }
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  button.text = value.trim() || 'Choice';
+  recordGraphChange('Edit choice text', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus('Choice text updated.');
+}
+
+function createInlineEditorInput(value) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'inline-editor';
+  input.value = value;
+  input.addEventListener('keydown', handleInlineEditorKeyDown);
+  input.addEventListener('blur', () => finishInlineEdit(true));
+  ['mousedown', 'click', 'dblclick'].forEach((type) => {
+    input.addEventListener(type, (event) => event.stopPropagation());
+  });
+  return input;
+}
+
+function focusInlineEditor(input) {
+  requestAnimationFrame(() => {
+    input.focus();
+    input.select();
+  });
+}
+
+function startInlineNodeEdit(nodeId) {
+  finishInlineEdit(true);
+
+  const graph = state.currentGraph;
+  const node = findNode(nodeId);
+  if (!graph || state.mode !== 'edit' || !node) {
+    return;
+  }
+
+  graph.ui.selectedNodeId = node.id;
+  setSelectedEdge(null);
+  renderGraph();
+
+  const title = state.nodeElements.get(node.id)?.querySelector('.node__title');
+  if (!title) {
+    return;
+  }
+
+  const input = createInlineEditorInput(node.text);
+  title.replaceChildren(input);
+  state.inlineEditor = { kind: 'node', id: node.id, input };
+  focusInlineEditor(input);
+  setStatus('Enter: apply, Escape: cancel, Tab: edit choices.');
+}
+
+function startInlineChoiceEdit(edgeId) {
+  finishInlineEdit(true);
+
+  const graph = state.currentGraph;
+  const edge = findEdge(edgeId);
+  const button = findButtonForEdge(edge);
+  if (!graph || state.mode !== 'edit' || !button) {
+    return;
+  }
+
+  graph.ui.selectedNodeId = null;
+  setSelectedEdge(edge.id, 'line');
+  renderGraph();
+
+  const edgeButton = Array.from(el.edgeControlLayer.querySelectorAll('.edge-choice-button')).find(
+    (item) => item.dataset.edgeId === edge.id
+  );
+  if (!edgeButton) {
+    return;
+  }
+
+  const input = createInlineEditorInput(button.text);
+  input.classList.add('inline-editor--choice');
+  input.style.left = edgeButton.style.left;
+  input.style.top = edgeButton.style.top;
+  input.style.width = `${Math.max(edgeButton.offsetWidth + 24, 100)}px`;
+  edgeButton.style.visibility = 'hidden';
+  el.edgeControlLayer.appendChild(input);
+
+  state.inlineEditor = { kind: 'choice', id: edge.id, input };
+  focusInlineEditor(input);
+  setStatus('Enter: apply, Escape: cancel, Tab: next choice.');
+}
+
+function getAdjacentChoiceEdgeId(editor, step) {
+  const graph = state.currentGraph;
+  const sourceId = editor.kind === 'node' ? editor.id : findEdge(editor.id)?.from;
+  const source = findNode(sourceId);
+  if (!graph || !source) {
+    return null;
+  }
+
+  const edges = source.buttons
+    .map((button) => graph.edges.find((edge) => edge.from === source.id && edge.buttonId === button.id))
+    .filter(Boolean);
+  if (edges.length === 0) {
+    return null;
+  }
+
+  const currentIndex = edges.findIndex((edge) => edge.id === editor.id);
+  if (currentIndex === -1) {
+    return edges[step > 0 ? 0 : edges.length - 1].id;
+  }
+  return edges[(currentIndex + step + edges.length) % edges.length].id;
+}
+
+function handleInlineEditorKeyDown(event) {
+  const editor = state.inlineEditor;
+  if (!editor || event.target !== editor.input) {
+    return;
+  }
+
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    finishInlineEdit(true);
+    return;
+  }
+
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    event.stopPropagation();
+    finishInlineEdit(false);
+    return;
+  }
+
+  if (event.key === 'Tab') {
+    event.preventDefault();
+    const nextEdgeId = getAdjacentChoiceEdgeId(editor, event.shiftKey ? -1 : 1);
+    finishInlineEdit(true);
+    if (nextEdgeId) {
+      startInlineChoiceEdit(nextEdgeId);
+    }
+  }
+}
+
+function finishInlineEdit(commit) {
+  const editor = state.inlineEditor;
+  if (!editor) {
+    return;
+  }
+
+  state.inlineEditor = null;
+
+  if (!commit) {
+    renderGraph();
+    setStatus('Edit cancelled.');
+    return;
+  }
+
+  if (editor.kind === 'node') {
+    setNodeText(editor.id, editor.input.value);
+  } else {
+    setChoiceText(editor.id, editor.input.value);
+  }
+}
+
+async function deleteSelectedNodeFlow() {
+  if (!state.currentGraph || state.mode !== 'edit' || state.layoutAnimation) {
+    return;
+  }
+
+  if (hasMultiSelection()) {
+    await deleteSelectionFlow();
+    return;
+  }
+
+  const nodeId = state.currentGraph.ui.selectedNodeId;
+  if (!nodeId) {
+    await showAlert('Select a node to delete.');
+    return;
+  }
+
+  const node = findNode(nodeId);
+  if (!node) {
+    return;
+  }
+
+  const isStartNode = getRootNodeId(state.currentGraph) === nodeId;
+  const yes = await showConfirm({
+    message: isStartNode
+      ? [
+          'Delete start node "',
+          node.text,
+          '" and all connected choices?\n\nAnother node will become the start node.'
+        ].join('')
+      : ['Delete node "', node.text, '" and all connected choices?'].join(''),
+    title: 'Delete Node',
+    okText: 'Delete'
+  });
+
+  if (!yes) {
+    return;
+  }
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  const edgesToDelete = state.currentGraph.edges.filter(
+    (edge) => edge.from === nodeId || edge.to === nodeId
+  );
+
+  edgesToDelete.forEach((edge) => {
+    const source = findNode(edge.from);
+    if (source) {
+      source.buttons = source.buttons.filter((button) => button.id !== edge.buttonId);
+    }
+  });
+
+  state.currentGraph.edges = state.currentGraph.edges.filter(
+    (edge) => edge.from !== nodeId && edge.to !== nodeId
+  );
+
+  state.currentGraph.nodes = state.currentGraph.nodes.filter((item) => item.id !== nodeId);
+
+  state.currentGraph.ui.selectedNodeId = null;
+  setSelectedEdge(null);
+
+  enforceGraphConsistency(state.currentGraph);
+  recordGraphChange('Delete node', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus(
+    isStartNode
+      ? `Node deleted. New start node: ${nodeLabel(getRootNodeId(state.currentGraph))}`
+      : 'Node deleted.'
+  );
+}
+
+async function deleteSelectedChoiceFlow() {
+  if (!state.currentGraph || state.mode !== 'edit' || state.layoutAnimation) {
+    return;
+  }
+
+  if (hasMultiSelection()) {
+    await deleteSelectionFlow();
+    return;
+  }
+
+  const edge = findEdge(state.selectedEdgeId);
+  if (!edge) {
+    await showAlert('Select a choice to delete.');
+    return;
+  }
+
+  const button = findButtonForEdge(edge);
+  const label = button?.text || 'this choice';
+
+  const yes = await showConfirm({
+    message: ['Delete choice "', label, '"?'].join(''),
+    title: 'Delete Choice',
+    okText: 'Delete'
+  });
+
+  if (!yes) {
+    return;
+  }
+
+  const before = captureGraphSnapshot(state.currentGraph);
+  const source = findNode(edge.from);
+  if (source) {
+    source.buttons = source.buttons.filter((item) => item.id !== edge.buttonId);
+  }
+
+  state.currentGraph.edges = state.currentGraph.edges.filter((item) => item.id !== edge.id);
+  setSelectedEdge(null);
+
+  enforceGraphConsistency(state.currentGraph);
+  recordGraphChange('Delete choice', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus('Choice deleted.');
+}
+
+async function deleteSelectionFlow() {
+  const graph = state.currentGraph;
+  const nodeIds = getSelectedNodeIds();
+  const edgeIds = getSelectedEdgeIds();
+  const summary = describeSelection();
+  if (!summary) {
+    return;
+  }
+
+  const includesStartNode = nodeIds.has(getRootNodeId(graph));
+  const yes = await showConfirm({
+    message: [
+      `Delete ${summary}`,
+      nodeIds.size > 0 ? ' including all connected choices?' : '?',
+      includesStartNode ? '\n\nThe start node is selected. Another node will become the start node.' : ''
+    ].join(''),
+    title: 'Delete Selection',
+    okText: 'Delete'
+  });
+
+  if (!yes || state.currentGraph !== graph) {
+    return;
+  }
+
+  const before = captureGraphSnapshot(graph);
+  removeNodesAndEdges(graph, nodeIds, edgeIds);
+  recordGraphChange('Delete selection', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus(`Deleted ${summary}.`);
+}
+
+function removeNodesAndEdges(graph, nodeIds, edgeIds) {
+  const edgesToDelete = graph.edges.filter(
+    (edge) => edgeIds.has(edge.id) || nodeIds.has(edge.from) || nodeIds.has(edge.to)
+  );
+  const deletedEdgeIds = new Set(edgesToDelete.map((edge) => edge.id));
+
+  edgesToDelete.forEach((edge) => {
+    const source = graph.nodes.find((node) => node.id === edge.from);
+    if (source) {
+      source.buttons = source.buttons.filter((button) => button.id !== edge.buttonId);
+    }
+  });
+
+  graph.edges = graph.edges.filter((edge) => !deletedEdgeIds.has(edge.id));
+  graph.nodes = graph.nodes.filter((node) => !nodeIds.has(node.id));
+
+  graph.ui.selectedNodeId = null;
+  setSelectedEdge(null);
+  enforceGraphConsistency(graph);
+}
+
+function collectDownstreamNodeIds(graph, startNodeIds) {
+  const visited = new Set(startNodeIds);
+  const queue = Array.from(visited);
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    graph.edges.forEach((edge) => {
+      if (edge.from === nodeId && edgeHasTarget(edge) && !visited.has(edge.to)) {
+        visited.add(edge.to);
+        queue.push(edge.to);
+      }
+    });
+  }
+
+  return visited;
+}
+
+function buildClipboardPayload(graph, nodeIds) {
+  const nodes = graph.nodes.filter((node) => nodeIds.has(node.id));
+  const edges = graph.edges
+    .filter((edge) => nodeIds.has(edge.from))
+    .map((edge) => ({
+      ...edge,
+      to: edgeHasTarget(edge) && nodeIds.has(edge.to) ? edge.to : null
+    }));
+
+  return JSON.parse(
+    JSON.stringify({ format: CLIPBOARD_FORMAT, version: GRAPH_VERSION, name: graph.name, nodes, edges })
+  );
+}
+
+function parseClipboardGraph(text) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+
+  if (
+    !parsed ||
+    typeof parsed !== 'object' ||
+    !Array.isArray(parsed.nodes) ||
+    parsed.nodes.length === 0 ||
+    !Array.isArray(parsed.edges)
+  ) {
+    return null;
+  }
+
+  try {
+    return normalizeGraph(parsed, 'Clipboard');
+  } catch (error) {
+    console.warn('Clipboard content is not a KnotenWerk graph:', error);
+    return null;
+  }
+}
+
+async function copySelectionFlow({ includeSubtree = false, cut = false } = {}) {
+  const graph = state.currentGraph;
+  if (!graph || (cut && (state.mode !== 'edit' || state.layoutAnimation))) {
+    return;
+  }
+
+  const selectedNodeIds = getSelectedNodeIds();
+  if (selectedNodeIds.size === 0) {
+    setStatus('Select a node first.');
+    return;
+  }
+
+  const nodeIds = includeSubtree ? collectDownstreamNodeIds(graph, selectedNodeIds) : selectedNodeIds;
+  const text = JSON.stringify(buildClipboardPayload(graph, nodeIds), null, 2);
+  state.clipboardText = text;
+
+  if (cut) {
+    const before = captureGraphSnapshot(graph);
+    removeNodesAndEdges(graph, nodeIds, new Set());
+    recordGraphChange(includeSubtree ? 'Cut subtree' : 'Cut', before);
+    renderGraph();
+    scheduleAutosave();
+  }
+
+  const copied = await copyTextToClipboard(text);
+  const count = `${nodeIds.size} ${nodeIds.size === 1 ? 'node' : 'nodes'}`;
+  setStatus(
+    `${cut ? 'Cut' : 'Copied'} ${count}${includeSubtree ? ' including subtree' : ''}${
+      copied ? '.' : ' (app clipboard only).'
+    }`
+  );
+}
+
+async function pasteFlow() {
+  if (!state.currentGraph || state.mode !== 'edit' || state.layoutAnimation) {
+    return;
+  }
+
+  const systemText = await readTextFromClipboard();
+  const fragment =
+    parseClipboardGraph(systemText) ||
+    (state.clipboardText ? parseClipboardGraph(state.clipboardText) : null);
+
+  if (!fragment) {
+    setStatus('Clipboard does not contain KnotenWerk nodes.');
+    return;
+  }
+
+  pasteGraphFragment(fragment);
+}
+
+function pasteGraphFragment(fragment) {
+  const graph = state.currentGraph;
+  if (!graph) {
+    return;
+  }
+
+  const anchor = state.lastCanvasPointer || getDefaultNodePosition();
+  const offsetX = Math.round(anchor.x - Math.min(...fragment.nodes.map((node) => node.x)));
+  const offsetY = Math.round(anchor.y - Math.min(...fragment.nodes.map((node) => node.y)));
+  const nodeIdMap = new Map(fragment.nodes.map((node) => [node.id, uid('n')]));
+  const buttonIdMaps = new Map();
+
+  const nodes = fragment.nodes.map((node) => {
+    const buttonIdMap = new Map(node.buttons.map((button) => [button.id, uid('b')]));
+    buttonIdMaps.set(node.id, buttonIdMap);
+    return {
+      ...node,
+      id: nodeIdMap.get(node.id),
+      x: node.x + offsetX,
+      y: node.y + offsetY,
+      buttons: node.buttons.map((button) => ({
+        ...button,
+        id: buttonIdMap.get(button.id),
+        to: nodeIdMap.get(button.to) || null
+      }))
+    };
+  });
+
+  const edges = fragment.edges.map((edge) => ({
+    ...edge,
+    id: uid('e'),
+    from: nodeIdMap.get(edge.from),
+    to: edgeHasTarget(edge) ? nodeIdMap.get(edge.to) || null : null,
+    buttonId: buttonIdMaps.get(edge.from)?.get(edge.buttonId) || uid('b'),
+    pendingX: Number.isFinite(edge.pendingX) ? edge.pendingX + offsetX : null,
+    pendingY: Number.isFinite(edge.pendingY) ? edge.pendingY + offsetY : null
+  }));
+
+  const before = captureGraphSnapshot(graph);
+  graph.nodes.push(...nodes);
+  graph.edges.push(...edges);
+  state.pendingChoice = null;
+  setMultiSelection(nodes.map((node) => node.id), []);
+
+  enforceGraphConsistency(graph);
+  recordGraphChange('Paste', before);
+  renderGraph();
+  scheduleAutosave();
+  setStatus(`Pasted ${nodes.length} ${nodes.length === 1 ? 'node' : 'nodes'}.`);
+}
+
+function validateGraph(graph) {
+  const problems = [];
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const outgoing = new Map(graph.nodes.map((node) => [node.id, []]));
+  const label = (button) => button?.text || 'Choice';
+
+  graph.edges.forEach((edge) => {
+    outgoing.get(edge.from)?.push(edge);
+  });
+
+  graph.edges.forEach((edge) => {
+    if (!edgeHasTarget(edge)) {
+      const source = nodeById.get(edge.from);
+      const button = source?.buttons.find((item) => item.id === edge.buttonId);
+      problems.push({
+        severity: 'error',
+        message: `Choice "${label(button)}" on "${source?.text}" is not connected to a node.`,
+        nodeId: edge.from,
+        edgeId: edge.id
+      });
+    }
+  });
+
+  const rootNodeId = getRootNodeId(graph);
+  const reachable = new Set(rootNodeId ? [rootNodeId] : []);
+  const queue = Array.from(reachable);
+  while (queue.length > 0) {
+    (outgoing.get(queue.shift()) || []).forEach((edge) => {
+      if (edgeHasTarget(edge) && !reachable.has(edge.to)) {
+        reachable.add(edge.to);
+        queue.push(edge.to);
+      }
+    });
+  }
+
+  graph.nodes.forEach((node) => {
+    if (!reachable.has(node.id)) {
+      problems.push({
+        severity: 'error',
+        message: `Node "${node.text}" cannot be reached from the start node.`,
+        nodeId: node.id,
+        edgeId: null
+      });
+    }
+  });
+
+  const visitState = new Map();
+  const visit = (nodeId) => {
+    visitState.set(nodeId, 'active');
+    outgoing.get(nodeId).forEach((edge) => {
+      if (!edgeHasTarget(edge) || !nodeById.has(edge.to)) {
+        return;
+      }
+
+      const targetState = visitState.get(edge.to);
+      if (targetState === 'active') {
+        const button = nodeById.get(nodeId).buttons.find((item) => item.id === edge.buttonId);
+        problems.push({
+          severity: 'warning',
+          message: `Choice "${label(button)}" leads from "${nodeById.get(nodeId).text}" back to "${
+            nodeById.get(edge.to).text
+          }" and closes a cycle.`,
+          nodeId,
+          edgeId: edge.id
+        });
+      } else if (!targetState) {
+        visit(edge.to);
+      }
+    });
+    visitState.set(nodeId, 'done');
+  };
+
+  if (rootNodeId) {
+    visit(rootNodeId);
+  }
+  graph.nodes.forEach((node) => {
+    if (!visitState.has(node.id)) {
+      visit(node.id);
+    }
+  });
+
+  graph.nodes.forEach((node) => {
+    const nodeEdges = outgoing.get(node.id);
+
+    if (node.type === 'xor' && nodeEdges.length === 1) {
+      problems.push({
+        severity: 'warning',
+        message: `XOR node "${node.text}" has only one choice, so there is nothing to decide.`,
+        nodeId: node.id,
+        edgeId: null
+      });
+    }
+
+    if (node.type === 'info' && nodeEdges.length > 1) {
+      problems.push({
+        severity: 'warning',
+        message: `INFO node "${node.text}" has ${nodeEdges.length} choices, but only the first one is followed.`,
+        nodeId: node.id,
+        edgeId: null
+      });
+    }
+
+    if (node.type === 'outcome' && nodeEdges.length > 0) {
+      problems.push({
+        severity: 'warning',
+        message: `OUTCOME node "${node.text}" has choices, but outcomes end the path.`,
+        nodeId: node.id,
+        edgeId: null
+      });
+    }
+
+    if (node.type === 'ref' && !node.refGraphId) {
+      problems.push({
+        severity: 'warning',
+        message: `REF node "${node.text}" is not linked to a graph.`,
+        nodeId: node.id,
+        edgeId: null
+      });
+    } else if (node.type === 'ref' && !state.graphSummaries.some((summary) => summary.id === node.refGraphId)) {
+      problems.push({
+        severity: 'error',
+        message: `REF node "${node.text}" references a graph that no longer exists.`,
+        nodeId: node.id,
+        edgeId: null
+      });
+    }
+
+    if (node.type === 'ref' && nodeEdges.length > 1) {
+      problems.push({
+        severity: 'warning',
+        message: `REF node "${node.text}" has ${nodeEdges.length} choices, but only the first one is followed.`,
+        nodeId: node.id,
+        edgeId: null
+      });
+    }
+
+    const labels = new Map();
+    node.buttons.forEach((button) => {
+      const key = button.text.trim().toLocaleLowerCase();
+      labels.set(key, [...(labels.get(key) || []), button]);
+    });
+    labels.forEach((buttons) => {
+      if (buttons.length > 1) {
+        problems.push({
+          severity: 'warning',
+          message: `Node "${node.text}" has ${buttons.length} choices labelled "${buttons[0].text}".`,
+          nodeId: node.id,
+          edgeId: null
+        });
+      }
+    });
+
+    if (nodeEdges.length === 0 && DEFAULT_NODE_TEXTS.has(node.text)) {
+      problems.push({
+        severity: 'warning',
+        message: `End node still has the default text "${node.text}".`,
+        nodeId: node.id,
+        edgeId: null
+      });
+    }
+  });
+
+  const knownVariables = new Set(Object.keys(graph.variables || {}));
+  graph.nodes.forEach((node) => {
+    node.buttons.forEach((button) => {
+      (button.effects || []).forEach((effect) => knownVariables.add(effect.variable));
+    });
+  });
+  graph.nodes.forEach((node) => {
+    const checked = [
+      { item: node, edgeId: null },
+      ...graph.edges
+        .filter((edge) => edge.from === node.id)
+        .map((edge) => ({ item: node.buttons.find((button) => button.id === edge.buttonId), edgeId: edge.id }))
+    ];
+    checked.forEach(({ item, edgeId }) => {
+      (item?.conditions || []).forEach((condition) => {
+        if (!knownVariables.has(condition.variable)) {
+          problems.push({
+            severity: 'warning',
+            message: `Condition on "${item.text}" uses variable "${condition.variable}", which is never set.`,
+            nodeId: node.id,
+            edgeId
+          });
+        }
+      });
+    });
+  });
+
+  const referenceCycle = findReferenceCycle(graph);
+  if (referenceCycle) {
+    problems.push({
+      severity: 'error',
+      message: `Cyclic subgraph reference: ${formatReferenceCycle(graph, referenceCycle)}`,
+      nodeId: graph.nodes.find((node) => node.type === 'ref' && node.refGraphId === referenceCycle[1])?.id,
+      edgeId: null
+    });
+  }
+
+  return problems.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
+
+function toggleValidationPanel() {
+  state.validationOpen = !state.validationOpen;
+  el.validationPanel.classList.toggle('hidden', !state.validationOpen);
+  renderValidationPanel();
+}
+
+function renderValidationPanel() {
+  if (!state.validationOpen) {
+    return;
+  }
+
+  el.validationList.replaceChildren();
+
+  const graph = state.currentGraph;
+  if (!graph) {
+    el.validationSummary.textContent = 'No graph loaded.';
+    return;
+  }
+
+  const problems = validateGraph(graph);
+  const errorCount = problems.filter((problem) => problem.severity === 'error').length;
+  el.validationSummary.textContent =
+    problems.length === 0
+      ? 'No problems found.'
+      : `${errorCount} ${errorCount === 1 ? 'error' : 'errors'}, ${problems.length - errorCount} ${
+          problems.length - errorCount === 1 ? 'warning' : 'warnings'
+        }`;
+
+  problems.forEach((problem) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `validation-problem validation-problem--${problem.severity}`;
+    button.dataset.nodeId = problem.nodeId;
+    if (problem.edgeId) {
+      button.dataset.edgeId = problem.edgeId;
+    }
+
+    const badge = document.createElement('span');
+    badge.className = 'validation-problem__badge';
+    badge.textContent = problem.severity === 'error' ? 'ERR' : 'WARN';
+
+    const message = document.createElement('span');
+    message.textContent = problem.message;
+
+    button.appendChild(badge);
+    button.appendChild(message);
+    item.appendChild(button);
+    el.validationList.appendChild(item);
+  });
+}
+
+function findGraphSearchHits(graph, query) {
+  const needle = query.trim().toLocaleLowerCase();
+  const hits = [];
+  if (!needle) {
+    return hits;
+  }
+
+  graph.nodes.forEach((node) => {
+    if (node.text.toLocaleLowerCase().includes(needle)) {
+      hits.push({ graphId: graph.id, graphName: graph.name, nodeId: node.id, edgeId: null, label: node.text });
+    }
+
+    node.buttons.forEach((button) => {
+      const edge = graph.edges.find((item) => item.from === node.id && item.buttonId === button.id);
+      if (edge && button.text.toLocaleLowerCase().includes(needle)) {
+        hits.push({
+          graphId: graph.id,
+          graphName: graph.name,
+          nodeId: node.id,
+          edgeId: edge.id,
+          label: `${node.text} \u203a ${button.text}`
+        });
+      }
+    });
+  });
+
+  return hits;
+}
+
+function getSearchHighlight() {
+  const highlight = {
+    nodeIds: new Set(),
+    edgeIds: new Set(),
+    currentNodeId: null,
+    currentEdgeId: null
+  };
+  const graph = state.currentGraph;
+  if (!state.search || !graph) {
+    return highlight;
+  }
+
+  state.search.hits.forEach((hit, index) => {
+    if (hit.graphId !== graph.id) {
+      return;
+    }
+
+    const isCurrent = index === state.search.index;
+    if (hit.edgeId) {
+      highlight.edgeIds.add(hit.edgeId);
+      highlight.currentEdgeId = isCurrent ? hit.edgeId : highlight.currentEdgeId;
+    } else {
+      highlight.nodeIds.add(hit.nodeId);
+      highlight.currentNodeId = isCurrent ? hit.nodeId : highlight.currentNodeId;
+    }
+  });
+
+  return highlight;
+}
+
+function openSearchPanel() {
+  if (!state.search) {
+    state.search = { scope: el.searchScope.value, hits: [], index: -1, token: 0, debounceHandle: null };
+  }
+
+  el.searchPanel.classList.remove('hidden');
+  requestAnimationFrame(() => {
+    el.searchInput.focus();
+    el.searchInput.select();
+  });
+  runSearch();
+}
+
+function closeSearchPanel() {
+  if (!state.search) {
+    return;
+  }
+
+  clearTimeout(state.search.debounceHandle);
+  state.search = null;
+  el.searchPanel.classList.add('hidden');
+  renderGraph();
+}
+
+function refreshCurrentGraphSearchHits() {
+  const search = state.search;
+  search.hits = state.currentGraph ? findGraphSearchHits(state.currentGraph, el.searchInput.value) : [];
+  search.index = Math.min(search.index, search.hits.length - 1);
+  renderSearchResults();
+}
+
+function runSearch() {
+  const search = state.search;
+  if (!search) {
+    return;
+  }
+
+  search.scope = el.searchScope.value === 'all' ? 'all' : 'current';
+  search.index = -1;
+  search.token += 1;
+  clearTimeout(search.debounceHandle);
+
+  if (search.scope === 'current') {
+    renderGraph();
+    return;
+  }
+
+  search.hits = [];
+  renderGraph();
+  renderSearchResults();
+  if (el.searchInput.value.trim()) {
+    el.searchCount.textContent = 'Searching...';
+    search.debounceHandle = setTimeout(() => {
+      void searchAllGraphs(search.token);
+    }, 250);
+  }
+}
+
+async function searchAllGraphs(token) {
+  const query = el.searchInput.value;
+  const hits = [];
+
+  try {
+    const entries = await invoke('list_graph_files');
+    for (const entry of entries) {
+      if (!entry.name.endsWith('.json') || hits.length >= SEARCH_RESULT_LIMIT) {
+        continue;
+      }
+
+      try {
+        const json = await invoke('read_graph_file', { graphId: graphIdFromPath(entry.path) });
+        const graph = normalizeGraph(JSON.parse(json), entry.name);
+        const source = graph.id === state.currentGraph?.id ? state.currentGraph : graph;
+        hits.push(...findGraphSearchHits(source, query));
+      } catch (error) {
+        console.warn(`Search skipped ${entry.name}:`, error);
+      }
+
+      if (state.search?.token !== token) {
+        return;
+      }
+    }
+  } catch (error) {
+    console.error('Search failed:', error);
+    setStatus('Search failed.');
+  }
+
+  if (state.search?.token !== token) {
+    return;
+  }
+
+  state.search.hits = hits.slice(0, SEARCH_RESULT_LIMIT);
+  renderGraph();
+  renderSearchResults();
+}
+
+function renderSearchResults() {
+  const search = state.search;
+  if (!search) {
+    return;
+  }
+
+  el.searchResults.replaceChildren();
+  search.hits.forEach((hit, index) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-result';
+    button.dataset.index = String(index);
+    button.classList.toggle('is-selected', index === search.index);
+
+    if (search.scope === 'all') {
+      const graphName = document.createElement('span');
+      graphName.className = 'search-result__graph';
+      graphName.textContent = hit.graphName;
+      button.appendChild(graphName);
+    }
+
+    const label = document.createElement('span');
+    label.textContent = hit.label;
+    button.appendChild(label);
+
+    item.appendChild(button);
+    el.searchResults.appendChild(item);
+  });
+
+  const hasQuery = el.searchInput.value.trim().length > 0;
+  el.searchCount.textContent = !hasQuery
+    ? ''
+    : search.hits.length === 0
+      ? 'No matches'
+      : `${search.index + 1 || '-'} / ${search.hits.length}`;
+  el.searchPrevBtn.disabled = search.hits.length === 0;
+  el.searchNextBtn.disabled = search.hits.length === 0;
+}
+
+function stepSearchHit(step) {
+  const search = state.search;
+  if (!search || search.hits.length === 0) {
+    return;
+  }
+
+  const count = search.hits.length;
+  const nextIndex = search.index === -1 ? (step > 0 ? 0 : count - 1) : (search.index + step + count) % count;
+  void openSearchHit(nextIndex);
+}
+
+async function openSearchHit(index) {
+  const hit = state.search?.hits[index];
+  if (!hit) {
+    return;
+  }
+
+  if (hit.graphId !== state.currentGraph?.id) {
+    await loadGraphById(hit.graphId);
+    if (state.currentGraph?.id !== hit.graphId || !state.search) {
+      return;
+    }
+  }
+
+  state.search.index = index;
+  focusGraphItem(hit.nodeId, hit.edgeId);
+  renderSearchResults();
+  setStatus(`Match ${index + 1} of ${state.search.hits.length}: ${hit.label}`);
+}
+
+function ensureActivePathSeed() {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  getActiveSelections(state.currentGraph);
+  rebuildActivePathFromSelections(state.currentGraph);
+
+  const rootNodeId = getRootNodeId(state.currentGraph);
+  if (state.currentGraph.ui.activePath.length === 0 && rootNodeId) {
+    state.currentGraph.ui.activePath = [rootNodeId];
+  }
+
+  if (
+    state.lastChosenEdgeId &&
+    !state.currentGraph.ui.activePath.includes(state.lastChosenEdgeId)
+  ) {
+    state.lastChosenEdgeId = null;
+  }
+
+  if (
+    state.lastChosenNodeId &&
+    !state.currentGraph.ui.activePath.includes(state.lastChosenNodeId)
+  ) {
+    state.lastChosenNodeId = null;
+  }
+}
+
+function applyTypedEdgeSelection(edgeId) {
+  if (!state.currentGraph) {
+    return null;
+  }
+
+  const edge = findEdge(edgeId);
+  if (!edge || !edgeHasTarget(edge)) {
+    return null;
+  }
+
+  const sourceNode = findNode(edge.from);
+  if (!sourceNode) {
+    return null;
+  }
+
+  const sourceNodeType = normalizeNodeType(sourceNode.type);
+  if (!nodeTypeUsesSelection(sourceNodeType)) {
+    // AND and INFO nodes follow their choices on their own, OUTCOME nodes never do.
+    if (state.currentGraph.ui.activePath.includes(edge.id)) {
+      state.lastChosenEdgeId = edge.id;
+      state.lastChosenNodeId = edge.to;
+    }
+    return { edge, sourceNodeType, edgeIsSelected: null };
+  }
+
+  const selections = getActiveSelections(state.currentGraph);
+  const currentSelection = Array.isArray(selections[sourceNode.id])
+    ? Array.from(
+        new Set(selections[sourceNode.id].filter((id) => typeof id === 'string' && id.length > 0))
+      )
+    : [];
+  let edgeIsSelected = true;
+
+  if (sourceNodeType === 'or') {
+    if (currentSelection.includes(edge.id)) {
+      const nextSelection = currentSelection.filter((id) => id !== edge.id);
+      if (nextSelection.length > 0) {
+        selections[sourceNode.id] = nextSelection;
+      } else {
+        delete selections[sourceNode.id];
+      }
+      edgeIsSelected = false;
+    } else {
+      currentSelection.push(edge.id);
+      selections[sourceNode.id] = currentSelection;
+      edgeIsSelected = true;
+    }
+  } else {
+    if (currentSelection.length === 1 && currentSelection[0] === edge.id) {
+      delete selections[sourceNode.id];
+      edgeIsSelected = false;
+    } else {
+      selections[sourceNode.id] = [edge.id];
+      edgeIsSelected = true;
+    }
+  }
+
+  rebuildActivePathFromSelections(state.currentGraph);
+  if (edgeIsSelected) {
+    state.lastChosenEdgeId = edge.id;
+    state.lastChosenNodeId = edge.to;
+  } else {
+    if (state.lastChosenEdgeId === edge.id) {
+      state.lastChosenEdgeId = null;
+    }
+    if (state.lastChosenNodeId === edge.to) {
+      state.lastChosenNodeId = null;
+    }
+  }
+
+  if (
+    state.lastChosenEdgeId &&
+    !state.currentGraph.ui.activePath.includes(state.lastChosenEdgeId)
+  ) {
+    state.lastChosenEdgeId = null;
+  }
+  if (
+    state.lastChosenNodeId &&
+    !state.currentGraph.ui.activePath.includes(state.lastChosenNodeId)
+  ) {
+    state.lastChosenNodeId = null;
+  }
+
+  return { edge, sourceNodeType, edgeIsSelected };
+}
+
+function followChoice(edgeId) {
+  if (!state.currentGraph || state.mode !== 'view') {
+    return;
+  }
+
+  const edge = findEdge(edgeId);
+  const isSelected = Boolean(edge && getActiveSelections(state.currentGraph)[edge.from]?.includes(edgeId));
+  const availability = getChoiceAvailabilityMap(state.currentGraph).get(edgeId) || 'available';
+  if (availability !== 'available' && !isSelected) {
+    setStatus(
+      `Nicht verfügbar, Bedingung: ${describeConditions([findButtonForEdge(edge), findNode(edge.to)])}`
+    );
+    return;
+  }
+
+  const selection = applyTypedEdgeSelection(edgeId);
+  if (!selection) {
+    return;
+  }
+
+  state.comparison = null;
+  renderGraph();
+
+  if (!nodeTypeUsesSelection(selection.sourceNodeType)) {
+    setStatus(
+      selection.sourceNodeType === 'outcome'
+        ? 'OUTCOME-Nodes beenden den Pfad.'
+        : `${NODE_TYPE_LABELS[selection.sourceNodeType]}-Nodes folgen ihren Choices automatisch.`
+    );
+    return;
+  }
+
+  const button = findButtonForEdge(selection.edge);
+  const label = button ? button.text : 'Choice';
+  const values = walkActivePath(state.currentGraph).values;
+  if (selection.edgeIsSelected) {
+    setStatus(
+      `Gewählt (${selection.sourceNodeType.toUpperCase()}): ${label}${
+        Object.keys(values).length > 0 ? ` | ${describeVariableValues(values)}` : ''
+      }`
+    );
+  } else {
+    setStatus(`Abgewählt (${selection.sourceNodeType.toUpperCase()}): ${label}`);
+  }
+}
+
+function clearActivePath() {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  state.currentGraph.ui.activeSelections = {};
+  state.currentGraph.ui.activePath = [];
+  state.lastChosenEdgeId = null;
+  state.lastChosenNodeId = null;
+  state.comparison = null;
+
+  if (state.mode === 'view') {
+    ensureActivePathSeed();
+  }
+
+  renderGraph();
+  setStatus('Path cleared.');
+}
+
+async function readGraphSessions(graphId) {
+  const json = await invoke('read_graph_sessions', { graphId });
+  if (!json) {
+    return [];
+  }
+
+  const parsed = JSON.parse(json);
+  return (Array.isArray(parsed?.sessions) ? parsed.sessions : []).filter(
+    (session) =>
+      session &&
+      typeof session.id === 'string' &&
+      typeof session.name === 'string' &&
+      session.activeSelections &&
+      typeof session.activeSelections === 'object'
+  );
+}
+
+async function writeGraphSessions(graphId, sessions) {
+  await invoke('write_graph_sessions', {
+    graphId,
+    contents: JSON.stringify({ version: 1, graphId, sessions }, null, 2)
+  });
+}
+
+function describeSession(session) {
+  return `${session.name} (${new Date(session.createdAt).toLocaleString()})`;
+}
+
+function walkSessionPath(graph, activeSelections) {
+  return walkActivePath({ ...graph, ui: { ...graph.ui, activeSelections } });
+}
+
+function diffPathSelections(graph, left, right) {
+  const edgeById = new Map(graph.edges.map((edge) => [edge.id, edge]));
+  const sides = [left, right].map((side) => {
+    const walk = walkSessionPath(graph, side.activeSelections);
+    // The walk revisits shared nodes, so answers are keyed by the unique edges taken.
+    const answers = new Map();
+    new Set(walk.path).forEach((entry) => {
+      const edge = edgeById.get(entry);
+      if (edge) {
+        answers.set(edge.from, [...(answers.get(edge.from) || []), edge]);
+      }
+    });
+    const ends = collectActiveEndNodes({
+      ...graph,
+      ui: { ...graph.ui, activeSelections: side.activeSelections, activePath: walk.path }
+    });
+    return { label: side.label, walk, answers, ends };
+  });
+
+  const answerTexts = (node, edges = []) =>
+    node.buttons
+      .filter((button) => edges.some((edge) => edge.buttonId === button.id))
+      .map((button) => button.text || 'Choice');
+  const differences = graph.nodes
+    .map((node) => ({
+      node,
+      left: answerTexts(node, sides[0].answers.get(node.id)),
+      right: answerTexts(node, sides[1].answers.get(node.id))
+    }))
+    .filter((entry) => entry.left.join('\n') !== entry.right.join('\n'));
+
+  return { left: sides[0], right: sides[1], differences };
+}
+
+async function manageSessionsFlow() {
+  const graph = state.currentGraph;
+  if (!graph) {
+    return;
+  }
+
+  let sessions = [];
+  try {
+    sessions = await readGraphSessions(graph.id);
+  } catch (error) {
+    console.error('Read sessions failed:', error);
+    await showAlert('Could not read the saved sessions of this graph.');
+    return;
+  }
+
+  const action = await showSelect({
+    title: 'Path Sessions',
+    message: sessions.length > 0 ? `${sessions.length} saved session(s).` : 'No saved sessions yet.',
+    okText: 'OK',
+    defaultValue: 'save',
+    options: [
+      { value: 'save', label: 'Save current path as new session...' },
+      ...sessions.map((session) => ({ value: `restore:${session.id}`, label: `Restore: ${describeSession(session)}` })),
+      ...(sessions.length > 0 ? [{ value: 'diff', label: 'Compare two sessions on the canvas...' }] : []),
+      ...sessions.map((session) => ({ value: `delete:${session.id}`, label: `Delete: ${describeSession(session)}` }))
+    ]
+  });
+
+  if (!action) {
+    return;
+  }
+
+  try {
+    if (action === 'save') {
+      await saveSessionFlow(graph, sessions);
+    } else if (action === 'diff') {
+      await compareSessionsFlow(graph, sessions);
+    } else if (action.startsWith('restore:')) {
+      restoreSession(graph, sessions.find((session) => session.id === action.slice(8)));
+    } else if (action.startsWith('delete:')) {
+      const session = sessions.find((item) => item.id === action.slice(7));
+      await writeGraphSessions(
+        graph.id,
+        sessions.filter((item) => item !== session)
+      );
+      setStatus(`Session "${session.name}" deleted.`);
+    }
+  } catch (error) {
+    console.error('Session action failed:', error);
+    await showAlert('Could not update the saved sessions of this graph.');
+  }
+}
+
+async function saveSessionFlow(graph, sessions) {
+  const name = await showPrompt({
+    title: 'Save Session',
+    message: 'Session name (e.g. who walked the tree):',
+    defaultValue: `Session ${sessions.length + 1}`,
+    okText: 'Save'
+  });
+
+  if (name === null) {
+    return;
+  }
+
+  const session = {
+    id: uid('s'),
+    name: name.trim() || `Session ${sessions.length + 1}`,
+    createdAt: nowISO(),
+    activeSelections: JSON.parse(JSON.stringify(getActiveSelections(graph)))
+  };
+
+  await writeGraphSessions(graph.id, [...sessions, session]);
+  setStatus(`Session "${session.name}" saved.`);
+}
+
+function restoreSession(graph, session) {
+  if (!session || graph !== state.currentGraph) {
+    return;
+  }
+
+  const savedCount = Object.values(session.activeSelections).flat().length;
+  state.comparison = null;
+  graph.ui.activeSelections = JSON.parse(JSON.stringify(session.activeSelections));
+  graph.ui.activePath = [];
+  state.lastChosenEdgeId = null;
+  state.lastChosenNodeId = null;
+  enforceGraphConsistency(graph);
+
+  const restoredCount = Object.values(graph.ui.activeSelections).flat().length;
+  renderGraph();
+  scheduleAutosave();
+  setStatus(
+    restoredCount < savedCount
+      ? `Session "${session.name}" restored, ${savedCount - restoredCount} answer(s) no longer fit the graph.`
+      : `Session "${session.name}" restored.`
+  );
+}
+
+async function compareSessionsFlow(graph, sessions) {
+  const options = [
+    { value: 'current', label: 'Current path' },
+    ...sessions.map((session) => ({ value: session.id, label: describeSession(session) }))
+  ];
+  const pick = async (title, defaultValue) => {
+    const value = await showSelect({ title, message: 'Choose a session:', okText: 'Next', defaultValue, options });
+    if (!value) {
+      return null;
+    }
+    if (value === 'current') {
+      return { label: 'Current path', activeSelections: JSON.parse(JSON.stringify(getActiveSelections(graph))) };
+    }
+    const session = sessions.find((item) => item.id === value);
+    return { label: describeSession(session), activeSelections: session.activeSelections };
+  };
+
+  const left = await pick('Compare Sessions - A', sessions[0].id);
+  if (!left) {
+    return;
+  }
+  const right = await pick('Compare Sessions - B', 'current');
+  if (!right || graph !== state.currentGraph) {
+    return;
+  }
+
+  if (state.mode !== 'view') {
+    setMode('view');
+  }
+  if (state.validationOpen) {
+    toggleValidationPanel();
+  }
+
+  state.comparison = { graphId: graph.id, left, right };
+  renderGraph();
+  setStatus(`Comparing "${left.label}" with "${right.label}".`);
+}
+
+function getActiveComparison() {
+  const graph = state.currentGraph;
+  if (!state.comparison || !graph || state.comparison.graphId !== graph.id || state.mode !== 'view') {
+    return null;
+  }
+  return state.comparison;
+}
+
+function closeComparison() {
+  if (!state.comparison) {
+    return;
+  }
+  state.comparison = null;
+  renderGraph();
+}
+
+function getComparePathKey(context, kind, id) {
+  const keys = context.paths
+    .filter((path) => (kind === 'node' ? path.nodePathSet : path.edgePathSet).has(id))
+    .map((path) => path.key);
+  return keys.length > 1 ? 'both' : keys[0] || null;
+}
+
+function renderComparePanel() {
+  const comparison = getActiveComparison();
+  el.comparePanel.classList.toggle('hidden', !comparison);
+  if (!comparison) {
+    return;
+  }
+
+  const graph = state.currentGraph;
+  const diff = diffPathSelections(graph, comparison.left, comparison.right);
+  const withScores = graphHasScores(graph);
+  el.compareLegend.replaceChildren();
+  [
+    ['a', diff.left],
+    ['b', diff.right]
+  ].forEach(([key, side]) => {
+    const row = document.createElement('div');
+    row.className = 'compare-panel__side';
+    const swatch = document.createElement('span');
+    swatch.className = `compare-swatch compare-swatch--${key}`;
+    swatch.textContent = key.toUpperCase();
+    const label = document.createElement('span');
+    label.textContent = `${side.label} → ${side.ends.map((node) => node.text).join(', ') || '-'}${
+      withScores ? ` (Score ${formatScore(side.walk.score)})` : ''
+    }`;
+    row.appendChild(swatch);
+    row.appendChild(label);
+    el.compareLegend.appendChild(row);
+  });
+
+  el.compareSummary.textContent =
+    diff.differences.length === 0
+      ? 'Both paths give the same answers.'
+      : `${diff.differences.length} ${diff.differences.length === 1 ? 'node' : 'nodes'} answered differently`;
+
+  el.compareList.replaceChildren();
+  diff.differences.forEach((entry) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'compare-difference';
+    button.dataset.nodeId = entry.node.id;
+
+    const title = document.createElement('strong');
+    title.textContent = entry.node.text;
+    button.appendChild(title);
+    [
+      ['a', entry.left],
+      ['b', entry.right]
+    ].forEach(([key, answers]) => {
+      const line = document.createElement('span');
+      line.className = `compare-difference__answer compare-difference__answer--${key}`;
+      line.textContent = `${key.toUpperCase()}: ${answers.join(', ') || '-'}`;
+      button.appendChild(line);
+    });
+
+    item.appendChild(button);
+    el.compareList.appendChild(item);
+  });
+}
+
+function openPlayer() {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  setMode('view');
+  state.player = {
+    currentNodeId: null,
+    queue: [],
+    visited: [],
+    finished: false,
+    history: [],
+    stack: [],
+    saved: {
+      selections: JSON.stringify(getActiveSelections(state.currentGraph)),
+      lastChosenEdgeId: state.lastChosenEdgeId,
+      lastChosenNodeId: state.lastChosenNodeId
+    }
+  };
+  el.playerOverlay.classList.remove('hidden');
+  restartPlayer();
+}
+
+function closePlayer() {
+  if (!state.player) {
+    return;
+  }
+
+  const { stack, saved } = state.player;
+  if (stack.length > 0) {
+    state.currentGraph = stack[0].graph;
+  }
+
+  // The walk-through reuses the graph's selections; hand back the path it replaced.
+  state.currentGraph.ui.activeSelections = JSON.parse(saved.selections);
+  rebuildActivePathFromSelections(state.currentGraph);
+  state.lastChosenEdgeId = saved.lastChosenEdgeId;
+  state.lastChosenNodeId = saved.lastChosenNodeId;
+
+  state.player = null;
+  el.playerOverlay.classList.add('hidden');
+  renderGraph();
+  setStatus('Player closed.');
+}
+
+function restartPlayer() {
+  const player = state.player;
+  if (!player || !state.currentGraph) {
+    return;
+  }
+
+  if (player.stack.length > 0) {
+    state.currentGraph = player.stack[0].graph;
+    player.stack = [];
+    renderGraph();
+  }
+
+  startPlayerGraph();
+}
+
+function startPlayerGraph() {
+  const player = state.player;
+  const graph = state.currentGraph;
+  graph.ui.activeSelections = {};
+  graph.ui.activePath = [];
+  state.lastChosenEdgeId = null;
+  state.lastChosenNodeId = null;
+  rebuildActivePathFromSelections(graph);
+
+  const rootNodeId = getRootNodeId(graph);
+  player.currentNodeId = rootNodeId;
+  player.queue = [];
+  player.visited = rootNodeId ? [rootNodeId] : [];
+  player.finished = !rootNodeId;
+  player.history = [];
+  state.lastChosenNodeId = rootNodeId;
+
+  renderPlayer();
+}
+
+function capturePlayerStep() {
+  const player = state.player;
+  return {
+    selections: JSON.stringify(getActiveSelections(state.currentGraph)),
+    currentNodeId: player.currentNodeId,
+    queue: [...player.queue],
+    visited: [...player.visited],
+    finished: player.finished,
+    lastChosenEdgeId: state.lastChosenEdgeId,
+    lastChosenNodeId: state.lastChosenNodeId
+  };
+}
+
+function playerBack() {
+  const player = state.player;
+  if (player?.history.length === 0 && player.stack.length > 0) {
+    playerLeaveSubgraph(false);
+    return;
+  }
+
+  const step = player?.history.pop();
+  if (!step) {
+    return;
+  }
+
+  applyPlayerStep(step);
+  renderPlayer();
+}
+
+function applyPlayerStep(step) {
+  const player = state.player;
+  state.currentGraph.ui.activeSelections = JSON.parse(step.selections);
+  rebuildActivePathFromSelections(state.currentGraph);
+  player.currentNodeId = step.currentNodeId;
+  player.queue = step.queue;
+  player.visited = step.visited;
+  player.finished = step.finished;
+  state.lastChosenEdgeId = step.lastChosenEdgeId;
+  state.lastChosenNodeId = step.lastChosenNodeId;
+}
+
+function getPlayerSubgraph(node) {
+  const player = state.player;
+  if (normalizeNodeType(node?.type) !== 'ref') {
+    return null;
+  }
+
+  const openGraphIds = [...player.stack.map((frame) => frame.graph.id), state.currentGraph.id];
+  const summary = state.graphSummaries.find((item) => item.id === node.refGraphId);
+  return summary && !openGraphIds.includes(summary.id) ? summary : null;
+}
+
+async function playerEnterSubgraph(node, summary) {
+  const player = state.player;
+  let graph = null;
+  try {
+    const json = await invoke('read_graph_file', { graphId: graphIdFromPath(summary.path) });
+    graph = normalizeGraph(JSON.parse(json), summary.path);
+    graph.folder = summary.folder;
+  } catch (error) {
+    console.error('Load subgraph failed:', error);
+    await showAlert(`Could not load the referenced graph:\n${summary.path}`);
+    return;
+  }
+
+  if (state.player !== player || findNode(player.currentNodeId) !== node) {
+    return;
+  }
+
+  player.stack.push({
+    graph: state.currentGraph,
+    refNodeId: node.id,
+    step: capturePlayerStep(),
+    history: player.history
+  });
+  state.currentGraph = graph;
+  renderGraph();
+  startPlayerGraph();
+}
+
+function playerLeaveSubgraph(advance) {
+  const player = state.player;
+  const frame = player.stack.pop();
+  state.currentGraph = frame.graph;
+  applyPlayerStep(frame.step);
+  player.history = frame.history;
+  renderGraph();
+
+  if (advance) {
+    followPlayerNode(findNode(frame.refNodeId));
+  } else {
+    renderPlayer();
+  }
+}
+
+function advancePlayer(nextNodeIds) {
+  const player = state.player;
+  const fresh = [];
+
+  nextNodeIds.forEach((nodeId) => {
+    if (!player.visited.includes(nodeId) && !player.queue.includes(nodeId) && !fresh.includes(nodeId)) {
+      fresh.push(nodeId);
+    }
+  });
+
+  player.queue = [...fresh, ...player.queue];
+  player.currentNodeId = player.queue.shift() || null;
+
+  if (player.currentNodeId) {
+    player.visited.push(player.currentNodeId);
+    state.lastChosenNodeId = player.currentNodeId;
+  } else {
+    player.finished = true;
+  }
+
+  renderPlayer();
+}
+
+function getPlayerChoiceEdges(nodeId, availability = getChoiceAvailabilityMap(state.currentGraph)) {
+  return (state.currentGraph?.edges || []).filter(
+    (edge) =>
+      edge.from === nodeId &&
+      edgeHasTarget(edge) &&
+      findNode(edge.to) &&
+      availability.get(edge.id) !== 'hidden'
+  );
+}
+
+function playerChoose(edgeId) {
+  const player = state.player;
+  const node = findNode(player?.currentNodeId);
+  const edge = findEdge(edgeId);
+  if (!player || player.finished || !node || !edge || edge.from !== node.id) {
+    return;
+  }
+
+  if (getChoiceAvailabilityMap(state.currentGraph).get(edgeId) !== 'available') {
+    return;
+  }
+
+  if (normalizeNodeType(node.type) === 'or') {
+    applyTypedEdgeSelection(edgeId);
+    renderPlayer();
+    return;
+  }
+
+  player.history.push(capturePlayerStep());
+  const selections = getActiveSelections(state.currentGraph);
+  if (!(selections[node.id]?.length === 1 && selections[node.id][0] === edgeId)) {
+    applyTypedEdgeSelection(edgeId);
+  }
+  advancePlayer([edge.to]);
+}
+
+function playerContinue() {
+  const player = state.player;
+  if (player?.finished && player.stack.length > 0) {
+    playerLeaveSubgraph(true);
+    return;
+  }
+
+  const node = findNode(player?.currentNodeId);
+  if (!player || player.finished || !node) {
+    return;
+  }
+
+  const subgraph = getPlayerSubgraph(node);
+  if (subgraph) {
+    void playerEnterSubgraph(node, subgraph);
+    return;
+  }
+
+  followPlayerNode(node);
+}
+
+function followPlayerNode(node) {
+  const player = state.player;
+  player.history.push(capturePlayerStep());
+  const selections = getActiveSelections(state.currentGraph);
+  const selected = Array.isArray(selections[node.id]) ? selections[node.id] : [];
+  const availability = getChoiceAvailabilityMap(state.currentGraph);
+  const availableEdges = getPlayerChoiceEdges(node.id, availability).filter(
+    (edge) => availability.get(edge.id) === 'available'
+  );
+  const nextNodeIds = getFollowedEdges(node, availableEdges, selected).map((edge) => edge.to);
+
+  advancePlayer(nextNodeIds);
+}
+
+function renderPlayerSummary() {
+  const graph = state.currentGraph;
+  const endNodes = collectActiveEndNodes(graph);
+
+  el.playerProgress.textContent = `Finished after ${state.player.visited.length} step(s).`;
+  el.playerQuestion.textContent = 'Result';
+  el.playerDescription.replaceChildren();
+  el.playerChoices.replaceChildren();
+  el.playerHint.textContent = endNodes.length > 0 ? 'Reached end nodes:' : 'No end node reached.';
+  if (graphHasScores(graph)) {
+    el.playerHint.textContent += ` Total score: ${formatScore(walkActivePath(graph).score)}.`;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'player-summary';
+  endNodes.forEach((node) => {
+    const item = document.createElement('li');
+    const title = document.createElement('strong');
+    title.textContent = node.text;
+    item.appendChild(title);
+
+    if (node.description) {
+      const description = document.createElement('div');
+      description.className = 'player-summary__description';
+      renderMarkdownInto(description, node.description);
+      item.appendChild(description);
+    }
+
+    list.appendChild(item);
+  });
+  el.playerChoices.appendChild(list);
+}
+
+function renderPlayer() {
+  const player = state.player;
+  const graph = state.currentGraph;
+  if (!player || !graph) {
+    return;
+  }
+
+  el.playerTitle.textContent = `Player - ${[...player.stack.map((frame) => frame.graph.name), graph.name].join(' › ')}`;
+  el.playerBackBtn.disabled = player.history.length === 0 && player.stack.length === 0;
+
+  const node = findNode(player.currentNodeId);
+  if (player.finished || !node) {
+    const parent = player.stack[player.stack.length - 1]?.graph;
+    el.playerContinueBtn.classList.toggle('hidden', !parent);
+    renderPlayerSummary();
+    if (parent) {
+      el.playerContinueBtn.textContent = `Back to "${parent.name}"`;
+      setStatus(`Subgraph "${graph.name}" finished.`);
+    } else {
+      setStatus('Player finished.');
+    }
+    return;
+  }
+
+  const nodeType = normalizeNodeType(node.type);
+  const availability = getChoiceAvailabilityMap(graph);
+  const choiceEdges = getPlayerChoiceEdges(node.id, availability);
+  const availableEdges = choiceEdges.filter((edge) => availability.get(edge.id) === 'available');
+  const edges = nodeType === 'info' || nodeType === 'outcome' || nodeType === 'ref' ? [] : choiceEdges;
+  const selections = getActiveSelections(graph);
+  const selected = Array.isArray(selections[node.id]) ? selections[node.id] : [];
+
+  el.playerProgress.textContent = `Step ${player.history.length + 1}`;
+  el.playerQuestion.textContent = node.text;
+  renderMarkdownInto(el.playerDescription, node.description);
+  el.playerChoices.replaceChildren();
+
+  edges.forEach((edge, index) => {
+    const choice = document.createElement('button');
+    choice.type = 'button';
+    choice.className = 'win-button player-choice';
+    choice.dataset.edgeId = edge.id;
+    choice.textContent = `${index + 1}. ${findButtonForEdge(edge)?.text || 'Choice'}`;
+    choice.classList.toggle(
+      'is-selected',
+      nodeType === 'and' || (nodeType === 'or' && selected.includes(edge.id))
+    );
+    choice.disabled = nodeType === 'and' || availability.get(edge.id) !== 'available';
+    el.playerChoices.appendChild(choice);
+  });
+
+  const followedEdges = getFollowedEdges(node, availableEdges, selected);
+  const subgraph = getPlayerSubgraph(node);
+  if (nodeType === 'outcome') {
+    el.playerHint.textContent = 'Outcome reached.';
+  } else if (nodeType === 'info') {
+    el.playerHint.textContent = followedEdges.length > 0 ? 'Continue to the next step.' : 'End of this branch.';
+  } else if (nodeType === 'ref') {
+    const refSummary = state.graphSummaries.find((item) => item.id === node.refGraphId);
+    el.playerHint.textContent = subgraph
+      ? `Runs "${subgraph.name}" as a subgraph, then continues here.`
+      : refSummary
+        ? `"${refSummary.name}" is already open, skipping the cyclic reference.`
+        : 'The referenced graph is missing, skipping it.';
+  } else if (edges.length === 0) {
+    el.playerHint.textContent = 'End of this branch.';
+  } else if (nodeType === 'and') {
+    el.playerHint.textContent = 'All of these apply, continue to follow each of them.';
+  } else if (nodeType === 'or') {
+    el.playerHint.textContent = 'Select all that apply, then continue.';
+  } else {
+    el.playerHint.textContent = 'Choose one answer.';
+  }
+
+  const showContinue = nodeType !== 'xor' || edges.length === 0;
+  const leadsOn = followedEdges.length > 0;
+  el.playerContinueBtn.classList.toggle('hidden', !showContinue);
+  el.playerContinueBtn.textContent = subgraph
+    ? `Open "${subgraph.name}"`
+    : !leadsOn && player.queue.length === 0
+      ? 'Finish'
+      : 'Continue';
+}
+
+async function createNewGraphFlow() {
+  const name = await showPrompt({
+    title: 'New Graph',
+    message: 'Graph name:',
+    defaultValue: 'New Graph',
+    okText: 'Create'
+  });
+
+  if (name === null) {
+    return;
+  }
+
+  const graph = createGraph(name.trim() || 'New Graph');
+
+  try {
+    await persistGraph(graph);
+    upsertGraphSummary(graph);
+    renderGraphList();
+    await loadGraphById(graph.id);
+    setStatus('Graph created.');
+  } catch (error) {
+    console.error('Create graph failed:', error);
+    await showAlert('Could not create graph file.');
+  }
+}
+
+async function renameCurrentGraphFlow() {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  const nextName = await showPrompt({
+    title: 'Rename Graph',
+    message: 'New name:',
+    defaultValue: state.currentGraph.name,
+    okText: 'Rename'
+  });
+
+  if (nextName === null) {
+    return;
+  }
+
+  state.currentGraph.name = nextName.trim() || 'Untitled Graph';
+
+  try {
+    await persistGraph(state.currentGraph);
+    upsertGraphSummary(state.currentGraph);
+    renderGraph();
+    setStatus('Graph renamed.');
+  } catch (error) {
+    console.error('Rename failed:', error);
+    await showAlert('Rename failed while saving file.');
+  }
+}
+
+async function moveCurrentGraphToFolderFlow() {
+  const graph = state.currentGraph;
+  if (!graph) {
+    return;
+  }
+
+  const knownFolders = Array.from(
+    new Set(state.graphSummaries.map((summary) => summary.folder).filter(Boolean))
+  ).sort();
+  const input = await showPrompt({
+    title: 'Move to Folder',
+    message: [
+      'Folder (use "/" for subfolders, leave empty for the top level):',
+      knownFolders.length > 0 ? `\nExisting folders: ${knownFolders.join(', ')}` : ''
+    ].join(''),
+    defaultValue: graph.folder,
+    okText: 'Move'
+  });
+
+  if (input === null || graph !== state.currentGraph) {
+    return;
+  }
+
+  const folder = normalizeGraphFolder(input);
+  if (folder === null) {
+    await showAlert(
+      `Folder names may only use letters, digits, spaces, "_" and "-", at most ${GRAPH_FOLDER_MAX_DEPTH} levels deep.`
+    );
+    return;
+  }
+
+  if (folder === graph.folder) {
+    return;
+  }
+
+  if (state.autosaveHandle) {
+    clearTimeout(state.autosaveHandle);
+    state.autosaveHandle = null;
+  }
+
+  const fromId = graphFileId(graph);
+  try {
+    // A save that is already writing would recreate the old file after the move.
+    await state.autosavePromise?.catch(() => {});
+    await invoke('move_graph_file', { fromId, toId: folder ? `${folder}/${graph.id}` : graph.id });
+    graph.folder = folder;
+    await persistGraph(graph);
+    upsertGraphSummary(graph);
+    if (folder) {
+      folder.split('/').forEach((segment, index, segments) => {
+        state.collapsedFolders.delete(segments.slice(0, index + 1).join('/'));
+      });
+    }
+    renderGraph();
+    setStatus(folder ? `Graph moved to folder "${folder}".` : 'Graph moved to the top level.');
+  } catch (error) {
+    console.error('Move failed:', error);
+    await showAlert('Could not move the graph file.');
+  }
+}
+
+async function editCurrentGraphTagsFlow() {
+  const graph = state.currentGraph;
+  if (!graph) {
+    return;
+  }
+
+  const input = await showPrompt({
+    title: 'Graph Tags',
+    message: 'Tags, separated by commas (filter the list with #tag):',
+    defaultValue: graph.tags.join(', '),
+    okText: 'Save'
+  });
+
+  if (input === null || graph !== state.currentGraph) {
+    return;
+  }
+
+  graph.tags = normalizeGraphTags(input);
+
+  try {
+    await persistGraph(graph);
+    upsertGraphSummary(graph);
+    renderGraph();
+    setStatus(graph.tags.length > 0 ? `Tags: ${graph.tags.join(', ')}` : 'Tags removed.');
+  } catch (error) {
+    console.error('Saving tags failed:', error);
+    await showAlert('Could not save the tags.');
+  }
+}
+
+async function toggleCurrentGraphPinned() {
+  const graph = state.currentGraph;
+  if (!graph) {
+    return;
+  }
+
+  graph.pinned = !graph.pinned;
+
+  try {
+    await persistGraph(graph);
+    upsertGraphSummary(graph);
+    renderGraph();
+    setStatus(graph.pinned ? 'Graph pinned.' : 'Graph unpinned.');
+  } catch (error) {
+    console.error('Pin failed:', error);
+    await showAlert('Could not save the graph file.');
+  }
+}
+
+async function duplicateCurrentGraphFlow() {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  const defaultName = `${state.currentGraph.name} Copy`;
+  const nextName = await showPrompt({
+    title: 'Duplicate Graph',
+    message: 'New graph name:',
+    defaultValue: defaultName,
+    okText: 'Duplicate'
+  });
+
+  if (nextName === null) {
+    return;
+  }
+
+  const duplicatePayload = JSON.parse(JSON.stringify(state.currentGraph));
+  const createdAt = nowISO();
+
+  duplicatePayload.id = await generateUniqueGraphId();
+  duplicatePayload.name = nextName.trim() || defaultName;
+  duplicatePayload.version = GRAPH_VERSION;
+  duplicatePayload.createdAt = createdAt;
+  duplicatePayload.updatedAt = createdAt;
+
+  try {
+    const duplicatedGraph = normalizeGraph(duplicatePayload, 'duplicate graph');
+    duplicatedGraph.id = duplicatePayload.id;
+    duplicatedGraph.name = duplicatePayload.name;
+    duplicatedGraph.createdAt = createdAt;
+    duplicatedGraph.updatedAt = createdAt;
+    duplicatedGraph.pinned = false;
+
+    await persistGraph(duplicatedGraph);
+    upsertGraphSummary(duplicatedGraph);
+    renderGraphList();
+    await loadGraphById(duplicatedGraph.id);
+    setStatus('Graph duplicated.');
+  } catch (error) {
+    console.error('Duplicate failed:', error);
+    await showAlert('Could not duplicate graph file.');
+  }
+}
+
+async function deleteCurrentGraphFlow() {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  const referencedBy = state.graphSummaries.filter(
+    (summary) => summary.id !== state.currentGraph.id && (summary.references || []).includes(state.currentGraph.id)
+  );
+  const yes = await showConfirm({
+    message: [
+      'Delete graph "',
+      state.currentGraph.name,
+      '"?',
+      referencedBy.length > 0
+        ? `\n\nThese graphs still use it as a subgraph:\n${referencedBy.map((summary) => `- ${summary.name}`).join('\n')}`
+        : ''
+    ].join(''),
+    title: 'Delete Graph',
+    okText: 'Delete'
+  });
+
+  if (!yes) {
+    return;
+  }
+
+  const graphId = state.currentGraph.id;
+
+  try {
+    await invoke('delete_graph_file', { graphId: graphFileId(state.currentGraph) });
+  } catch (error) {
+    console.warn('Delete main graph file failed:', error);
+  }
+
+  state.graphSummaries = state.graphSummaries.filter((item) => item.id !== graphId);
+  state.historyByGraphId.delete(graphId);
+  state.pendingMigrationBackups.delete(graphId);
+
+  if (state.graphSummaries.length > 0) {
+    await loadGraphFromSummary(state.graphSummaries[0]);
+  } else {
+    const fresh = createGraph('New Graph');
+    await persistGraph(fresh);
+    state.graphSummaries = [];
+    upsertGraphSummary(fresh);
+    await loadGraphById(fresh.id);
+  }
+
+  renderGraphList();
+  setStatus('Graph deleted.');
+}
+
+async function exportCurrentGraph() {
+  if (!state.currentGraph) {
+    return;
+  }
+
+  enforceGraphConsistency(state.currentGraph);
+
+  try {
+    const exportType = await showSelect({
+      title: 'Export Graph',
+      message: 'Choose export format:',
+      okText: 'Export',
+      defaultValue: 'json',
+      options: [
+        { value: 'json', label: 'JSON' },
+        { value: 'picture', label: 'Picture (SVG)' },
+        { value: 'png', label: 'Picture (PNG)' },
+        { value: 'pdf', label: 'Printable PDF' },
+        { value: 'markdown-todo', label: 'Markdown Todo' },
+        { value: 'markdown-outline', label: 'Markdown Outline' },
+        { value: 'interactive-html', label: 'Interactive HTML' },
+        { value: 'mermaid', label: 'Mermaid Flowchart' },
+        { value: 'dot', label: 'Graphviz DOT' }
+      ]
+    });
+
+    if (!exportType) {
+      return;
+    }
+
+    if (exportType === 'json') {
+      await exportGraphAsJson(state.currentGraph);
+      return;
+    }
+
+    if (exportType === 'picture') {
+      await exportGraphAsPicture(state.currentGraph);
+      return;
+    }
+
+    if (exportType === 'png') {
+      await exportGraphAsPng(state.currentGraph);
+      return;
+    }
+
+    if (exportType === 'pdf') {
+      await exportGraphAsPdf(state.currentGraph);
+      return;
+    }
+
+    if (exportType === 'markdown-todo') {
+      await exportGraphAsMarkdownTodo(state.currentGraph);
+      return;
+    }
+
+    if (exportType === 'markdown-outline') {
+      await exportGraphAsMarkdownOutline(state.currentGraph);
+      return;
+    }
+
+    if (exportType === 'interactive-html') {
+      await exportGraphAsInteractiveHtml(state.currentGraph);
+      return;
+    }
+
+    if (exportType === 'mermaid') {
+      await exportGraphAsMermaid(state.currentGraph);
+      return;
+    }
+
+    if (exportType === 'dot') {
+      await exportGraphAsDot(state.currentGraph);
+      return;
+    }
+  } catch (error) {
+    console.error('Export failed:', error);
+    await showAlert('Export failed.');
+  }
+}
+
+async function exportGraphAsJson(graph) {
+  const exported = await invoke('export_text_file', {
+    title: 'Export Graph JSON',
+    defaultPath: `${sanitizeFileName(graph.name)}.json`,
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+    contents: JSON.stringify(graph, null, 2)
+  });
+
+  if (!exported) {
+    return;
+  }
+
+  setStatus('Graph exported as JSON.');
+}
+
+function collectActiveEndNodes(graph) {
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const walkedPath = walkActivePath(graph).path;
+  const nodesLeadingOn = new Set(
+    graph.edges.filter((edge) => walkedPath.includes(edge.id)).map((edge) => edge.from)
+  );
+
+  const orderedActiveNodeIds = [];
+  const activeNodeSeen = new Set();
+
+  (graph.ui.activePath || []).forEach((entry) => {
+    if (!nodeById.has(entry) || activeNodeSeen.has(entry)) {
+      return;
+    }
+    activeNodeSeen.add(entry);
+    orderedActiveNodeIds.push(entry);
+  });
+
+  const rootNodeId = getRootNodeId(graph);
+  if (orderedActiveNodeIds.length === 0 && rootNodeId) {
+    orderedActiveNodeIds.push(rootNodeId);
+  }
+
+  return orderedActiveNodeIds
+    .filter((nodeId) => !nodesLeadingOn.has(nodeId))
+    .map((nodeId) => nodeById.get(nodeId))
+    .filter(Boolean);
+}
+
+function buildMarkdownTodo(graph) {
+  const dateStamp = formatDateStamp();
+  const endNodes = collectActiveEndNodes(graph);
+  const lines = [`# ${graph.name} - ${dateStamp}`, '', '## Todo'];
+
+  if (endNodes.length === 0) {
+    lines.push('- [ ] (No active end nodes)');
+    return lines.join('\n');
+  }
+
+  endNodes.forEach((node) => {
+    lines.push(`- [ ] ${node.text || node.id}`);
+    if (node.description) {
+      node.description.split('\n').forEach((line) => {
+        lines.push(line.trim() ? `  ${line}` : '');
+      });
+    }
+  });
+
+  if (graphHasScores(graph)) {
+    lines.push('', `**Score of the current path:** ${formatScore(walkActivePath(graph).score)}`);
+  }
+
+  return lines.join('\n');
+}
+
+async function exportGraphAsMarkdownTodo(graph) {
+  const dateStamp = formatDateStamp();
+  const exported = await invoke('export_text_file', {
+    title: 'Export Markdown Todo',
+    defaultPath: `${sanitizeFileName(graph.name)}_${dateStamp}.md`,
+    filters: [{ name: 'Markdown', extensions: ['md'] }],
+    contents: buildMarkdownTodo(graph)
+  });
+
+  if (!exported) {
+    return;
+  }
+
+  setStatus('Graph exported as Markdown Todo.');
+}
+
+function escapeMarkdownText(value) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+function buildMarkdownOutline(graph, options = {}) {
+  const markActivePath = options.markActivePath === true;
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const outgoing = new Map(graph.nodes.map((node) => [node.id, []]));
+  const activeNodeIds = new Set();
+  const activeEdgeIds = new Set();
+
+  graph.edges.forEach((edge) => {
+    outgoing.get(edge.from)?.push(edge);
+  });
+  outgoing.forEach((edges, nodeId) => {
+    const buttons = nodeById.get(nodeId).buttons;
+    const buttonIndex = (edge) => buttons.findIndex((button) => button.id === edge.buttonId);
+    edges.sort((left, right) => buttonIndex(left) - buttonIndex(right));
+  });
+
+  if (markActivePath) {
+    (graph.ui.activePath || []).forEach((entry) => {
+      if (nodeById.has(entry)) {
+        activeNodeIds.add(entry);
+      }
+    });
+    Object.values(getActiveSelections(graph)).forEach((selection) => {
+      (Array.isArray(selection) ? selection : []).forEach((edgeId) => {
+        const edge = graph.edges.find((item) => item.id === edgeId);
+        if (edge && edgeHasTarget(edge) && activeNodeIds.has(edge.from)) {
+          activeEdgeIds.add(edgeId);
+        }
+      });
+    });
+  }
+
+  const rootNodeId = getRootNodeId(graph);
+  const startIds = rootNodeId ? [rootNodeId] : [];
+  const seen = new Set();
+  const repeated = new Set();
+  const collect = (nodeId) => {
+    if (seen.has(nodeId)) {
+      repeated.add(nodeId);
+      return;
+    }
+    seen.add(nodeId);
+    outgoing.get(nodeId).forEach((edge) => {
+      if (edgeHasTarget(edge) && nodeById.has(edge.to)) {
+        collect(edge.to);
+      }
+    });
+  };
+  startIds.forEach(collect);
+  const unreachableIds = graph.nodes.map((node) => node.id).filter((nodeId) => !seen.has(nodeId));
+  unreachableIds.forEach((nodeId) => {
+    if (!seen.has(nodeId)) {
+      collect(nodeId);
+    }
+  });
+
+  const anchorFor = (nodeId) => `node-${nodeId.replace(/[^A-Za-z0-9_-]/g, '-')}`;
+  const emphasize = (text, active) => (active ? `**${text}**` : text);
+  const lines = [`# ${escapeMarkdownText(graph.name)}`, ''];
+  const written = new Set();
+  const withScores = graphHasScores(graph);
+
+  const writeNode = (nodeId, depth, total) => {
+    const node = nodeById.get(nodeId);
+    const indent = '  '.repeat(depth);
+    const text = escapeMarkdownText(node.text) || node.id;
+    const isEnd =
+      node.type === 'outcome' || !outgoing.get(nodeId).some((edge) => edgeHasTarget(edge) && nodeById.has(edge.to));
+    const totalHint = withScores && isEnd ? ` — total: ${formatScore(total)}` : '';
+
+    if (written.has(nodeId)) {
+      lines.push(`${indent}- ↩ [${text}](#${anchorFor(nodeId)})${totalHint}`);
+      return;
+    }
+    written.add(nodeId);
+
+    const anchor = repeated.has(nodeId) ? `<a id="${anchorFor(nodeId)}"></a>` : '';
+    const refName =
+      node.type === 'ref' ? state.graphSummaries.find((item) => item.id === node.refGraphId)?.name : null;
+    const typeHint =
+      node.type === DEFAULT_NODE_TYPE
+        ? ''
+        : ` _(${NODE_TYPE_LABELS[node.type]}${refName ? `: ${escapeMarkdownText(refName)}` : ''})_`;
+    lines.push(`${indent}- ${anchor}${emphasize(text, activeNodeIds.has(nodeId))}${typeHint}${totalHint}`);
+
+    outgoing.get(nodeId).forEach((edge) => {
+      const button = node.buttons.find((item) => item.id === edge.buttonId);
+      const choiceText = escapeMarkdownText(button?.text) || 'Choice';
+      const connected = edgeHasTarget(edge) && nodeById.has(edge.to);
+      const scoreHint = button?.score ? ` (${formatScore(button.score, true)})` : '';
+      lines.push(
+        `${indent}  - ${emphasize(`→ ${choiceText}`, activeEdgeIds.has(edge.id))}${scoreHint}${
+          connected ? '' : ' _(not connected)_'
+        }`
+      );
+      if (connected) {
+        writeNode(edge.to, depth + 2, total + (button?.score || 0));
+      }
+    });
+  };
+
+  if (startIds.length === 0) {
+    lines.push('_(Empty graph)_');
+  }
+  startIds.forEach((nodeId) => writeNode(nodeId, 0, 0));
+
+  const remainingIds = unreachableIds.filter((nodeId) => !written.has(nodeId));
+  if (remainingIds.length > 0) {
+    lines.push('', '## Not reachable from Start', '');
+    remainingIds.forEach((nodeId) => {
+      if (!written.has(nodeId)) {
+        writeNode(nodeId, 0, 0);
+      }
+    });
+  }
+
+  if (withScores) {
+    // The outline links shared nodes instead of repeating them, so every route to an end gets its own row here.
+    const paths = [];
+    let truncated = false;
+    const enumerate = (nodeId, trail, total) => {
+      const next = outgoing.get(nodeId).filter((edge) => edgeHasTarget(edge) && nodeById.has(edge.to));
+      if (nodeById.get(nodeId).type === 'outcome' || next.length === 0) {
+        if (paths.length < MARKDOWN_PATH_LIMIT) {
+          paths.push({ trail, total });
+        } else {
+          truncated = true;
+        }
+        return;
+      }
+
+      next.forEach((edge) => {
+        if (!truncated && !trail.includes(edge.to)) {
+          const button = nodeById.get(nodeId).buttons.find((item) => item.id === edge.buttonId);
+          enumerate(edge.to, [...trail, edge.to], total + (button?.score || 0));
+        }
+      });
+    };
+    startIds.forEach((nodeId) => enumerate(nodeId, [nodeId], 0));
+
+    lines.push('', '## Path totals', '', '| Path | Total |', '| --- | ---: |');
+    paths.forEach((path) => {
+      const texts = path.trail.map((nodeId) => escapeMarkdownText(nodeById.get(nodeId).text) || nodeId);
+      lines.push(`| ${texts.join(' → ')} | ${formatScore(path.total)} |`);
+    });
+    if (truncated) {
+      lines.push('', `_(Only the first ${MARKDOWN_PATH_LIMIT} paths are listed.)_`);
+    }
+
+    lines.push('', '## Score ranking', '', '| Rank | End node | Best score |', '| ---: | --- | ---: |');
+    rankEndNodesByScore(graph).forEach((entry) => {
+      lines.push(
+        `| ${entry.rank} | ${escapeMarkdownText(entry.node.text)} | ${formatScore(entry.score)} |`
+      );
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+async function exportGraphAsMarkdownOutline(graph) {
+  const markActivePath = await showSelect({
+    title: 'Export Markdown Outline',
+    message: 'Mark the current path in bold?',
+    okText: 'Export',
+    defaultValue: 'yes',
+    options: [
+      { value: 'yes', label: 'Yes, mark the active path' },
+      { value: 'no', label: 'No, plain outline' }
+    ]
+  });
+
+  if (!markActivePath) {
+    return;
+  }
+
+  const exported = await invoke('export_text_file', {
+    title: 'Export Markdown Outline',
+    defaultPath: `${sanitizeFileName(graph.name)}_outline.md`,
+    filters: [{ name: 'Markdown', extensions: ['md'] }],
+    contents: buildMarkdownOutline(graph, { markActivePath: markActivePath === 'yes' })
+  });
+
+  if (!exported) {
+    return;
+  }
+
+  setStatus('Graph exported as Markdown Outline.');
+}
+
+function buildGraphPictureSvg(graph, options = {}) {
+  const plain = options.plain === true;
+  const background = options.background || '#b5b5b5';
+  const context = plain ? createEmptyPathContext() : getPathContext();
+  const showViewPath = !plain && state.mode === 'view';
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const nodeSizes = new Map();
+
+  graph.nodes.forEach((node) => {
+    const nodeEl = state.nodeElements.get(node.id);
+    nodeSizes.set(node.id, {
+      width: Math.max(NODE_WIDTH, nodeEl?.offsetWidth || NODE_WIDTH),
+      height: Math.max(34, nodeEl?.offsetHeight || 44)
+    });
+  });
+
+  const bounds = {
+    minX: Number.POSITIVE_INFINITY,
+    minY: Number.POSITIVE_INFINITY,
+    maxX: Number.NEGATIVE_INFINITY,
+    maxY: Number.NEGATIVE_INFINITY
+  };
+
+  const pushBounds = (x, y) => {
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.minY = Math.min(bounds.minY, y);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.maxY = Math.max(bounds.maxY, y);
+  };
+
+  const edgeGeometries = [];
+
+  graph.edges.forEach((edge) => {
+    const sourceNode = nodeById.get(edge.from);
+    if (!sourceNode) {
+      return;
+    }
+
+    const sourceSize = nodeSizes.get(sourceNode.id) || { width: NODE_WIDTH, height: 44 };
+    const sourceCenterX = sourceNode.x + sourceSize.width / 2;
+    const sourceCenterY = sourceNode.y + sourceSize.height / 2;
+    const targetNode = edgeHasTarget(edge) ? nodeById.get(edge.to) : null;
+    const targetSize = targetNode ? nodeSizes.get(targetNode.id) || { width: NODE_WIDTH, height: 44 } : null;
+    const isDangling = !targetNode;
+
+    let endX = 0;
+    let endY = 0;
+
+    if (isDangling) {
+      const danglingPoint = getDanglingEdgePoint(graph, sourceNode, edge);
+      endX = danglingPoint.x;
+      endY = danglingPoint.y;
+    } else {
+      endX = targetNode.x + targetSize.width / 2;
+      endY = targetNode.y + 1;
+    }
+
+    const startFromBottom = endY >= sourceCenterY;
+    const startX = sourceCenterX;
+    const startY = startFromBottom ? sourceNode.y + sourceSize.height : sourceNode.y;
+
+    const deltaX = endX - startX;
+    const deltaY = endY - startY;
+    const verticalBend = Math.max(54, Math.abs(deltaY) * 0.5);
+    const horizontalBend = deltaX * 0.35;
+    const c1x = startX + horizontalBend;
+    const c1y = startY + (startFromBottom ? verticalBend : -verticalBend);
+    const c2x = endX;
+    const c2y = endY - verticalBend;
+    const midpoint = cubicBezierPoint(
+      0.5,
+      { x: startX, y: startY },
+      { x: c1x, y: c1y },
+      { x: c2x, y: c2y },
+      { x: endX, y: endY }
+    );
+
+    const isEditSelected = !plain && state.mode === 'edit' && state.selectedEdgeId === edge.id;
+    const isLineSelected = isEditSelected && state.selectedEdgeSelectionSource === 'line';
+    const isSelectionActive = context.selectedEdgeSet.has(edge.id);
+    const isViewActive = showViewPath && context.activeEdgeId === edge.id;
+    const isStronglyActive = isSelectionActive || isViewActive;
+    const isPath = showViewPath && context.edgePathSet.has(edge.id);
+
+    const compareKey = getComparePathKey(context, 'edge', edge.id);
+
+    const markerVariant = isStronglyActive ? 'active' : isPath ? 'path' : 'default';
+    const stroke = compareKey
+      ? COMPARE_PATH_COLORS[compareKey]
+      : isStronglyActive
+        ? '#0a4dbb'
+        : isPath
+          ? '#46763d'
+          : isLineSelected
+            ? '#2f2f2f'
+            : '#525252';
+    const dash = isLineSelected ? '9 6' : isDangling ? '8 6' : null;
+    const strokeWidth = isStronglyActive || isLineSelected || compareKey ? 3 : 2;
+    const button = findButtonForEdge(edge);
+    const label = button?.text || 'Choice';
+
+    pushBounds(startX, startY);
+    pushBounds(c1x, c1y);
+    pushBounds(c2x, c2y);
+    pushBounds(endX, endY);
+    pushBounds(midpoint.x - 85, midpoint.y - 20);
+    pushBounds(midpoint.x + 85, midpoint.y + 20);
+
+    edgeGeometries.push({
+      edgeId: edge.id,
+      startX,
+      startY,
+      c1x,
+      c1y,
+      c2x,
+      c2y,
+      endX,
+      endY,
+      midpoint,
+      markerVariant,
+      stroke,
+      dash,
+      strokeWidth,
+      label
+    });
+  });
+
+  graph.nodes.forEach((node) => {
+    const size = nodeSizes.get(node.id) || { width: NODE_WIDTH, height: 44 };
+    pushBounds(node.x, node.y);
+    pushBounds(node.x + size.width, node.y + size.height);
+  });
+
+  if (!Number.isFinite(bounds.minX)) {
+    bounds.minX = 0;
+    bounds.minY = 0;
+    bounds.maxX = 820;
+    bounds.maxY = 620;
+  }
+
+  const padding = 80;
+  const width = Math.max(320, Math.ceil(bounds.maxX - bounds.minX + padding * 2));
+  const height = Math.max(220, Math.ceil(bounds.maxY - bounds.minY + padding * 2));
+  const offsetX = padding - bounds.minX;
+  const offsetY = padding - bounds.minY;
+
+  const edgesSvg = edgeGeometries
+    .map((geometry) => {
+      const pathD = [
+        'M',
+        geometry.startX + offsetX,
+        geometry.startY + offsetY,
+        'C',
+        geometry.c1x + offsetX,
+        geometry.c1y + offsetY,
+        ',',
+        geometry.c2x + offsetX,
+        geometry.c2y + offsetY,
+        ',',
+        geometry.endX + offsetX,
+        geometry.endY + offsetY
+      ].join(' ');
+
+      return `<path class="kw-edge" data-edge-id="${escapeXml(
+        geometry.edgeId
+      )}" d="${pathD}" fill="none" stroke="${geometry.stroke}" stroke-width="${
+        geometry.strokeWidth
+      }"${geometry.dash ? ` stroke-dasharray="${geometry.dash}"` : ''} marker-start="url(#edge-start-${
+        geometry.markerVariant
+      })" marker-end="url(#arrow-head-${geometry.markerVariant})" />`;
+    })
+    .join('\n');
+
+  const labelsSvg = edgeGeometries
+    .map((geometry) => {
+      const labelText = geometry.label || 'Choice';
+      const labelWidth = clamp(labelText.length * 7 + 16, 44, 170);
+      const labelHeight = 24;
+      const x = geometry.midpoint.x + offsetX - labelWidth / 2;
+      const y = geometry.midpoint.y + offsetY - labelHeight / 2;
+      const isActive = context.selectedEdgeSet.has(geometry.edgeId) || (showViewPath && context.activeEdgeId === geometry.edgeId);
+      const fill = isActive ? '#0a4dbb' : '#d4d0c8';
+      const color = isActive ? '#ffffff' : '#000000';
+
+      return `<g class="kw-choice" data-edge-id="${escapeXml(geometry.edgeId)}">
+<rect x="${x}" y="${y}" width="${labelWidth}" height="${labelHeight}" fill="${fill}" stroke="#585858" stroke-width="1" />
+<text x="${x + labelWidth / 2}" y="${y + 16}" text-anchor="middle" font-family="Tahoma, Arial, sans-serif" font-size="12" font-weight="700" fill="${color}">${escapeXml(
+        labelText
+      )}</text>
+</g>`;
+    })
+    .join('\n');
+
+  const nodesSvg = graph.nodes
+    .map((node) => {
+      const size = nodeSizes.get(node.id) || { width: NODE_WIDTH, height: 44 };
+      const x = node.x + offsetX;
+      const y = node.y + offsetY;
+      const w = size.width;
+      const h = size.height;
+      const nodeColor = getNodeBaseColor(node);
+      const nodeTextColor = getReadableTextColor(nodeColor);
+      const titleColor =
+        nodeTextColor === '#ffffff' ? mixColor(nodeColor, 0.2) : mixColor(nodeColor, -0.12);
+      const isSelected = !plain && graph.ui.selectedNodeId === node.id;
+      const isPath = showViewPath && context.nodePathSet.has(node.id);
+      const isActive =
+        context.selectedNodeSet.has(node.id) || (showViewPath && context.activeNodeId === node.id);
+      const isActiveCurrent = showViewPath && context.activeNodeId === node.id;
+      const titleFill = isActiveCurrent ? '#0a4dbb' : titleColor;
+      const titleText = isActiveCurrent ? '#ffffff' : nodeTextColor;
+
+      const titleX = x + 7;
+      const titleY = y + 7;
+      const typeLabel = NODE_TYPE_LABELS[normalizeNodeType(node.type)];
+      const typeW = Math.max(46, typeLabel.length * 8 + 12);
+      const titleW = Math.max(36, w - typeW - 20);
+      const titleH = 22;
+      const typeX = titleX + titleW + 6;
+      const typeY = titleY;
+      const typeH = 22;
+      const typeFill = NODE_TYPE_FILLS[normalizeNodeType(node.type)];
+      const descriptionLineHeight = 14;
+      const descriptionTop = titleY + titleH + 16;
+      const maxDescriptionLines = Math.max(
+        0,
+        Math.floor((y + h - 6 - descriptionTop) / descriptionLineHeight) + 1
+      );
+      const descriptionLines = markdownToPlainLines(node.description)
+        .flatMap((line) => wrapPlainText(line, Math.max(8, Math.floor((w - 14) / 6))))
+        .slice(0, maxDescriptionLines);
+      const descriptionSvg = descriptionLines
+        .map(
+          (line, index) =>
+            `<text x="${x + 7}" y="${
+              descriptionTop + index * descriptionLineHeight
+            }" font-family="Tahoma, Arial, sans-serif" font-size="11" fill="${nodeTextColor}">${escapeXml(
+              line
+            )}</text>`
+        )
+        .join('\n');
+
+      const overlays = [];
+      const compareKey = getComparePathKey(context, 'node', node.id);
+      if (compareKey) {
+        overlays.push(
+          `<rect x="${x - 3}" y="${y - 3}" width="${w + 6}" height="${h + 6}" fill="none" stroke="${COMPARE_PATH_COLORS[compareKey]}" stroke-width="3" />`
+        );
+      }
+      if (isPath) {
+        overlays.push(
+          `<rect x="${x - 2}" y="${y - 2}" width="${w + 4}" height="${h + 4}" fill="none" stroke="rgba(70,118,61,0.65)" stroke-width="2" />`
+        );
+      }
+      if (isActive) {
+        overlays.push(
+          `<rect x="${x - 3}" y="${y - 3}" width="${w + 6}" height="${h + 6}" fill="none" stroke="#0a4dbb" stroke-width="3" />`
+        );
+      }
+      if (isActiveCurrent) {
+        overlays.push(
+          `<rect x="${x - 8}" y="${y - 8}" width="${w + 16}" height="${h + 16}" fill="none" stroke="#ffffff" stroke-width="4" />`
+        );
+        overlays.push(
+          `<rect x="${x - 10}" y="${y - 10}" width="${w + 20}" height="${h + 20}" fill="none" stroke="#0a4dbb" stroke-width="2" />`
+        );
+      }
+      if (isSelected) {
+        overlays.push(
+          `<rect x="${x - 5}" y="${y - 5}" width="${w + 10}" height="${h + 10}" fill="none" stroke="#000000" stroke-width="3" stroke-dasharray="3 3" />`
+        );
+      }
+
+      return `<g class="kw-node" data-node-id="${escapeXml(node.id)}">
+${overlays.join('\n')}
+<rect class="kw-node__frame" x="${x}" y="${y}" width="${w}" height="${h}" fill="${nodeColor}" stroke="#404040" stroke-width="2" />
+${
+  node.type === 'outcome'
+    ? `<rect x="${x + 3}" y="${y + 3}" width="${w - 6}" height="${h - 6}" fill="none" stroke="#404040" stroke-width="1" />`
+    : ''
+}
+<line x1="${x + 1}" y1="${y + 1}" x2="${x + w - 1}" y2="${y + 1}" stroke="#ffffff" stroke-width="1" />
+<line x1="${x + 1}" y1="${y + 1}" x2="${x + 1}" y2="${y + h - 1}" stroke="#ffffff" stroke-width="1" />
+<rect class="kw-node__title" x="${titleX}" y="${titleY}" width="${titleW}" height="${titleH}" fill="${titleFill}" stroke="#707070" stroke-width="1" />
+<text class="kw-node__title-text" x="${titleX + 7}" y="${titleY + 15}" font-family="Tahoma, Arial, sans-serif" font-size="12" font-weight="700" fill="${titleText}">${escapeXml(
+        node.text
+      )}</text>
+<rect x="${typeX}" y="${typeY}" width="${typeW}" height="${typeH}" fill="${typeFill}" stroke="#707070" stroke-width="1" />
+<text x="${typeX + typeW / 2}" y="${typeY + 15}" text-anchor="middle" font-family="Tahoma, Arial, sans-serif" font-size="12" fill="#000000">${escapeXml(
+        typeLabel
+      )}</text>
+${descriptionSvg}
+</g>`;
+    })
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <marker id="edge-start-default" markerWidth="12" markerHeight="12" refX="6" refY="6" orient="auto" markerUnits="userSpaceOnUse">
+      <circle cx="6" cy="6" r="4.2" fill="#d9d9d9" stroke="#575757" stroke-width="1.5"></circle>
+    </marker>
+    <marker id="edge-start-path" markerWidth="12" markerHeight="12" refX="6" refY="6" orient="auto" markerUnits="userSpaceOnUse">
+      <circle cx="6" cy="6" r="4.2" fill="#dce8d8" stroke="#7b9c74" stroke-width="1.5"></circle>
+    </marker>
+    <marker id="edge-start-active" markerWidth="12" markerHeight="12" refX="6" refY="6" orient="auto" markerUnits="userSpaceOnUse">
+      <circle cx="6" cy="6" r="4.2" fill="#d6e5ff" stroke="#1458c2" stroke-width="1.5"></circle>
+    </marker>
+    <marker id="arrow-head-default" markerWidth="12" markerHeight="12" refX="12" refY="6" orient="auto" markerUnits="userSpaceOnUse">
+      <path d="M 0 0 L 12 6 L 0 12 z" fill="#575757"></path>
+    </marker>
+    <marker id="arrow-head-path" markerWidth="12" markerHeight="12" refX="12" refY="6" orient="auto" markerUnits="userSpaceOnUse">
+      <path d="M 0 0 L 12 6 L 0 12 z" fill="#7b9c74"></path>
+    </marker>
+    <marker id="arrow-head-active" markerWidth="12" markerHeight="12" refX="12" refY="6" orient="auto" markerUnits="userSpaceOnUse">
+      <path d="M 0 0 L 12 6 L 0 12 z" fill="#1458c2"></path>
+    </marker>
+  </defs>
+  ${background === 'transparent' ? '' : `<rect x="0" y="0" width="${width}" height="${height}" fill="${background}"></rect>`}
+  ${edgesSvg}
+  ${labelsSvg}
+  ${nodesSvg}
+</svg>`;
+}
+
+async function exportGraphAsPicture(graph) {
+  const svg = buildGraphPictureSvg(graph);
+  const exported = await invoke('export_text_file', {
+    title: 'Export Graph Picture',
+    defaultPath: `${sanitizeFileName(graph.name)}.svg`,
+    filters: [{ name: 'Picture', extensions: ['svg'] }],
+    contents: svg
   });
 
-  if (label === null) {
+  if (!exported) {
     return;
   }
 
-  createChoiceWithNewChildNode(sourceId, label.trim() || 'Choice');
+  setStatus('Graph exported as picture (SVG).');
 }
 
-function createChoiceWithNewChildNode(sourceNodeId, buttonText) {
-  if (!state.currentGraph) {
-    return;
-  }
-
-  const sourceNode = findNode(sourceNodeId);
-  if (!sourceNode) {
-    return;
-  }
-
-  const outgoingCount = state.currentGraph.edges.filter((edge) => edge.from === sourceNodeId).length;
-  const horizontalStep = 250;
-  const verticalStep = 90;
-
-  let offsetY = 0;
-  if (outgoingCount > 0) {
-    const magnitude = Math.ceil(outgoingCount / 2) * verticalStep;
-    const sign = outgoingCount % 2 === 1 ? 1 : -1;
-    offsetY = sign * magnitude;
-  }
-
-  const pendingX = Math.round(sourceNode.x + horizontalStep);
-  const pendingY = Math.round(sourceNode.y + 18 + offsetY);
-
-  const buttonId = uid('b');
-  const edgeId = uid('e');
-
-  sourceNode.buttons.push({
-    id: buttonId,
-    text: buttonText,
-    to: null
+function loadSvgImage(svg) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not render the graph picture.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
   });
+}
 
-  state.currentGraph.edges.push({
-    id: edgeId,
-    from: sourceNode.id,
-    to: null,
-    buttonId,
-    pendingX,
-    pendingY
+function canvasToBytes(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error('Could not encode the graph picture.'));
+          return;
+        }
+        void blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+      },
+      type,
+      quality
+    );
   });
-
-  state.pendingChoice = null;
-  state.currentGraph.ui.selectedNodeId = null;
-  setSelectedEdge(edgeId);
-
-  enforceGraphConsistency(state.currentGraph);
-  renderGraph();
-  scheduleAutosave();
-  setStatus('Choice erstellt. Ziehe das Dreieck auf einen Ziel-Node, um zu verbinden.');
 }
 
-function assignDanglingChoiceToNode(edgeId, targetNodeId) {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return false;
-  }
-
-  const edge = findEdge(edgeId);
-  const targetNode = findNode(targetNodeId);
-  const sourceNode = edge ? findNode(edge.from) : null;
-  if (!edge || edgeHasTarget(edge) || !targetNode || !sourceNode) {
-    return false;
-  }
-
-  if (sourceNode.id === targetNode.id) {
-    return false;
-  }
-
-  edge.to = targetNode.id;
-  edge.pendingX = null;
-  edge.pendingY = null;
-
-  const button = findButtonForEdge(edge);
-  if (button) {
-    button.to = targetNode.id;
-  }
+async function renderGraphCanvas(graph, scale, background) {
+  const image = await loadSvgImage(buildGraphPictureSvg(graph, { background }));
+  const pixelScale = Math.min(
+    scale,
+    RASTER_MAX_SIDE / image.width,
+    RASTER_MAX_SIDE / image.height,
+    Math.sqrt(RASTER_MAX_AREA / (image.width * image.height))
+  );
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.floor(image.width * pixelScale));
+  canvas.height = Math.max(1, Math.floor(image.height * pixelScale));
 
-  state.currentGraph.ui.selectedNodeId = targetNode.id;
-  setSelectedEdge(null);
+  const context = canvas.getContext('2d');
+  context.scale(pixelScale, pixelScale);
+  context.drawImage(image, 0, 0, image.width, image.height);
 
-  enforceGraphConsistency(state.currentGraph);
-  renderGraph();
-  scheduleAutosave();
-  setStatus('Choice mit Node verbunden.');
-  return true;
+  return { canvas, pixelScale, width: image.width, height: image.height };
 }
 
-function completePendingChoice(targetNodeId) {
-  if (!state.currentGraph || !state.pendingChoice) {
-    return;
-  }
-
-  const { sourceNodeId, buttonText } = state.pendingChoice;
-  const sourceNode = findNode(sourceNodeId);
-  const targetNode = findNode(targetNodeId);
-
-  if (!sourceNode || !targetNode) {
-    state.pendingChoice = null;
-    renderGraph();
-    return;
-  }
-
-  const buttonId = uid('b');
-  const edgeId = uid('e');
-
-  sourceNode.buttons.push({
-    id: buttonId,
-    text: buttonText,
-    to: targetNode.id
-  });
-
-  state.currentGraph.edges.push({
-    id: edgeId,
-    from: sourceNode.id,
-    to: targetNode.id,
-    buttonId
+function exportBinaryFile(title, defaultPath, filter, bytes) {
+  // The bytes go over IPC as a raw body, so the dialog options ride along as URI-encoded headers.
+  return invoke('export_binary_file', bytes, {
+    headers: {
+      'x-export-title': encodeURIComponent(title),
+      'x-export-default-path': encodeURIComponent(defaultPath),
+      'x-export-filter-name': encodeURIComponent(filter.name),
+      'x-export-filter-extensions': encodeURIComponent(filter.extensions.join(','))
+    }
   });
-
-  state.pendingChoice = null;
-  setSelectedEdge(edgeId);
-  state.currentGraph.ui.selectedNodeId = null;
-
-  enforceGraphConsistency(state.currentGraph);
-  renderGraph();
-  scheduleAutosave();
-  setStatus('Choice created.');
 }
 
-async function editSelectedChoiceTextFlow() {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
-  }
-
-  const edge = findEdge(state.selectedEdgeId);
-  const button = findButtonForEdge(edge);
+async function exportGraphAsPng(graph) {
+  const scale = await showSelect({
+    title: 'Export PNG',
+    message: 'Choose picture scale:',
+    okText: 'Next',
+    defaultValue: '2',
+    options: [
+      { value: '1', label: '1x' },
+      { value: '2', label: '2x' },
+      { value: '4', label: '4x' }
+    ]
+  });
 
-  if (!edge || !button) {
-    await showAlert('Select a choice first.');
+  if (!scale) {
     return;
   }
 
-  const value = await showPrompt({
-    title: 'Edit Choice',
-    message: 'Choice text:',
-    defaultValue: button.text,
-    okText: 'Apply'
+  const background = await showSelect({
+    title: 'Export PNG',
+    message: 'Choose background:',
+    okText: 'Export',
+    defaultValue: '#ffffff',
+    options: [
+      { value: '#ffffff', label: 'White' },
+      { value: 'transparent', label: 'Transparent' }
+    ]
   });
 
-  if (value === null) {
+  if (!background) {
     return;
   }
 
-  button.text = value.trim() || 'Choice';
-  renderGraph();
-  scheduleAutosave();
-  setStatus('Choice text updated.');
-}
+  const { canvas, pixelScale } = await renderGraphCanvas(graph, Number(scale), background);
+  const bytes = await canvasToBytes(canvas, 'image/png');
+  const exported = await exportBinaryFile(
+    'Export Graph PNG',
+    `${sanitizeFileName(graph.name)}.png`,
+    { name: 'PNG', extensions: ['png'] },
+    bytes
+  );
 
-async function deleteSelectedNodeFlow() {
-  if (!state.currentGraph || state.mode !== 'edit') {
+  if (!exported) {
     return;
   }
 
-  const nodeId = state.currentGraph.ui.selectedNodeId;
-  if (!nodeId) {
-    await showAlert('Select a node to delete.');
+  if (pixelScale < Number(scale)) {
+    setStatus(`Graph exported as PNG (reduced to ${pixelScale.toFixed(1)}x, picture too large).`);
     return;
   }
 
-  const node = findNode(nodeId);
-  if (!node) {
-    return;
-  }
+  setStatus(`Graph exported as PNG (${scale}x).`);
+}
 
-  const yes = await showConfirm({
-    message: ['Delete node "', node.text, '" and all connected choices?'].join(''),
-    title: 'Delete Node',
-    okText: 'Delete'
-  });
+function buildPdfDocument(pages, pageWidth, pageHeight) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
 
-  if (!yes) {
-    return;
-  }
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
 
-  const edgesToDelete = state.currentGraph.edges.filter(
-    (edge) => edge.from === nodeId || edge.to === nodeId
-  );
+  const beginObject = (objectNumber) => {
+    offsets[objectNumber] = length;
+    push(`${objectNumber} 0 obj\n`);
+  };
 
-  edgesToDelete.forEach((edge) => {
-    const source = findNode(edge.from);
-    if (source) {
-      source.buttons = source.buttons.filter((button) => button.id !== edge.buttonId);
-    }
-  });
+  const pageObjectNumbers = pages.map((_, index) => 3 + index * 3);
+  push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
 
-  state.currentGraph.edges = state.currentGraph.edges.filter(
-    (edge) => edge.from !== nodeId && edge.to !== nodeId
-  );
+  beginObject(1);
+  push('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
 
-  state.currentGraph.nodes = state.currentGraph.nodes.filter((item) => item.id !== nodeId);
+  beginObject(2);
+  push(
+    `<< /Type /Pages /Kids [${pageObjectNumbers.map((number) => `${number} 0 R`).join(' ')}] /Count ${
+      pages.length
+    } >>\nendobj\n`
+  );
 
-  state.currentGraph.ui.selectedNodeId = null;
-  setSelectedEdge(null);
+  pages.forEach((page, index) => {
+    const pageNumber = pageObjectNumbers[index];
+    const imageNumber = pageNumber + 1;
+    const contentNumber = pageNumber + 2;
+    const content = `q ${page.drawWidth.toFixed(2)} 0 0 ${page.drawHeight.toFixed(2)} ${page.x.toFixed(2)} ${page.y.toFixed(
+      2
+    )} cm /Im0 Do Q\n`;
+
+    beginObject(pageNumber);
+    push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 ${imageNumber} 0 R >> >> /Contents ${contentNumber} 0 R >>\nendobj\n`
+    );
 
-  enforceGraphConsistency(state.currentGraph);
-  renderGraph();
-  scheduleAutosave();
-  setStatus('Node deleted.');
-}
+    beginObject(imageNumber);
+    push(
+      `<< /Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`
+    );
+    push(page.jpeg);
+    push('\nendstream\nendobj\n');
 
-async function deleteSelectedChoiceFlow() {
-  if (!state.currentGraph || state.mode !== 'edit') {
-    return;
-  }
+    beginObject(contentNumber);
+    push(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+  });
 
-  const edge = findEdge(state.selectedEdgeId);
-  if (!edge) {
-    await showAlert('Select a choice to delete.');
-    return;
+  const objectCount = 3 + pages.length * 3;
+  const xrefOffset = length;
+  push(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let number = 1; number < objectCount; number += 1) {
+    push(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
   }
+  push(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
 
-  const button = findButtonForEdge(edge);
-  const label = button?.text || 'this choice';
+  const output = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, position);
+    position += chunk.length;
+  });
+  return output;
+}
 
-  const yes = await showConfirm({
-    message: ['Delete choice "', label, '"?'].join(''),
-    title: 'Delete Choice',
-    okText: 'Delete'
+async function exportGraphAsPdf(graph) {
+  const paperId = await showSelect({
+    title: 'Export PDF',
+    message: 'Choose paper size (large graphs are split across pages):',
+    okText: 'Export',
+    defaultValue: 'a4',
+    options: Object.entries(PDF_PAPER_SIZES).map(([value, paper]) => ({ value, label: paper.label }))
   });
 
-  if (!yes) {
+  if (!paperId) {
     return;
   }
 
-  const source = findNode(edge.from);
-  if (source) {
-    source.buttons = source.buttons.filter((item) => item.id !== edge.buttonId);
+  const { canvas, pixelScale, width, height } = await renderGraphCanvas(graph, PDF_RASTER_SCALE, '#ffffff');
+  const paper = PDF_PAPER_SIZES[paperId];
+  const landscape = width > height;
+  const pageWidth = landscape ? paper.height : paper.width;
+  const pageHeight = landscape ? paper.width : paper.height;
+  const printableWidth = pageWidth - PDF_PAGE_MARGIN * 2;
+  const printableHeight = pageHeight - PDF_PAGE_MARGIN * 2;
+
+  // Graph pixels are printed at 96 dpi; each page shows one tile of that size.
+  const tileWidth = printableWidth / PDF_POINTS_PER_PIXEL;
+  const tileHeight = printableHeight / PDF_POINTS_PER_PIXEL;
+  const columns = Math.max(1, Math.ceil(width / tileWidth));
+  const rows = Math.max(1, Math.ceil(height / tileHeight));
+  const tileCanvas = document.createElement('canvas');
+  const tileContext = tileCanvas.getContext('2d');
+  const pages = [];
+
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      const sourceX = column * tileWidth;
+      const sourceY = row * tileHeight;
+      const sliceWidth = Math.min(tileWidth, width - sourceX);
+      const sliceHeight = Math.min(tileHeight, height - sourceY);
+
+      tileCanvas.width = Math.max(1, Math.round(sliceWidth * pixelScale));
+      tileCanvas.height = Math.max(1, Math.round(sliceHeight * pixelScale));
+      tileContext.fillStyle = '#ffffff';
+      tileContext.fillRect(0, 0, tileCanvas.width, tileCanvas.height);
+      tileContext.drawImage(
+        canvas,
+        sourceX * pixelScale,
+        sourceY * pixelScale,
+        tileCanvas.width,
+        tileCanvas.height,
+        0,
+        0,
+        tileCanvas.width,
+        tileCanvas.height
+      );
+
+      const drawWidth = sliceWidth * PDF_POINTS_PER_PIXEL;
+      const drawHeight = sliceHeight * PDF_POINTS_PER_PIXEL;
+      pages.push({
+        jpeg: await canvasToBytes(tileCanvas, 'image/jpeg', 0.92),
+        imageWidth: tileCanvas.width,
+        imageHeight: tileCanvas.height,
+        drawWidth,
+        drawHeight,
+        x: PDF_PAGE_MARGIN,
+        y: pageHeight - PDF_PAGE_MARGIN - drawHeight
+      });
+    }
   }
 
-  state.currentGraph.edges = state.currentGraph.edges.filter((item) => item.id !== edge.id);
-  setSelectedEdge(null);
-
-  enforceGraphConsistency(state.currentGraph);
-  renderGraph();
-  scheduleAutosave();
-  setStatus('Choice deleted.');
-}
+  const exported = await exportBinaryFile(
+    'Export Graph PDF',
+    `${sanitizeFileName(graph.name)}.pdf`,
+    { name: 'PDF', extensions: ['pdf'] },
+    buildPdfDocument(pages, pageWidth, pageHeight)
+  );
 
-function ensureActivePathSeed() {
-  if (!state.currentGraph) {
+  if (!exported) {
     return;
   }
 
-  getActiveSelections(state.currentGraph);
-  rebuildActivePathFromSelections(state.currentGraph);
+  setStatus(`Graph exported as PDF (${pages.length} ${pages.length === 1 ? 'page' : 'pages'}, ${paper.label}).`);
+}
 
-  if (state.currentGraph.ui.activePath.length === 0 && state.currentGraph.nodes.length > 0) {
-    state.currentGraph.ui.activePath = [state.currentGraph.nodes[0].id];
-  }
+function runInteractiveGraphPlayer() {
+  const graph = JSON.parse(document.getElementById('knotenwerk-graph').textContent);
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const edgeById = new Map(graph.edges.map((edge) => [edge.id, edge]));
+  const rootNodeId = nodeById.has(graph.rootNodeId) ? graph.rootNodeId : graph.nodes[0]?.id;
+  const statusEl = document.getElementById('kw-status');
+  let selections = {};
+  let lastEdgeId = null;
+  let availability = new Map();
+
+  const hasTarget = (edge) => Boolean(edge && typeof edge.to === 'string' && nodeById.has(edge.to));
+
+  const conditionsMet = (conditions, values) =>
+    (conditions || []).every((condition) => {
+      const current = values[condition.variable] ?? '';
+      return condition.operator === '!=' ? current !== condition.value : current === condition.value;
+    });
 
-  if (
-    state.lastChosenEdgeId &&
-    !state.currentGraph.ui.activePath.includes(state.lastChosenEdgeId)
-  ) {
-    state.lastChosenEdgeId = null;
-  }
+  const getAvailability = (edge, values) => {
+    const button = nodeById.get(edge.from).buttons.find((item) => item.id === edge.buttonId);
+    const failed = [button, nodeById.get(edge.to)].filter(
+      (item) => item?.conditions?.length > 0 && !conditionsMet(item.conditions, values)
+    );
+    if (failed.length === 0) {
+      return 'available';
+    }
+    return failed.some((item) => item.conditionMode === 'hide') ? 'hidden' : 'disabled';
+  };
 
-  if (
-    state.lastChosenNodeId &&
-    !state.currentGraph.ui.activePath.includes(state.lastChosenNodeId)
-  ) {
-    state.lastChosenNodeId = null;
-  }
-}
+  const computePath = () => {
+    const nodeIds = new Set();
+    const edgeIds = new Set();
+    const values = { ...graph.variables };
+    const valuesByNode = new Map();
 
-function applyTypedEdgeSelection(edgeId) {
-  if (!state.currentGraph) {
-    return null;
-  }
+    const walk = (nodeId, stack) => {
+      const node = nodeById.get(nodeId);
+      if (!node) {
+        return;
+      }
 
-  const edge = findEdge(edgeId);
-  if (!edge || !edgeHasTarget(edge)) {
-    return null;
-  }
+      nodeIds.add(nodeId);
+      if (!valuesByNode.has(nodeId)) {
+        valuesByNode.set(nodeId, { ...values });
+      }
+      if (stack.has(nodeId)) {
+        return;
+      }
 
-  const sourceNode = findNode(edge.from);
-  if (!sourceNode) {
-    return null;
-  }
+      const nextStack = new Set(stack);
+      nextStack.add(nodeId);
+      const selected = selections[nodeId] || [];
+      const connected = graph.edges.filter(
+        (edge) => edge.from === nodeId && hasTarget(edge) && getAvailability(edge, values) === 'available'
+      );
+      const followed =
+        node.type === 'and'
+          ? connected
+          : node.type === 'info' || node.type === 'ref'
+            ? connected.slice(0, 1)
+            : (node.type === 'or' ? selected : node.type === 'xor' ? selected.slice(0, 1) : [])
+                .map((edgeId) => edgeById.get(edgeId))
+                .filter((edge) => connected.includes(edge));
+      followed.forEach((edge) => {
+        edgeIds.add(edge.id);
+        node.buttons
+          .find((item) => item.id === edge.buttonId)
+          ?.effects?.forEach((effect) => {
+            values[effect.variable] = effect.value;
+          });
+        walk(edge.to, nextStack);
+      });
+    };
 
-  const sourceNodeType = normalizeNodeType(sourceNode.type);
-  const selections = getActiveSelections(state.currentGraph);
-  const currentSelection = Array.isArray(selections[sourceNode.id])
-    ? Array.from(
-        new Set(selections[sourceNode.id].filter((id) => typeof id === 'string' && id.length > 0))
-      )
-    : [];
-  let edgeIsSelected = true;
+    if (rootNodeId) {
+      walk(rootNodeId, new Set());
+    }
 
-  if (sourceNodeType === 'or') {
-    if (currentSelection.includes(edge.id)) {
-      const nextSelection = currentSelection.filter((id) => id !== edge.id);
-      if (nextSelection.length > 0) {
-        selections[sourceNode.id] = nextSelection;
+    Object.keys(selections).forEach((nodeId) => {
+      const kept = nodeIds.has(nodeId) ? selections[nodeId].filter((id) => edgeIds.has(id)) : [];
+      if (kept.length > 0) {
+        selections[nodeId] = kept;
       } else {
-        delete selections[sourceNode.id];
+        delete selections[nodeId];
       }
-      edgeIsSelected = false;
-    } else {
-      currentSelection.push(edge.id);
-      selections[sourceNode.id] = currentSelection;
-      edgeIsSelected = true;
+    });
+
+    availability = new Map(
+      graph.edges
+        .filter(hasTarget)
+        .map((edge) => [edge.id, getAvailability(edge, valuesByNode.get(edge.from) || values)])
+    );
+    return { nodeIds, edgeIds };
+  };
+
+  const choose = (edgeId) => {
+    const edge = edgeById.get(edgeId);
+    const source = edge ? nodeById.get(edge.from) : null;
+    if (
+      !source ||
+      !hasTarget(edge) ||
+      availability.get(edgeId) !== 'available' ||
+      (source.type !== 'or' && source.type !== 'xor')
+    ) {
+      return;
     }
-  } else {
-    if (currentSelection.length === 1 && currentSelection[0] === edge.id) {
-      delete selections[sourceNode.id];
-      edgeIsSelected = false;
+
+    const current = selections[source.id] || [];
+    let selected = true;
+
+    if (source.type === 'or') {
+      if (current.includes(edgeId)) {
+        selections[source.id] = current.filter((id) => id !== edgeId);
+        selected = false;
+      } else {
+        selections[source.id] = [...current, edgeId];
+      }
+    } else if (current.length === 1 && current[0] === edgeId) {
+      delete selections[source.id];
+      selected = false;
     } else {
-      selections[sourceNode.id] = [edge.id];
-      edgeIsSelected = true;
+      selections[source.id] = [edgeId];
     }
-  }
 
-  rebuildActivePathFromSelections(state.currentGraph);
-  if (edgeIsSelected) {
-    state.lastChosenEdgeId = edge.id;
-    state.lastChosenNodeId = edge.to;
-  } else {
-    if (state.lastChosenEdgeId === edge.id) {
-      state.lastChosenEdgeId = null;
-    }
-    if (state.lastChosenNodeId === edge.to) {
-      state.lastChosenNodeId = null;
-    }
-  }
+    lastEdgeId = selected ? edgeId : lastEdgeId === edgeId ? null : lastEdgeId;
+    render();
+  };
 
-  if (
-    state.lastChosenEdgeId &&
-    !state.currentGraph.ui.activePath.includes(state.lastChosenEdgeId)
-  ) {
-    state.lastChosenEdgeId = null;
-  }
-  if (
-    state.lastChosenNodeId &&
-    !state.currentGraph.ui.activePath.includes(state.lastChosenNodeId)
-  ) {
-    state.lastChosenNodeId = null;
-  }
+  const render = () => {
+    const path = computePath();
+    if (lastEdgeId && !path.edgeIds.has(lastEdgeId)) {
+      lastEdgeId = null;
+    }
 
-  return { edge, sourceNodeType, edgeIsSelected };
-}
+    const currentNodeId = lastEdgeId ? edgeById.get(lastEdgeId).to : rootNodeId;
 
-function followChoice(edgeId) {
-  if (!state.currentGraph || state.mode !== 'view') {
-    return;
-  }
+    document.querySelectorAll('.kw-node').forEach((nodeEl) => {
+      const nodeId = nodeEl.getAttribute('data-node-id');
+      nodeEl.classList.toggle('is-path', path.nodeIds.has(nodeId));
+      nodeEl.classList.toggle('is-current', nodeId === currentNodeId);
+    });
 
-  const selection = applyTypedEdgeSelection(edgeId);
-  if (!selection) {
-    return;
-  }
+    document.querySelectorAll('.kw-edge').forEach((edgeEl) => {
+      const edgeId = edgeEl.getAttribute('data-edge-id');
+      const variant = edgeId === lastEdgeId ? 'active' : path.edgeIds.has(edgeId) ? 'path' : 'default';
+      edgeEl.classList.toggle('is-path', variant === 'path');
+      edgeEl.classList.toggle('is-active', variant === 'active');
+      edgeEl.classList.toggle('is-hidden', availability.get(edgeId) === 'hidden');
+      edgeEl.setAttribute('marker-start', `url(#edge-start-${variant})`);
+      edgeEl.setAttribute('marker-end', `url(#arrow-head-${variant})`);
+    });
 
-  renderGraph();
+    document.querySelectorAll('.kw-choice').forEach((choiceEl) => {
+      const edge = edgeById.get(choiceEl.getAttribute('data-edge-id'));
+      choiceEl.classList.toggle('is-active', Boolean(edge && path.edgeIds.has(edge.id)));
+      choiceEl.classList.toggle('is-disabled', !hasTarget(edge) || availability.get(edge.id) === 'disabled');
+      choiceEl.classList.toggle('is-hidden', availability.get(edge?.id) === 'hidden');
+    });
 
-  const button = findButtonForEdge(selection.edge);
-  const label = button ? button.text : 'Choice';
-  if (selection.edgeIsSelected) {
-    setStatus(`Gewählt (${selection.sourceNodeType.toUpperCase()}): ${label}`);
-  } else {
-    setStatus(`Abgewählt (${selection.sourceNodeType.toUpperCase()}): ${label}`);
-  }
-}
+    const current = nodeById.get(currentNodeId);
+    statusEl.textContent = current ? `Current: ${current.text}` : 'Empty graph.';
+  };
 
-function clearActivePath() {
-  if (!state.currentGraph) {
-    return;
-  }
+  document.addEventListener('click', (event) => {
+    const choiceEl = event.target.closest('.kw-choice');
+    if (choiceEl) {
+      choose(choiceEl.getAttribute('data-edge-id'));
+    }
+  });
 
-  state.currentGraph.ui.activeSelections = {};
-  state.currentGraph.ui.activePath = [];
-  state.lastChosenEdgeId = null;
-  state.lastChosenNodeId = null;
+  document.getElementById('kw-reset').addEventListener('click', () => {
+    selections = {};
+    lastEdgeId = null;
+    render();
+  });
 
-  if (state.mode === 'view') {
-    ensureActivePathSeed();
-  }
+  render();
+}
 
-  renderGraph();
-  setStatus('Path cleared.');
+function buildInteractiveHtml(graph) {
+  const svg = buildGraphPictureSvg(graph, { plain: true }).replace(/^<\?xml[^>]*>\s*/, '');
+  const payload = JSON.stringify({
+    name: graph.name,
+    rootNodeId: getRootNodeId(graph),
+    variables: graph.variables || {},
+    nodes: graph.nodes.map((node) => ({
+      id: node.id,
+      text: node.text,
+      type: node.type,
+      conditions: node.conditions,
+      conditionMode: node.conditionMode,
+      buttons: node.buttons.map((button) => ({
+        id: button.id,
+        conditions: button.conditions,
+        conditionMode: button.conditionMode,
+        effects: button.effects
+      }))
+    })),
+    edges: graph.edges.map((edge) => ({ id: edge.id, from: edge.from, to: edge.to, buttonId: edge.buttonId }))
+  }).replace(/</g, '\\u003c');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeXml(graph.name)} - KnotenWerk</title>
+<style>
+  body { margin: 0; background: #b5b5b5; font-family: Tahoma, Arial, sans-serif; font-size: 12px; }
+  .kw-bar { position: sticky; top: 0; display: flex; gap: 10px; align-items: center; padding: 6px 10px; background: linear-gradient(90deg, #000080, #0a4dbb); color: #ffffff; }
+  .kw-bar strong { font-size: 13px; }
+  .kw-bar button { font: inherit; padding: 2px 10px; background: #c0c0c0; border: 2px outset #ffffff; cursor: pointer; }
+  .kw-canvas { overflow: auto; }
+  .kw-canvas svg { display: block; }
+  .kw-choice { cursor: pointer; }
+  .kw-choice.is-disabled { cursor: default; opacity: 0.6; }
+  .kw-choice.is-hidden { display: none; }
+  .kw-edge.is-hidden { opacity: 0.2; }
+  .kw-choice.is-active rect { fill: #0a4dbb; }
+  .kw-choice.is-active text { fill: #ffffff; }
+  .kw-edge.is-path { stroke: #46763d; }
+  .kw-edge.is-active { stroke: #0a4dbb; stroke-width: 3; }
+  .kw-node.is-path .kw-node__frame { stroke: #46763d; stroke-width: 4; }
+  .kw-node.is-current .kw-node__frame { stroke: #0a4dbb; stroke-width: 5; }
+  .kw-node.is-current .kw-node__title { fill: #0a4dbb; }
+  .kw-node.is-current .kw-node__title-text { fill: #ffffff; }
+</style>
+</head>
+<body>
+<div class="kw-bar"><strong>${escapeXml(graph.name)}</strong><button id="kw-reset" type="button">Restart</button><span id="kw-status"></span></div>
+<div class="kw-canvas">
+${svg}
+</div>
+<script type="application/json" id="knotenwerk-graph">${payload}</script>
+<script>(${runInteractiveGraphPlayer.toString()})();</script>
+</body>
+</html>
+`;
 }
 
-async function createNewGraphFlow() {
-  const name = await showPrompt({
-    title: 'New Graph',
-    message: 'Graph name:',
-    defaultValue: 'New Graph',
-    okText: 'Create'
+async function exportGraphAsInteractiveHtml(graph) {
+  const exported = await invoke('export_text_file', {
+    title: 'Export Interactive HTML',
+    defaultPath: `${sanitizeFileName(graph.name)}.html`,
+    filters: [{ name: 'HTML', extensions: ['html'] }],
+    contents: buildInteractiveHtml(graph)
   });
 
-  if (name === null) {
+  if (!exported) {
     return;
   }
 
-  const graph = createGraph(name.trim() || 'New Graph');
+  setStatus('Graph exported as interactive HTML.');
+}
 
-  try {
-    await persistGraph(graph);
-    upsertGraphSummary(graph);
-    renderGraphList();
-    await loadGraphById(graph.id);
-    setStatus('Graph created.');
-  } catch (error) {
-    console.error('Create graph failed:', error);
-    await showAlert('Could not create graph file.');
-  }
+function escapeMermaidText(value) {
+  return String(value ?? '')
+    .replace(/#/g, '#35;')
+    .replace(/"/g, '#quot;')
+    .replace(/\|/g, '#124;')
+    .replace(/\r?\n/g, ' ');
 }
 
-async function renameCurrentGraphFlow() {
-  if (!state.currentGraph) {
-    return;
-  }
+function unescapeMermaidText(value) {
+  return String(value ?? '')
+    .replace(/&quot;/g, '"')
+    .replace(/#(quot|\d+);/g, (match, code) => (code === 'quot' ? '"' : String.fromCharCode(Number(code))))
+    .replace(/<br\s*\/?>/gi, ' ')
+    .trim();
+}
 
-  const nextName = await showPrompt({
-    title: 'Rename Graph',
-    message: 'New name:',
-    defaultValue: state.currentGraph.name,
-    okText: 'Rename'
+function buildMermaidFlowchart(graph) {
+  const rootNodeId = getRootNodeId(graph);
+  const orderedNodes = [
+    ...graph.nodes.filter((node) => node.id === rootNodeId),
+    ...graph.nodes.filter((node) => node.id !== rootNodeId)
+  ];
+  const mermaidIds = new Map(orderedNodes.map((node, index) => [node.id, `n${index + 1}`]));
+  const lines = ['---', `title: "${escapeMermaidText(graph.name)}"`, '---', 'flowchart TD'];
+
+  orderedNodes.forEach((node) => {
+    const text = `"${escapeMermaidText(node.text)}"`;
+    const [open, close] = MERMAID_NODE_TYPE_SHAPES[normalizeNodeType(node.type)];
+    const shape = `${open}${text}${close}`;
+    lines.push(`  ${mermaidIds.get(node.id)}${shape}`);
   });
 
-  if (nextName === null) {
-    return;
-  }
+  graph.edges.forEach((edge) => {
+    if (!edgeHasTarget(edge) || !mermaidIds.has(edge.to)) {
+      return;
+    }
 
-  state.currentGraph.name = nextName.trim() || 'Untitled Graph';
+    const label = escapeMermaidText(findButtonForEdge(edge)?.text || 'Choice');
+    lines.push(`  ${mermaidIds.get(edge.from)} -->|"${label}"| ${mermaidIds.get(edge.to)}`);
+  });
 
-  try {
-    await persistGraph(state.currentGraph);
-    upsertGraphSummary(state.currentGraph);
-    renderGraph();
-    setStatus('Graph renamed.');
-  } catch (error) {
-    console.error('Rename failed:', error);
-    await showAlert('Rename failed while saving file.');
-  }
+  const classByColor = new Map();
+  orderedNodes.forEach((node) => {
+    const color = normalizeHexColor(node.color);
+    if (!color) {
+      return;
+    }
+
+    const className = `color_${color.slice(1)}`;
+    if (!classByColor.has(className)) {
+      classByColor.set(className, { color, nodeIds: [] });
+    }
+    classByColor.get(className).nodeIds.push(mermaidIds.get(node.id));
+  });
+
+  classByColor.forEach(({ color, nodeIds }, className) => {
+    lines.push(`  classDef ${className} fill:${color},color:${getReadableTextColor(color)}`);
+    lines.push(`  class ${nodeIds.join(',')} ${className}`);
+  });
+
+  return `${lines.join('\n')}\n`;
 }
 
-async function duplicateCurrentGraphFlow() {
-  if (!state.currentGraph) {
+async function exportGraphAsMermaid(graph) {
+  const exported = await invoke('export_text_file', {
+    title: 'Export Mermaid Flowchart',
+    defaultPath: `${sanitizeFileName(graph.name)}.mmd`,
+    filters: [{ name: 'Mermaid', extensions: ['mmd', 'md'] }],
+    contents: buildMermaidFlowchart(graph)
+  });
+
+  if (!exported) {
     return;
   }
 
-  const defaultName = `${state.currentGraph.name} Copy`;
-  const nextName = await showPrompt({
-    title: 'Duplicate Graph',
-    message: 'New graph name:',
-    defaultValue: defaultName,
-    okText: 'Duplicate'
-  });
+  setStatus('Graph exported as Mermaid flowchart.');
+}
 
-  if (nextName === null) {
-    return;
+const MERMAID_NODE_TYPE_SHAPES = {
+  xor: ['{', '}'],
+  or: ['{{', '}}'],
+  and: ['[[', ']]'],
+  info: ['[/', '/]'],
+  outcome: ['([', '])'],
+  ref: ['>', ']']
+};
+
+const MERMAID_SHAPES = [
+  ['([', '])'],
+  ['[[', ']]'],
+  ['[(', ')]'],
+  ['((', '))'],
+  ['{{', '}}'],
+  ['[/', '/]'],
+  ['[/', '\\]'],
+  ['[\\', '\\]'],
+  ['[\\', '/]'],
+  ['>', ']'],
+  ['[', ']'],
+  ['(', ')'],
+  ['{', '}']
+];
+
+const MERMAID_EDGE_PATTERNS = [
+  /^\s*<?(?:-{2,}|={2,}|-\.+-)(?:>|[ox](?!\w))?\s*\|("[^"]*"|[^|]*)\|\s*/,
+  /^\s*(?:--(?![->])|==(?![=>])|-\.(?![.-]))\s*(.+?)\s*(?:-{2,}|={2,}|\.+-)(?:>|[ox](?!\w))?\s*/,
+  /^\s*<?(?:-{2,}|={2,}|-\.+-)(?:>|[ox](?!\w))?\s*/,
+  /^\s*~~~\s*/
+];
+
+function parseMermaidNodeRef(text, startIndex) {
+  const idMatch = text.slice(startIndex).match(/^\s*([A-Za-z0-9_]+)/);
+  if (!idMatch) {
+    return null;
   }
 
-  const duplicatePayload = JSON.parse(JSON.stringify(state.currentGraph));
-  const createdAt = nowISO();
+  let index = startIndex + idMatch[0].length;
+  const ref = { id: idMatch[1], label: null, shape: null, classNames: [] };
 
-  duplicatePayload.id = await generateUniqueGraphId();
-  duplicatePayload.name = nextName.trim() || defaultName;
-  duplicatePayload.version = GRAPH_VERSION;
-  duplicatePayload.createdAt = createdAt;
-  duplicatePayload.updatedAt = createdAt;
+  for (const [open, close] of MERMAID_SHAPES) {
+    if (!text.startsWith(open, index)) {
+      continue;
+    }
 
-  try {
-    const duplicatedGraph = normalizeGraph(duplicatePayload, 'duplicate graph');
-    duplicatedGraph.id = duplicatePayload.id;
-    duplicatedGraph.name = duplicatePayload.name;
-    duplicatedGraph.createdAt = createdAt;
-    duplicatedGraph.updatedAt = createdAt;
+    const labelStart = index + open.length;
+    let labelEnd = -1;
+    if (text[labelStart] === '"') {
+      const quoteEnd = text.indexOf('"', labelStart + 1);
+      if (quoteEnd >= 0 && text.startsWith(close, quoteEnd + 1)) {
+        ref.label = text.slice(labelStart + 1, quoteEnd);
+        labelEnd = quoteEnd + 1;
+      }
+    } else {
+      labelEnd = text.indexOf(close, labelStart);
+      if (labelEnd >= 0) {
+        ref.label = text.slice(labelStart, labelEnd);
+      }
+    }
 
-    await persistGraph(duplicatedGraph);
-    upsertGraphSummary(duplicatedGraph);
-    renderGraphList();
-    await loadGraphById(duplicatedGraph.id);
-    setStatus('Graph duplicated.');
-  } catch (error) {
-    console.error('Duplicate failed:', error);
-    await showAlert('Could not duplicate graph file.');
+    if (labelEnd < 0) {
+      continue;
+    }
+
+    ref.shape = open;
+    index = labelEnd + close.length;
+    break;
   }
-}
 
-async function deleteCurrentGraphFlow() {
-  if (!state.currentGraph) {
-    return;
+  let classMatch = text.slice(index).match(/^:::([A-Za-z0-9_-]+)/);
+  while (classMatch) {
+    ref.classNames.push(classMatch[1]);
+    index += classMatch[0].length;
+    classMatch = text.slice(index).match(/^:::([A-Za-z0-9_-]+)/);
   }
 
-  const yes = await showConfirm({
-    message: ['Delete graph "', state.currentGraph.name, '"?'].join(''),
-    title: 'Delete Graph',
-    okText: 'Delete'
-  });
+  return { ref, next: index };
+}
 
-  if (!yes) {
-    return;
+function parseMermaidNodeGroup(text, startIndex) {
+  const refs = [];
+  let parsed = parseMermaidNodeRef(text, startIndex);
+  if (!parsed) {
+    return null;
   }
 
-  const graphId = state.currentGraph.id;
+  refs.push(parsed.ref);
+  let index = parsed.next;
 
-  try {
-    await invoke('delete_graph_file', { graphId });
-  } catch (error) {
-    console.warn('Delete main graph file failed:', error);
+  let ampersand = text.slice(index).match(/^\s*&\s*/);
+  while (ampersand) {
+    parsed = parseMermaidNodeRef(text, index + ampersand[0].length);
+    if (!parsed) {
+      break;
+    }
+    refs.push(parsed.ref);
+    index = parsed.next;
+    ampersand = text.slice(index).match(/^\s*&\s*/);
   }
 
-  state.graphSummaries = state.graphSummaries.filter((item) => item.id !== graphId);
+  return { refs, next: index };
+}
+
+function splitMermaidStatements(line) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
 
-  if (state.graphSummaries.length > 0) {
-    await loadGraphFromSummary(state.graphSummaries[0]);
-  } else {
-    const fresh = createGraph('New Graph');
-    await persistGraph(fresh);
-    state.graphSummaries = [];
-    upsertGraphSummary(fresh);
-    await loadGraphById(fresh.id);
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    }
+
+    if (char === ';' && !inQuotes && !/#\w+$/.test(current)) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
   }
 
-  renderGraphList();
-  setStatus('Graph deleted.');
+  parts.push(current);
+  return parts;
 }
 
-async function exportCurrentGraph() {
-  if (!state.currentGraph) {
-    return;
-  }
+function parseMermaidFlowchart(source) {
+  const lines = String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+  const nodesByMermaidId = new Map();
+  const links = [];
+  const classFills = new Map();
+  const nodeClasses = new Map();
+  const styleFills = new Map();
+  let name = 'Imported Mermaid Graph';
+  let direction = 'TB';
+  let hasHeader = false;
+  let inFrontMatter = false;
+
+  const touchNode = (ref) => {
+    let node = nodesByMermaidId.get(ref.id);
+    if (!node) {
+      node = { mermaidId: ref.id, text: ref.id, type: DEFAULT_NODE_TYPE };
+      nodesByMermaidId.set(ref.id, node);
+    }
 
-  enforceGraphConsistency(state.currentGraph);
+    if (ref.label !== null) {
+      node.text = unescapeMermaidText(ref.label) || ref.id;
+      node.type =
+        Object.keys(MERMAID_NODE_TYPE_SHAPES).find(
+          (type) => type !== DEFAULT_NODE_TYPE && MERMAID_NODE_TYPE_SHAPES[type][0] === ref.shape
+        ) || DEFAULT_NODE_TYPE;
+    }
 
-  try {
-    const exportType = await showSelect({
-      title: 'Export Graph',
-      message: 'Choose export format:',
-      okText: 'Export',
-      defaultValue: 'json',
-      options: [
-        { value: 'json', label: 'JSON' },
-        { value: 'picture', label: 'Picture (SVG)' },
-        { value: 'markdown-todo', label: 'Markdown Todo' }
-      ]
+    ref.classNames.forEach((className) => {
+      nodeClasses.set(ref.id, className);
     });
 
-    if (!exportType) {
+    return node;
+  };
+
+  const statements = [];
+  lines.forEach((rawLine, lineIndex) => {
+    const line = rawLine.trim();
+    if (lineIndex === 0 && line === '---') {
+      inFrontMatter = true;
       return;
     }
 
-    if (exportType === 'json') {
-      await exportGraphAsJson(state.currentGraph);
+    if (inFrontMatter) {
+      if (line === '---') {
+        inFrontMatter = false;
+      } else {
+        const titleMatch = line.match(/^title:\s*(.+)$/);
+        if (titleMatch) {
+          name = unescapeMermaidText(titleMatch[1].replace(/^["']|["']$/g, '')) || name;
+        }
+      }
       return;
     }
 
-    if (exportType === 'picture') {
-      await exportGraphAsPicture(state.currentGraph);
+    splitMermaidStatements(line)
+      .map((part) => part.trim())
+      .filter((part) => part && !part.startsWith('%%') && part !== '```' && part !== '```mermaid')
+      .forEach((part) => statements.push(part));
+  });
+
+  statements.forEach((statement) => {
+    const header = statement.match(/^(?:flowchart|graph)\b\s*(TB|TD|BT|RL|LR)?/i);
+    if (header) {
+      hasHeader = true;
+      direction = (header[1] || 'TB').toUpperCase();
       return;
     }
 
-    if (exportType === 'markdown-todo') {
-      await exportGraphAsMarkdownTodo(state.currentGraph);
+    if (/^(subgraph\b|end$|direction\b|click\b|linkStyle\b)/.test(statement)) {
       return;
     }
-  } catch (error) {
-    console.error('Export failed:', error);
-    await showAlert('Export failed.');
-  }
-}
 
-async function exportGraphAsJson(graph) {
-  const exported = await invoke('export_text_file', {
-    title: 'Export Graph JSON',
-    defaultPath: `${sanitizeFileName(graph.name)}.json`,
-    filters: [{ name: 'JSON', extensions: ['json'] }],
-    contents: JSON.stringify(graph, null, 2)
-  });
+    const classDef = statement.match(/^classDef\s+([\w,-]+)\s+(.+)$/);
+    if (classDef) {
+      const fill = classDef[2].match(/fill\s*:\s*(#[0-9a-fA-F]{3,6})\b/);
+      classDef[1].split(',').forEach((className) => {
+        if (fill) {
+          classFills.set(className.trim(), fill[1]);
+        }
+      });
+      return;
+    }
 
-  if (!exported) {
-    return;
-  }
+    const classAssign = statement.match(/^class\s+([\w,\s]+?)\s+([\w-]+)$/);
+    if (classAssign) {
+      classAssign[1].split(',').forEach((id) => nodeClasses.set(id.trim(), classAssign[2]));
+      return;
+    }
 
-  setStatus('Graph exported as JSON.');
-}
+    const style = statement.match(/^style\s+(\w+)\s+(.+)$/);
+    if (style) {
+      const fill = style[2].match(/fill\s*:\s*(#[0-9a-fA-F]{3,6})\b/);
+      if (fill) {
+        styleFills.set(style[1], fill[1]);
+      }
+      return;
+    }
 
-function collectActiveEndNodes(graph) {
-  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
-  const edgeById = new Map(graph.edges.map((edge) => [edge.id, edge]));
-  const selections = getActiveSelections(graph);
+    let group = parseMermaidNodeGroup(statement, 0);
+    if (!group) {
+      return;
+    }
 
-  const orderedActiveNodeIds = [];
-  const activeNodeSeen = new Set();
+    let sources = group.refs.map(touchNode);
+    let index = group.next;
 
-  (graph.ui.activePath || []).forEach((entry) => {
-    if (!nodeById.has(entry) || activeNodeSeen.has(entry)) {
-      return;
+    while (index < statement.length) {
+      const rest = statement.slice(index);
+      let edgeMatch = null;
+      for (const pattern of MERMAID_EDGE_PATTERNS) {
+        edgeMatch = rest.match(pattern);
+        if (edgeMatch) {
+          break;
+        }
+      }
+
+      if (!edgeMatch) {
+        break;
+      }
+
+      group = parseMermaidNodeGroup(statement, index + edgeMatch[0].length);
+      if (!group) {
+        break;
+      }
+
+      const label = edgeMatch[1] !== undefined ? unescapeMermaidText(edgeMatch[1].replace(/^"|"$/g, '')) : '';
+      const targets = group.refs.map(touchNode);
+      sources.forEach((sourceNode) => {
+        targets.forEach((targetNode) => {
+          links.push({ from: sourceNode.mermaidId, to: targetNode.mermaidId, label });
+        });
+      });
+
+      sources = targets;
+      index = group.next;
     }
-    activeNodeSeen.add(entry);
-    orderedActiveNodeIds.push(entry);
   });
 
-  if (orderedActiveNodeIds.length === 0 && graph.nodes[0]) {
-    orderedActiveNodeIds.push(graph.nodes[0].id);
+  if (!hasHeader) {
+    throw new Error('No "flowchart" or "graph" declaration found.');
   }
 
-  return orderedActiveNodeIds
-    .filter((nodeId) => {
-      const chosenOutgoing = Array.isArray(selections[nodeId]) ? selections[nodeId] : [];
-      const hasActiveOutgoing = chosenOutgoing.some((edgeId) => {
-        const edge = edgeById.get(edgeId);
-        return Boolean(
-          edge && edge.from === nodeId && edgeHasTarget(edge) && nodeById.has(edge.to)
-        );
-      });
-      return !hasActiveOutgoing;
-    })
-    .map((nodeId) => nodeById.get(nodeId))
-    .filter(Boolean);
+  if (nodesByMermaidId.size === 0) {
+    throw new Error('The flowchart contains no nodes.');
+  }
+
+  const idByMermaidId = new Map();
+  const nodes = Array.from(nodesByMermaidId.values()).map((item) => {
+    const id = uid('n');
+    idByMermaidId.set(item.mermaidId, id);
+    const className = nodeClasses.get(item.mermaidId);
+    return {
+      id,
+      text: item.text,
+      type: item.type,
+      color: styleFills.get(item.mermaidId) || classFills.get(className) || null,
+      buttons: []
+    };
+  });
+
+  const edges = links
+    .filter((link) => link.from !== link.to)
+    .map((link) => {
+      const source = nodes.find((node) => node.id === idByMermaidId.get(link.from));
+      const buttonId = uid('b');
+      const edge = {
+        id: uid('e'),
+        from: source.id,
+        to: idByMermaidId.get(link.to),
+        buttonId
+      };
+      source.buttons.push({ id: buttonId, text: link.label || 'Choice', to: edge.to });
+      return edge;
+    });
+
+  const graph = normalizeGraph(
+    {
+      name,
+      version: GRAPH_VERSION,
+      rootNodeId: nodes[0].id,
+      nodes,
+      edges,
+      ui: {}
+    },
+    'imported Mermaid file'
+  );
+
+  applyNodePositions(graph, computeTidyLayout(graph, { direction, origin: { x: 140, y: 100 } }));
+  return graph;
 }
 
-function buildMarkdownTodo(graph) {
-  const dateStamp = formatDateStamp();
-  const endNodes = collectActiveEndNodes(graph);
-  const lines = [`# ${graph.name} - ${dateStamp}`, '', '## Todo'];
+function quoteDotString(value) {
+  return `"${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, '\\n')}"`;
+}
 
-  if (endNodes.length === 0) {
-    lines.push('- [ ] (No active end nodes)');
-    return lines.join('\n');
-  }
+function buildDotGraph(graph) {
+  const rootNodeId = getRootNodeId(graph);
+  const orderedNodes = [
+    ...graph.nodes.filter((node) => node.id === rootNodeId),
+    ...graph.nodes.filter((node) => node.id !== rootNodeId)
+  ];
+  const dotIds = new Map(orderedNodes.map((node, index) => [node.id, `n${index + 1}`]));
+  const lines = [
+    `digraph ${quoteDotString(graph.name)} {`,
+    `  graph [label=${quoteDotString(graph.name)}, rankdir=TB];`,
+    '  node [shape=box, style=filled, fontname="Tahoma"];',
+    '  edge [fontname="Tahoma"];'
+  ];
 
-  endNodes.forEach((node) => {
-    lines.push(`- [ ] ${node.text || node.id}`);
+  orderedNodes.forEach((node) => {
+    const attributes = [
+      `label=${quoteDotString(node.text)}`,
+      `knotenwerk_type=${quoteDotString(node.type)}`,
+      ...(node.type === 'ref' && node.refGraphId ? [`knotenwerk_ref=${quoteDotString(node.refGraphId)}`] : []),
+      `pos=${quoteDotString(
+        `${node.x + DOT_NODE_ANCHOR.x},${-(node.y + DOT_NODE_ANCHOR.y)}!`
+      )}`
+    ];
+
+    if (node.color) {
+      attributes.push(`fillcolor=${quoteDotString(node.color)}`);
+    }
+    if (node.description) {
+      attributes.push(`tooltip=${quoteDotString(node.description)}`);
+    }
+    if (node.id === rootNodeId) {
+      attributes.push('knotenwerk_root="true"');
+    }
+
+    lines.push(`  ${dotIds.get(node.id)} [${attributes.join(', ')}];`);
   });
 
-  return lines.join('\n');
+  graph.edges.forEach((edge) => {
+    if (!edgeHasTarget(edge) || !dotIds.has(edge.to)) {
+      return;
+    }
+
+    const label = findButtonForEdge(edge)?.text || 'Choice';
+    lines.push(
+      `  ${dotIds.get(edge.from)} -> ${dotIds.get(edge.to)} [label=${quoteDotString(label)}];`
+    );
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
 }
 
-async function exportGraphAsMarkdownTodo(graph) {
-  const dateStamp = formatDateStamp();
+async function exportGraphAsDot(graph) {
   const exported = await invoke('export_text_file', {
-    title: 'Export Markdown Todo',
-    defaultPath: `${sanitizeFileName(graph.name)}_${dateStamp}.md`,
-    filters: [{ name: 'Markdown', extensions: ['md'] }],
-    contents: buildMarkdownTodo(graph)
+    title: 'Export Graphviz DOT',
+    defaultPath: `${sanitizeFileName(graph.name)}.dot`,
+    filters: [{ name: 'Graphviz DOT', extensions: ['dot', 'gv'] }],
+    contents: buildDotGraph(graph)
   });
 
   if (!exported) {
     return;
   }
 
-  setStatus('Graph exported as Markdown Todo.');
+  setStatus('Graph exported as Graphviz DOT.');
 }
 
-function buildGraphPictureSvg(graph) {
-  const context = getPathContext();
-  const showViewPath = state.mode === 'view';
-  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
-  const nodeSizes = new Map();
-
-  graph.nodes.forEach((node) => {
-    const nodeEl = state.nodeElements.get(node.id);
-    nodeSizes.set(node.id, {
-      width: Math.max(NODE_WIDTH, nodeEl?.offsetWidth || NODE_WIDTH),
-      height: Math.max(34, nodeEl?.offsetHeight || 44)
-    });
-  });
-
-  const bounds = {
-    minX: Number.POSITIVE_INFINITY,
-    minY: Number.POSITIVE_INFINITY,
-    maxX: Number.NEGATIVE_INFINITY,
-    maxY: Number.NEGATIVE_INFINITY
-  };
-
-  const pushBounds = (x, y) => {
-    bounds.minX = Math.min(bounds.minX, x);
-    bounds.minY = Math.min(bounds.minY, y);
-    bounds.maxX = Math.max(bounds.maxX, x);
-    bounds.maxY = Math.max(bounds.maxY, y);
-  };
+function tokenizeDot(source) {
+  const tokens = [];
+  const text = String(source || '');
+  let index = 0;
 
-  const edgeGeometries = [];
+  while (index < text.length) {
+    const char = text[index];
 
-  graph.edges.forEach((edge) => {
-    const sourceNode = nodeById.get(edge.from);
-    if (!sourceNode) {
-      return;
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
     }
 
-    const sourceSize = nodeSizes.get(sourceNode.id) || { width: NODE_WIDTH, height: 44 };
-    const sourceCenterX = sourceNode.x + sourceSize.width / 2;
-    const sourceCenterY = sourceNode.y + sourceSize.height / 2;
-    const targetNode = edgeHasTarget(edge) ? nodeById.get(edge.to) : null;
-    const targetSize = targetNode ? nodeSizes.get(targetNode.id) || { width: NODE_WIDTH, height: 44 } : null;
-    const isDangling = !targetNode;
-
-    let endX = 0;
-    let endY = 0;
-
-    if (isDangling) {
-      const danglingPoint = getDanglingEdgePoint(graph, sourceNode, edge);
-      endX = danglingPoint.x;
-      endY = danglingPoint.y;
-    } else {
-      endX = targetNode.x + targetSize.width / 2;
-      endY = targetNode.y + 1;
+    const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+    const isPreprocessorLine = char === '#' && !text.slice(lineStart, index).trim();
+    if (text.startsWith('//', index) || isPreprocessorLine) {
+      const lineEnd = text.indexOf('\n', index);
+      index = lineEnd < 0 ? text.length : lineEnd + 1;
+      continue;
     }
 
-    const startFromBottom = endY >= sourceCenterY;
-    const startX = sourceCenterX;
-    const startY = startFromBottom ? sourceNode.y + sourceSize.height : sourceNode.y;
-
-    const deltaX = endX - startX;
-    const deltaY = endY - startY;
-    const verticalBend = Math.max(54, Math.abs(deltaY) * 0.5);
-    const horizontalBend = deltaX * 0.35;
-    const c1x = startX + horizontalBend;
-    const c1y = startY + (startFromBottom ? verticalBend : -verticalBend);
-    const c2x = endX;
-    const c2y = endY - verticalBend;
-    const midpoint = cubicBezierPoint(
-      0.5,
-      { x: startX, y: startY },
-      { x: c1x, y: c1y },
-      { x: c2x, y: c2y },
-      { x: endX, y: endY }
-    );
-
-    const isEditSelected = state.mode === 'edit' && state.selectedEdgeId === edge.id;
-    const isLineSelected = isEditSelected && state.selectedEdgeSelectionSource === 'line';
-    const isSelectionActive = context.selectedEdgeSet.has(edge.id);
-    const isViewActive = showViewPath && context.activeEdgeId === edge.id;
-    const isStronglyActive = isSelectionActive || isViewActive;
-    const isPath = showViewPath && context.edgePathSet.has(edge.id);
+    if (text.startsWith('/*', index)) {
+      const commentEnd = text.indexOf('*/', index + 2);
+      index = commentEnd < 0 ? text.length : commentEnd + 2;
+      continue;
+    }
 
-    const markerVariant = isStronglyActive ? 'active' : isPath ? 'path' : 'default';
-    const stroke = isStronglyActive
-      ? '#0a4dbb'
-      : isPath
-        ? '#46763d'
-        : isLineSelected
-          ? '#2f2f2f'
-          : '#525252';
-    const dash = isLineSelected ? '9 6' : isDangling ? '8 6' : null;
-    const strokeWidth = isStronglyActive || isLineSelected ? 3 : 2;
-    const button = findButtonForEdge(edge);
-    const label = button?.text || 'Choice';
+    if (text.startsWith('->', index) || text.startsWith('--', index)) {
+      tokens.push({ type: 'edgeop', value: text.slice(index, index + 2) });
+      index += 2;
+      continue;
+    }
 
-    pushBounds(startX, startY);
-    pushBounds(c1x, c1y);
-    pushBounds(c2x, c2y);
-    pushBounds(endX, endY);
-    pushBounds(midpoint.x - 85, midpoint.y - 20);
-    pushBounds(midpoint.x + 85, midpoint.y + 20);
+    if ('{}[]=;,:'.includes(char)) {
+      tokens.push({ type: char, value: char });
+      index += 1;
+      continue;
+    }
 
-    edgeGeometries.push({
-      edgeId: edge.id,
-      startX,
-      startY,
-      c1x,
-      c1y,
-      c2x,
-      c2y,
-      endX,
-      endY,
-      midpoint,
-      markerVariant,
-      stroke,
-      dash,
-      strokeWidth,
-      label
-    });
-  });
+    if (char === '"') {
+      let value = '';
+      index += 1;
+      while (index < text.length && text[index] !== '"') {
+        if (text[index] === '\\' && index + 1 < text.length) {
+          const escaped = text[index + 1];
+          if (escaped === '"' || escaped === '\\') {
+            value += escaped;
+          } else if (escaped === 'n' || escaped === 'l' || escaped === 'r') {
+            value += '\n';
+          } else if (escaped !== '\n') {
+            value += `\\${escaped}`;
+          }
+          index += 2;
+          continue;
+        }
+        value += text[index];
+        index += 1;
+      }
+      index += 1;
+
+      let concatenated = text.slice(index).match(/^\s*\+\s*"/);
+      while (concatenated) {
+        index += concatenated[0].length;
+        while (index < text.length && text[index] !== '"') {
+          value += text[index];
+          index += 1;
+        }
+        index += 1;
+        concatenated = text.slice(index).match(/^\s*\+\s*"/);
+      }
 
-  graph.nodes.forEach((node) => {
-    const size = nodeSizes.get(node.id) || { width: NODE_WIDTH, height: 44 };
-    pushBounds(node.x, node.y);
-    pushBounds(node.x + size.width, node.y + size.height);
-  });
+      tokens.push({ type: 'id', value });
+      continue;
+    }
 
-  if (!Number.isFinite(bounds.minX)) {
-    bounds.minX = 0;
-    bounds.minY = 0;
-    bounds.maxX = 820;
-    bounds.maxY = 620;
-  }
+    if (char === '<') {
+      // HTML strings nest their tags; a bare `<b>x</b>` without the outer brackets is read to its end too.
+      let depth = 0;
+      let firstClose = -1;
+      const start = index;
+      while (index < text.length) {
+        if (text[index] === '<') {
+          depth += 1;
+        } else if (text[index] === '>') {
+          depth -= 1;
+        }
+        index += 1;
+        if (depth === 0) {
+          firstClose = firstClose < 0 ? index : firstClose;
+          if (!/^\s*</.test(text.slice(index)) && !/^(?!--|->)[^\s,;\]=<>{}]/.test(text.slice(index))) {
+            break;
+          }
+        }
+      }
+      const raw = text.slice(start, index);
+      tokens.push({ type: 'id', value: htmlLabelToText(firstClose === index ? raw.slice(1, -1) : raw) });
+      continue;
+    }
 
-  const padding = 80;
-  const width = Math.max(320, Math.ceil(bounds.maxX - bounds.minX + padding * 2));
-  const height = Math.max(220, Math.ceil(bounds.maxY - bounds.minY + padding * 2));
-  const offsetX = padding - bounds.minX;
-  const offsetY = padding - bounds.minY;
+    const word = text.slice(index).match(/^(?:-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/);
+    if (!word) {
+      throw new Error(`Unexpected character "${char}" in DOT source.`);
+    }
 
-  const edgesSvg = edgeGeometries
-    .map((geometry) => {
-      const pathD = [
-        'M',
-        geometry.startX + offsetX,
-        geometry.startY + offsetY,
-        'C',
-        geometry.c1x + offsetX,
-        geometry.c1y + offsetY,
-        ',',
-        geometry.c2x + offsetX,
-        geometry.c2y + offsetY,
-        ',',
-        geometry.endX + offsetX,
-        geometry.endY + offsetY
-      ].join(' ');
+    tokens.push({ type: 'id', value: word[0] });
+    index += word[0].length;
+  }
 
-      return `<path d="${pathD}" fill="none" stroke="${geometry.stroke}" stroke-width="${
-        geometry.strokeWidth
-      }"${geometry.dash ? ` stroke-dasharray="${geometry.dash}"` : ''} marker-start="url(#edge-start-${
-        geometry.markerVariant
-      })" marker-end="url(#arrow-head-${geometry.markerVariant})" />`;
-    })
+  return tokens;
+}
+
+function htmlLabelToText(value) {
+  return value
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(lt|gt|quot|apos|nbsp|amp|#\d+);/g, (match, entity) =>
+      entity.startsWith('#')
+        ? String.fromCharCode(Number(entity.slice(1)))
+        : { lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', amp: '&' }[entity]
+    )
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
     .join('\n');
+}
 
-  const labelsSvg = edgeGeometries
-    .map((geometry) => {
-      const labelText = geometry.label || 'Choice';
-      const labelWidth = clamp(labelText.length * 7 + 16, 44, 170);
-      const labelHeight = 24;
-      const x = geometry.midpoint.x + offsetX - labelWidth / 2;
-      const y = geometry.midpoint.y + offsetY - labelHeight / 2;
-      const isActive = context.selectedEdgeSet.has(geometry.edgeId) || (showViewPath && context.activeEdgeId === geometry.edgeId);
-      const fill = isActive ? '#0a4dbb' : '#d4d0c8';
-      const color = isActive ? '#ffffff' : '#000000';
+function parseDotColor(value) {
+  const raw = String(value || '')
+    .split(':')[0]
+    .split(';')[0]
+    .replace(/^\/x11\//i, '')
+    .trim()
+    .toLowerCase();
+  if (raw.startsWith('#')) {
+    return normalizeHexColor(raw.slice(0, 7));
+  }
+  return DOT_COLOR_NAMES[raw.replace(/\s+/g, '')] || null;
+}
 
-      return `<g>
-<rect x="${x}" y="${y}" width="${labelWidth}" height="${labelHeight}" fill="${fill}" stroke="#585858" stroke-width="1" />
-<text x="${x + labelWidth / 2}" y="${y + 16}" text-anchor="middle" font-family="Tahoma, Arial, sans-serif" font-size="12" font-weight="700" fill="${color}">${escapeXml(
-        labelText
-      )}</text>
-</g>`;
-    })
-    .join('\n');
+function parseDotGraph(source, warnings = []) {
+  const tokens = tokenizeDot(source);
+  const nodes = new Map();
+  const links = [];
+  let graphLabel = null;
+  let graphName = null;
+  let rankdir = 'TB';
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset] || null;
+  const isKeyword = (token, keyword) =>
+    token?.type === 'id' && token.value.toLowerCase() === keyword;
+  const expect = (type) => {
+    const token = tokens[position];
+    if (!token || token.type !== type) {
+      throw new Error(`Expected "${type}" in DOT source.`);
+    }
+    position += 1;
+    return token;
+  };
 
-  const nodesSvg = graph.nodes
-    .map((node) => {
-      const size = nodeSizes.get(node.id) || { width: NODE_WIDTH, height: 44 };
-      const x = node.x + offsetX;
-      const y = node.y + offsetY;
-      const w = size.width;
-      const h = size.height;
-      const nodeColor = getNodeBaseColor(node);
-      const nodeTextColor = getReadableTextColor(nodeColor);
-      const titleColor =
-        nodeTextColor === '#ffffff' ? mixColor(nodeColor, 0.2) : mixColor(nodeColor, -0.12);
-      const isSelected = graph.ui.selectedNodeId === node.id;
-      const isPath = showViewPath && context.nodePathSet.has(node.id);
-      const isActive =
-        context.selectedNodeSet.has(node.id) || (showViewPath && context.activeNodeId === node.id);
-      const isActiveCurrent = showViewPath && context.activeNodeId === node.id;
-      const titleFill = isActiveCurrent ? '#0a4dbb' : titleColor;
-      const titleText = isActiveCurrent ? '#ffffff' : nodeTextColor;
+  const parseAttributeList = () => {
+    const attributes = {};
+    while (peek()?.type === '[') {
+      position += 1;
+      while (peek() && peek().type !== ']') {
+        const key = expect('id').value;
+        let value = 'true';
+        if (peek()?.type === '=') {
+          position += 1;
+          value = expect('id').value;
+        }
+        attributes[key] = value;
+        if (peek()?.type === ',' || peek()?.type === ';') {
+          position += 1;
+        }
+      }
+      expect(']');
+    }
+    return attributes;
+  };
 
-      const titleX = x + 7;
-      const titleY = y + 7;
-      const titleW = Math.max(36, w - 66);
-      const titleH = 22;
-      const typeX = titleX + titleW + 6;
-      const typeY = titleY;
-      const typeW = 46;
-      const typeH = 22;
-      const typeFill = node.type === 'or' ? '#d5e8c8' : '#d7e4ff';
+  const touchNode = (id, attributes = {}) => {
+    if (!nodes.has(id)) {
+      nodes.set(id, { dotId: id, attributes: {} });
+    }
+    Object.assign(nodes.get(id).attributes, attributes);
+    return id;
+  };
 
-      const overlays = [];
-      if (isPath) {
-        overlays.push(
-          `<rect x="${x - 2}" y="${y - 2}" width="${w + 4}" height="${h + 4}" fill="none" stroke="rgba(70,118,61,0.65)" stroke-width="2" />`
-        );
+  const parseStatements = (defaults) => {
+    const scopeNodeIds = new Set();
+    const nodeDefaults = { ...defaults.node };
+    const edgeDefaults = { ...defaults.edge };
+
+    const parseEndpoint = () => {
+      if (peek()?.type === '{' || isKeyword(peek(), 'subgraph')) {
+        return Array.from(parseSubgraph());
       }
-      if (isActive) {
-        overlays.push(
-          `<rect x="${x - 3}" y="${y - 3}" width="${w + 6}" height="${h + 6}" fill="none" stroke="#0a4dbb" stroke-width="3" />`
-        );
+
+      const id = expect('id').value;
+      while (peek()?.type === ':') {
+        position += 1;
+        expect('id');
       }
-      if (isActiveCurrent) {
-        overlays.push(
-          `<rect x="${x - 8}" y="${y - 8}" width="${w + 16}" height="${h + 16}" fill="none" stroke="#ffffff" stroke-width="4" />`
-        );
-        overlays.push(
-          `<rect x="${x - 10}" y="${y - 10}" width="${w + 20}" height="${h + 20}" fill="none" stroke="#0a4dbb" stroke-width="2" />`
-        );
+
+      const isNew = !nodes.has(id);
+      touchNode(id, isNew ? nodeDefaults : {});
+      scopeNodeIds.add(id);
+      return [id];
+    };
+
+    const parseSubgraph = () => {
+      if (isKeyword(peek(), 'subgraph')) {
+        position += 1;
+        if (peek()?.type === 'id') {
+          position += 1;
+        }
       }
-      if (isSelected) {
-        overlays.push(
-          `<rect x="${x - 5}" y="${y - 5}" width="${w + 10}" height="${h + 10}" fill="none" stroke="#000000" stroke-width="3" stroke-dasharray="3 3" />`
-        );
+      expect('{');
+      const innerIds = parseStatements({ node: nodeDefaults, edge: edgeDefaults });
+      expect('}');
+      innerIds.forEach((id) => scopeNodeIds.add(id));
+      return innerIds;
+    };
+
+    while (peek() && peek().type !== '}') {
+      const token = peek();
+
+      if (token.type === ';' || token.type === ',') {
+        position += 1;
+        continue;
       }
 
-      return `<g>
-${overlays.join('\n')}
-<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${nodeColor}" stroke="#404040" stroke-width="2" />
-<line x1="${x + 1}" y1="${y + 1}" x2="${x + w - 1}" y2="${y + 1}" stroke="#ffffff" stroke-width="1" />
-<line x1="${x + 1}" y1="${y + 1}" x2="${x + 1}" y2="${y + h - 1}" stroke="#ffffff" stroke-width="1" />
-<rect x="${titleX}" y="${titleY}" width="${titleW}" height="${titleH}" fill="${titleFill}" stroke="#707070" stroke-width="1" />
-<text x="${titleX + 7}" y="${titleY + 15}" font-family="Tahoma, Arial, sans-serif" font-size="12" font-weight="700" fill="${titleText}">${escapeXml(
-        node.text
-      )}</text>
-<rect x="${typeX}" y="${typeY}" width="${typeW}" height="${typeH}" fill="${typeFill}" stroke="#707070" stroke-width="1" />
-<text x="${typeX + typeW / 2}" y="${typeY + 15}" text-anchor="middle" font-family="Tahoma, Arial, sans-serif" font-size="12" fill="#000000">${escapeXml(
-        String(node.type || 'xor').toUpperCase()
-      )}</text>
-</g>`;
-    })
-    .join('\n');
+      if (isKeyword(token, 'graph') || isKeyword(token, 'node') || isKeyword(token, 'edge')) {
+        if (peek(1)?.type === '[') {
+          position += 1;
+          const attributes = parseAttributeList();
+          if (isKeyword(token, 'node')) {
+            Object.assign(nodeDefaults, attributes);
+          } else if (isKeyword(token, 'edge')) {
+            Object.assign(edgeDefaults, attributes);
+          } else {
+            graphLabel = attributes.label ?? graphLabel;
+            rankdir = attributes.rankdir ?? rankdir;
+          }
+          continue;
+        }
+      }
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-  <defs>
-    <marker id="edge-start-default" markerWidth="12" markerHeight="12" refX="6" refY="6" orient="auto" markerUnits="userSpaceOnUse">
-      <circle cx="6" cy="6" r="4.2" fill="#d9d9d9" stroke="#575757" stroke-width="1.5"></circle>
-    </marker>
-    <marker id="edge-start-path" markerWidth="12" markerHeight="12" refX="6" refY="6" orient="auto" markerUnits="userSpaceOnUse">
-      <circle cx="6" cy="6" r="4.2" fill="#dce8d8" stroke="#7b9c74" stroke-width="1.5"></circle>
-    </marker>
-    <marker id="edge-start-active" markerWidth="12" markerHeight="12" refX="6" refY="6" orient="auto" markerUnits="userSpaceOnUse">
-      <circle cx="6" cy="6" r="4.2" fill="#d6e5ff" stroke="#1458c2" stroke-width="1.5"></circle>
-    </marker>
-    <marker id="arrow-head-default" markerWidth="12" markerHeight="12" refX="12" refY="6" orient="auto" markerUnits="userSpaceOnUse">
-      <path d="M 0 0 L 12 6 L 0 12 z" fill="#575757"></path>
-    </marker>
-    <marker id="arrow-head-path" markerWidth="12" markerHeight="12" refX="12" refY="6" orient="auto" markerUnits="userSpaceOnUse">
-      <path d="M 0 0 L 12 6 L 0 12 z" fill="#7b9c74"></path>
-    </marker>
-    <marker id="arrow-head-active" markerWidth="12" markerHeight="12" refX="12" refY="6" orient="auto" markerUnits="userSpaceOnUse">
-      <path d="M 0 0 L 12 6 L 0 12 z" fill="#1458c2"></path>
-    </marker>
-  </defs>
-  <rect x="0" y="0" width="${width}" height="${height}" fill="#b5b5b5"></rect>
-  ${edgesSvg}
-  ${labelsSvg}
-  ${nodesSvg}
-</svg>`;
+      if (token.type === 'id' && peek(1)?.type === '=') {
+        position += 2;
+        const value = expect('id').value;
+        if (token.value === 'label') {
+          graphLabel = value;
+        } else if (token.value === 'rankdir') {
+          rankdir = value;
+        }
+        continue;
+      }
+
+      const startsWithSubgraph = peek()?.type === '{' || isKeyword(peek(), 'subgraph');
+      const sources = parseEndpoint();
+      if (peek()?.type !== 'edgeop') {
+        const attributes = parseAttributeList();
+        if (!startsWithSubgraph) {
+          touchNode(sources[0], attributes);
+        }
+        continue;
+      }
+
+      const chain = [sources];
+      while (peek()?.type === 'edgeop') {
+        position += 1;
+        chain.push(parseEndpoint());
+      }
+
+      const attributes = { ...edgeDefaults, ...parseAttributeList() };
+      for (let index = 1; index < chain.length; index += 1) {
+        chain[index - 1].forEach((from) => {
+          chain[index].forEach((to) => {
+            links.push({ from, to, attributes });
+          });
+        });
+      }
+    }
+
+    return scopeNodeIds;
+  };
+
+  if (isKeyword(peek(), 'strict')) {
+    position += 1;
+  }
+
+  if (!isKeyword(peek(), 'digraph') && !isKeyword(peek(), 'graph')) {
+    throw new Error('No "digraph" or "graph" declaration found.');
+  }
+  position += 1;
+
+  if (peek()?.type === 'id') {
+    graphName = expect('id').value;
+  }
+
+  expect('{');
+  parseStatements({ node: {}, edge: {} });
+  expect('}');
+
+  if (nodes.size === 0) {
+    throw new Error('The DOT graph contains no nodes.');
+  }
+
+  const dotNodes = Array.from(nodes.values());
+  const rootDotId = dotNodes.find((item) => item.attributes.knotenwerk_root === 'true')?.dotId;
+  const idByDotId = new Map();
+  const positions = new Map();
+
+  const ignoredColors = new Set();
+  const graphNodes = dotNodes.map((item) => {
+    const id = uid('n');
+    const { attributes } = item;
+    const color = parseDotColor(attributes.fillcolor);
+    idByDotId.set(item.dotId, id);
+    if (attributes.fillcolor && !color) {
+      ignoredColors.add(attributes.fillcolor);
+    }
+
+    const pos = String(attributes.pos || '').match(/^\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)/);
+    if (pos) {
+      positions.set(id, {
+        x: Math.round(Number(pos[1]) - DOT_NODE_ANCHOR.x),
+        y: Math.round(-Number(pos[2]) - DOT_NODE_ANCHOR.y)
+      });
+    }
+
+    return {
+      id,
+      text: attributes.label && attributes.label !== '\\N' ? attributes.label : item.dotId,
+      description: attributes.tooltip || '',
+      type: attributes.knotenwerk_type,
+      refGraphId: attributes.knotenwerk_ref,
+      color,
+      buttons: []
+    };
+  });
+  if (ignoredColors.size > 0) {
+    warnings.push(`Unknown fill colours ignored: ${Array.from(ignoredColors).join(', ')}`);
+  }
+
+  const edges = links
+    .filter((link) => link.from !== link.to)
+    .map((link) => {
+      const source = graphNodes.find((node) => node.id === idByDotId.get(link.from));
+      const buttonId = uid('b');
+      const edge = {
+        id: uid('e'),
+        from: source.id,
+        to: idByDotId.get(link.to),
+        buttonId
+      };
+      source.buttons.push({ id: buttonId, text: link.attributes.label || 'Choice', to: edge.to });
+      return edge;
+    });
+
+  const graph = normalizeGraph(
+    {
+      name: graphLabel || graphName || 'Imported DOT Graph',
+      version: GRAPH_VERSION,
+      rootNodeId: rootDotId ? idByDotId.get(rootDotId) : graphNodes[0].id,
+      nodes: graphNodes,
+      edges,
+      ui: {}
+    },
+    'imported DOT file'
+  );
+
+  applyNodePositions(
+    graph,
+    computeTidyLayout(graph, { direction: String(rankdir).toUpperCase(), origin: { x: 140, y: 100 } })
+  );
+  graph.nodes.forEach((node) => {
+    const pos = positions.get(node.id);
+    if (pos) {
+      node.x = pos.x;
+      node.y = pos.y;
+    }
+  });
+
+  return graph;
 }
 
-async function exportGraphAsPicture(graph) {
-  const svg = buildGraphPictureSvg(graph);
-  const exported = await invoke('export_text_file', {
-    title: 'Export Graph Picture',
-    defaultPath: `${sanitizeFileName(graph.name)}.svg`,
-    filters: [{ name: 'Picture', extensions: ['svg'] }],
-    contents: svg
+async function importGraphFlow() {
+  const importType = await showSelect({
+    title: 'Import Graph',
+    message: 'Choose import format:',
+    okText: 'Import',
+    defaultValue: 'json',
+    options: [
+      { value: 'json', label: 'JSON' },
+      { value: 'mermaid', label: 'Mermaid Flowchart' },
+      { value: 'dot', label: 'Graphviz DOT' }
+    ]
   });
 
-  if (!exported) {
+  if (importType === 'json') {
+    await importGraphFromJson();
     return;
   }
 
-  setStatus('Graph exported as picture (SVG).');
+  if (importType === 'mermaid') {
+    await importGraphFromMermaid();
+    return;
+  }
+
+  if (importType === 'dot') {
+    await importGraphFromDot();
+  }
+}
+
+async function saveImportedGraph(graph) {
+  const idTakenInMemory = state.graphSummaries.some((item) => item.id === graph.id);
+  const idTakenOnDisk = await invoke('graph_file_exists', { graphId: graphFileId(graph) });
+
+  if (idTakenInMemory || idTakenOnDisk) {
+    graph.id = uid('g');
+  }
+
+  graph.updatedAt = nowISO();
+
+  await persistGraph(graph);
+  upsertGraphSummary(graph);
+  renderGraphList();
+  await loadGraphById(graph.id);
+  setStatus('Graph imported.');
 }
 
 async function importGraphFromJson() {
@@ -3182,25 +9510,54 @@ async function importGraphFromJson() {
     }
 
     const parsed = JSON.parse(json);
-    const graph = normalizeGraph(parsed, 'imported file');
+    await saveImportedGraph(normalizeGraph(parsed, 'imported file'));
+  } catch (error) {
+    console.error('Import failed:', error);
+    await showAlert(
+      `Import failed. Make sure the file is valid JSON and follows graph schema v${GRAPH_VERSION} or older.`
+    );
+  }
+}
+
+async function importGraphFromDot() {
+  try {
+    const source = await invoke('import_text_file', {
+      title: 'Import Graphviz DOT',
+      filters: [{ name: 'Graphviz DOT', extensions: ['dot', 'gv'] }]
+    });
 
-    const idTakenInMemory = state.graphSummaries.some((item) => item.id === graph.id);
-    const idTakenOnDisk = await invoke('graph_file_exists', { graphId: graph.id });
+    if (source === null) {
+      return;
+    }
 
-    if (idTakenInMemory || idTakenOnDisk) {
-      graph.id = uid('g');
+    const warnings = [];
+    await saveImportedGraph(parseDotGraph(source, warnings));
+    if (warnings.length > 0) {
+      await showAlert(`DOT import finished with notes:\n\n${warnings.join('\n')}`);
     }
+  } catch (error) {
+    console.error('DOT import failed:', error);
+    await showAlert(`DOT import failed.\n\n${error instanceof Error ? error.message : String(error)}`);
+  }
+}
 
-    graph.updatedAt = nowISO();
+async function importGraphFromMermaid() {
+  try {
+    const source = await invoke('import_text_file', {
+      title: 'Import Mermaid Flowchart',
+      filters: [{ name: 'Mermaid', extensions: ['mmd', 'mermaid', 'md', 'txt'] }]
+    });
 
-    await persistGraph(graph);
-    upsertGraphSummary(graph);
-    renderGraphList();
-    await loadGraphById(graph.id);
-    setStatus('Graph imported.');
+    if (source === null) {
+      return;
+    }
+
+    await saveImportedGraph(parseMermaidFlowchart(source));
   } catch (error) {
-    console.error('Import failed:', error);
-    await showAlert('Import failed. Make sure the file is valid JSON and follows graph schema v1.');
+    console.error('Mermaid import failed:', error);
+    await showAlert(
+      `Mermaid import failed.\n\n${error instanceof Error ? error.message : String(error)}`
+    );
   }
 }
 
@@ -3214,9 +9571,12 @@ function showModal(options) {
   el.modalMessage.textContent = options.message || '';
 
   const withInput = options.withInput !== false;
+  const multiline = withInput && options.multiline === true;
   const withSelect = Array.isArray(options.selectOptions) && options.selectOptions.length > 0;
-  el.modalInput.classList.toggle('hidden', !withInput);
-  el.modalInput.value = withInput ? options.defaultValue || '' : '';
+  el.modalInput.classList.toggle('hidden', !withInput || multiline);
+  el.modalInput.value = withInput && !multiline ? options.defaultValue || '' : '';
+  el.modalTextarea.classList.toggle('hidden', !multiline);
+  el.modalTextarea.value = multiline ? options.defaultValue || '' : '';
   el.modalSelect.classList.toggle('hidden', !withSelect);
   el.modalSelect.replaceChildren();
   if (withSelect) {
@@ -3253,7 +9613,11 @@ function showModal(options) {
 
   el.modalOverlay.classList.remove('hidden');
 
-  if (withInput) {
+  if (multiline) {
+    requestAnimationFrame(() => {
+      el.modalTextarea.focus();
+    });
+  } else if (withInput) {
     requestAnimationFrame(() => {
       el.modalInput.focus();
       el.modalInput.select();
@@ -3281,7 +9645,9 @@ function resolveModal(confirmed) {
   const resolve = state.modalResolver;
   state.modalResolver = null;
 
-  const value = el.modalInput.value;
+  const value = el.modalTextarea.classList.contains('hidden')
+    ? el.modalInput.value
+    : el.modalTextarea.value;
   const selectedValue = el.modalSelect.value;
   el.modalOverlay.classList.add('hidden');
 
@@ -3296,7 +9662,8 @@ async function showPrompt(options) {
     okText: options.okText || 'OK',
     cancelText: options.cancelText || 'Cancel',
     hideCancel: false,
-    withInput: true
+    withInput: true,
+    multiline: options.multiline === true
   });
 
   if (!result.confirmed) {